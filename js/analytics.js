@@ -0,0 +1,122 @@
+/* ===== js/analytics.js =====
+   First-party analytics ([data-analytics="<endpoint>"] on <body>, e.g. /api/analytics)
+   - opt-in per deployment: the committed page has no data-analytics, because GitHub Pages
+     has no collector; add it where one runs (see README)
+   - off entirely when the visitor sends Do Not Track or Global Privacy Control
+   - no cookies, no storage, no identifiers beyond a random id for this page view
+   - events come from the existing hooks: modal:open (project / resume / certificate),
+     contact:submit and the contact outbox, themechange, sections scrolled into view
+   - batched and sent with navigator.sendBeacon (fetch keepalive as fallback) every
+     FLUSH_INTERVAL_MS, when the batch is full and when the page is hidden
+   Local collector + aggregate view: server/analytics.js (node server/server.js, then /analytics).
+*/
+import { $, $$ } from './utils.js';
+import { defineFeature } from './feature.js';
+
+const FLUSH_INTERVAL_MS = 15000;
+const MAX_BATCH = 20;
+const SECTION_VISIBLE_RATIO = 0.5;
+
+let queue = [];
+let endpoint = null;       // null while the feature is off: track() is a no-op
+let pageView = null;
+
+/** trackingAllowed() - false when the browser asks not to be tracked (DNT / GPC) */
+export function trackingAllowed() {
+  const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+  return !(dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true);
+}
+
+/**
+ * track(type, props)
+ * Queues one event ({ type, at, props }); props should be small flat values
+ * (slugs, ids, outcomes), never form contents.
+ */
+export function track(type, props = {}) {
+  if (!endpoint) return;
+  queue.push({ type, at: Date.now(), props });
+  if (queue.length >= MAX_BATCH) flushAnalytics();
+}
+
+/** flushAnalytics() - send the queued events now; returns whether a batch went out */
+export function flushAnalytics() {
+  if (!endpoint || !queue.length) return false;
+  const batch = {
+    v: 1,
+    view: pageView,
+    page: window.location.pathname,
+    lang: document.documentElement.lang || '',
+    events: queue.splice(0)
+  };
+  // text/plain keeps the beacon a "simple" request, so a collector on another origin needs no preflight
+  const body = new Blob([JSON.stringify(batch)], { type: 'text/plain;charset=UTF-8' });
+  try {
+    if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return true;
+    fetch(endpoint, { method: 'POST', body, keepalive: true, credentials: 'omit' }).catch(() => { /* dropped: analytics is best-effort */ });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/* which modal opened -> event */
+function onModalOpen(e) {
+  const modal = e.target;
+  if (modal.id === 'project-modal') track('project-open', { project: modal.dataset.project || '' });
+  else if (modal.id === 'resume-modal') track('resume-open');
+  else if (modal.id === 'certificate-modal') track('certificate-open', { certificate: modal.dataset.certificate || '' });
+}
+
+/* report each section once per page view, when at least half of it has been on screen */
+function observeSections(onTeardown) {
+  if (!('IntersectionObserver' in window)) return;
+  const io = new IntersectionObserver((entries, obs) => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+      track('section-view', { section: entry.target.id });
+      obs.unobserve(entry.target);
+    });
+  }, { threshold: SECTION_VISIBLE_RATIO });
+  $$('section[id]').forEach(section => io.observe(section));
+  onTeardown(() => io.disconnect());
+}
+
+export const analyticsFeature = defineFeature({
+  name: 'analytics',
+  attribute: 'data-analytics',
+  setup({ signal, onTeardown }) {
+    if (!trackingAllowed()) return;
+    endpoint = $('[data-analytics]').getAttribute('data-analytics') || '/api/analytics';
+    pageView = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    onTeardown(() => {
+      flushAnalytics();
+      endpoint = null;
+      queue = [];
+    });
+
+    let referrer = '';
+    try { referrer = document.referrer ? new URL(document.referrer).hostname : ''; } catch (e) { /* ignore */ }
+    track('pageview', { referrer: referrer === window.location.hostname ? '' : referrer });
+
+    document.addEventListener('modal:open', onModalOpen, { signal });
+    document.addEventListener('contact:submit', (e) => {
+      const { outcome, transport, attachments, status } = e.detail;
+      track('contact-submit', { outcome, transport: transport || '', attachments: Boolean(attachments), status: status || 0 });
+    }, { signal });
+    document.addEventListener('contact:outbox-sent', () => track('contact-outbox', { outcome: 'sent' }), { signal });
+    document.addEventListener('contact:outbox-failed', () => track('contact-outbox', { outcome: 'failed' }), { signal });
+    // theme switches only; the initial apply (no previous theme) isn't a toggle
+    document.addEventListener('themechange', (e) => {
+      if (e.detail.previous) track('theme-change', { theme: e.detail.theme, mode: e.detail.mode });
+    }, { signal });
+    observeSections(onTeardown);
+
+    const timer = setInterval(flushAnalytics, FLUSH_INTERVAL_MS);
+    onTeardown(() => clearInterval(timer));
+    // the last reliable moment on mobile; pagehide covers browsers that skip visibilitychange
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushAnalytics();
+    }, { signal });
+    window.addEventListener('pagehide', flushAnalytics, { signal });
+  }
+});
@@ -0,0 +1,290 @@
+/* ===== js/certificates.js =====
+   Certificates gallery + PDF viewer
+   - cards rendered from data/certificates.json into #certificates-grid
+     (id, title, issuer, date, credentialId, verifyUrl, file, pages, thumbnail);
+     the static cards in the markup are the no-JS / load-failure fallback
+   - #certificate-modal shows the PDF in the browser's own viewer: page navigation
+     and zoom use PDF open parameters (#page=2&zoom=150), plus download / new tab
+   - without an inline PDF viewer (navigator.pdfViewerEnabled) it falls back to a direct link
+   - deep link: #certificate/<id>
+*/
+import { $, el, timeoutFetch, slugify } from './utils.js';
+import { defineFeature } from './feature.js';
+import { t, formatYearMonth } from './i18n.js';
+import { Modal } from './modal.js';
+import { registerRoute, requestModalClose } from './router.js';
+
+const CERTIFICATES_URL = 'data/certificates.json';
+const PDF_ZOOM_STEPS = [50, 75, 100, 125, 150, 200, 300];
+
+/* cache of the last loaded manifest: { certificates: [...], byId: Map } */
+let certificateCatalog = null;
+/* viewer state for the open certificate: { certificate, page, zoom } (zoom null = fit width) */
+const certificateView = { certificate: null, page: 1, zoom: null };
+
+/** normalizeCertificate(raw) - fills defaults so renderers never have to guard individual fields */
+function normalizeCertificate(raw) {
+  const title = raw.title || 'Certificate';
+  return {
+    id: raw.id || slugify(title),
+    title,
+    issuer: raw.issuer || '',
+    date: raw.date || null,
+    credentialId: raw.credentialId || '',
+    verifyUrl: raw.verifyUrl || '',
+    file: raw.file || '',
+    pages: Number(raw.pages) > 0 ? Number(raw.pages) : null,
+    thumbnail: raw.thumbnail || '',
+    icon: raw.icon || 'fas fa-certificate'
+  };
+}
+
+/**
+ * loadCertificates(url)
+ * Fetches and normalizes the manifest, newest first. Result is cached; pass a url to force a reload.
+ */
+export async function loadCertificates(url) {
+  if (certificateCatalog && !url) return certificateCatalog;
+  const res = await timeoutFetch(url || CERTIFICATES_URL, { headers: { Accept: 'application/json' } }, 6000);
+  if (!res.ok) throw new Error(`Certificates manifest returned ${res.status}`);
+  const data = await res.json();
+  const certificates = (Array.isArray(data) ? data : (data.certificates || [])).map(normalizeCertificate);
+  certificates.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+  certificateCatalog = { certificates, byId: new Map(certificates.map(c => [c.id, c])) };
+  return certificateCatalog;
+}
+
+/** canEmbedPdf() - whether the browser can show PDFs inline */
+function canEmbedPdf() {
+  if (typeof navigator.pdfViewerEnabled === 'boolean') return navigator.pdfViewerEnabled;
+  return Boolean(navigator.mimeTypes && navigator.mimeTypes['application/pdf']);
+}
+
+/** pdfUrl(file, { page, zoom, toolbar }) - file path + PDF open parameters */
+function pdfUrl(file, { page = 1, zoom = null, toolbar = true } = {}) {
+  const params = [`page=${page}`, zoom ? `zoom=${zoom}` : 'view=FitH'];
+  if (!toolbar) params.push('toolbar=0', 'navpanes=0');
+  return `${encodeURI(file)}#${params.join('&')}`;
+}
+
+/** certificateMeta(certificate) - "Udemy · Mar 2022" */
+function certificateMeta(certificate) {
+  const issued = certificate.date ? t('certificates.issued', 'Issued {date}', { date: formatYearMonth(certificate.date) }) : '';
+  return [certificate.issuer, issued].filter(Boolean).join(' · ');
+}
+
+/** renderCertificateThumb(certificate) - image, first-page preview, or icon placeholder */
+function renderCertificateThumb(certificate) {
+  const frame = 'h-44 overflow-hidden bg-gradient-to-r from-purple-400 to-blue-500 flex items-center justify-center';
+  if (certificate.thumbnail) {
+    return el('div', { class: frame }, el('img', { src: certificate.thumbnail, alt: '', loading: 'lazy', class: 'w-full h-full object-cover' }));
+  }
+  if (certificate.file && canEmbedPdf()) {
+    // non-interactive first-page preview; the card link opens the real viewer
+    return el('div', { class: `${frame} certificate-thumb`, inert: true, 'aria-hidden': 'true' },
+      el('iframe', { src: pdfUrl(certificate.file, { toolbar: false }), title: '', loading: 'lazy', tabindex: '-1' }));
+  }
+  return el('div', { class: frame, 'aria-hidden': 'true' }, el('i', { class: `${certificate.icon} text-white text-5xl` }));
+}
+
+/** renderCertificateCard(certificate) - mirrors the project card layout */
+function renderCertificateCard(certificate) {
+  return el('article', {
+    class: 'bg-white dark:bg-gray-800 rounded-xl shadow-md overflow-hidden project-card border border-gray-200 dark:border-gray-700',
+    'data-certificate': certificate.id
+  },
+    renderCertificateThumb(certificate),
+    el('div', { class: 'p-6' },
+      el('h4', { class: 'font-bold text-gray-800 dark:text-gray-100', text: certificate.title }),
+      el('p', { class: 'text-sm text-gray-500 mt-1', text: certificateMeta(certificate) }),
+      certificate.credentialId && el('p', {
+        class: 'text-xs text-gray-500 mt-1',
+        text: t('certificates.credential', 'Credential ID: {id}', { id: certificate.credentialId })
+      }),
+      el('div', { class: 'mt-4 flex flex-wrap gap-4' },
+        certificate.file && el('a', {
+          href: `#certificate/${certificate.id}`,
+          class: 'text-blue-600 dark:text-blue-400 hover:underline',
+          text: t('certificates.view', 'View certificate →')
+        }),
+        certificate.verifyUrl && el('a', {
+          href: certificate.verifyUrl,
+          target: '_blank',
+          rel: 'noopener',
+          class: 'text-blue-600 dark:text-blue-400 hover:underline',
+          text: t('certificates.verify', 'Verify')
+        })
+      )
+    )
+  );
+}
+
+/** renderCertificates(certificates) - (re)draws #certificates-grid */
+function renderCertificates(certificates) {
+  const grid = $('#certificates-grid');
+  if (!grid) return;
+  grid.replaceChildren(...certificates.map(renderCertificateCard));
+  grid.setAttribute('data-rendered', 'true');
+}
+
+/** certificateModal() - Modal instance for #certificate-modal (closes go through the router) */
+function certificateModal() {
+  return Modal.from('#certificate-modal', { onRequestClose: () => requestModalClose(closeCertificateModal) });
+}
+
+/** updateCertificateViewer() - sync the frame and toolbar with certificateView */
+function updateCertificateViewer() {
+  const { certificate, page, zoom } = certificateView;
+  const frame = $('#certificate-frame');
+  if (!certificate || !frame) return;
+  const embed = canEmbedPdf();
+  const pages = certificate.pages;
+  const pageInput = $('#certificate-page');
+
+  $('#certificate-toolbar')?.querySelectorAll('[data-pdf-nav]').forEach(node => node.classList.toggle('hidden', !embed));
+  if (pageInput) {
+    pageInput.value = String(page);
+    if (pages) pageInput.max = String(pages); else pageInput.removeAttribute('max');
+  }
+  const count = $('#certificate-pages');
+  if (count) count.textContent = pages ? t('certificates.of', 'of {count}', { count: pages }) : '';
+  const prev = $('[data-pdf="prev"]');
+  const next = $('[data-pdf="next"]');
+  if (prev) prev.disabled = page <= 1;
+  if (next) next.disabled = Boolean(pages) && page >= pages;
+  const zoomOut = $('[data-pdf="zoom-out"]');
+  const zoomIn = $('[data-pdf="zoom-in"]');
+  if (zoomOut) zoomOut.disabled = zoom !== null && zoom <= PDF_ZOOM_STEPS[0];
+  if (zoomIn) zoomIn.disabled = zoom !== null && zoom >= PDF_ZOOM_STEPS[PDF_ZOOM_STEPS.length - 1];
+  const zoomLabel = $('#certificate-zoom');
+  if (zoomLabel) zoomLabel.textContent = zoom ? `${zoom}%` : t('certificates.fit', 'Fit width');
+
+  if (!embed) {
+    frame.replaceChildren(el('div', { class: 'certificate-fallback' },
+      el('p', { class: 'mb-3', text: t('certificates.noEmbed', "Your browser can't display PDFs here.") }),
+      el('a', {
+        href: encodeURI(certificate.file),
+        target: '_blank',
+        rel: 'noopener',
+        class: 'inline-flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium',
+        text: t('certificates.openPdf', 'Open the PDF')
+      })
+    ));
+    return;
+  }
+  // a fresh iframe per change: not every PDF viewer reacts to fragment-only navigation
+  frame.replaceChildren(el('iframe', {
+    src: pdfUrl(certificate.file, { page, zoom }),
+    title: certificate.title,
+    class: 'certificate-pdf'
+  }));
+}
+
+/**
+ * openCertificateModal(certificate)
+ * Fills #certificate-modal from a certificate object (or id) and shows it.
+ */
+export function openCertificateModal(certificate) {
+  if (!$('#certificate-modal')) return;
+  if (typeof certificate === 'string') certificate = certificateCatalog?.byId.get(certificate);
+  if (!certificate) return;
+
+  Object.assign(certificateView, { certificate, page: 1, zoom: null });
+  $('#certificate-title').textContent = certificate.title;
+  $('#certificate-meta').textContent = [certificateMeta(certificate),
+    certificate.credentialId && t('certificates.credential', 'Credential ID: {id}', { id: certificate.credentialId })
+  ].filter(Boolean).join(' · ');
+  const download = $('#certificate-download');
+  if (download) {
+    download.href = encodeURI(certificate.file);
+    download.setAttribute('download', certificate.file.split('/').pop());
+  }
+  const newTab = $('#certificate-new-tab');
+  if (newTab) newTab.href = encodeURI(certificate.file);
+  const verify = $('#certificate-verify');
+  if (verify) {
+    verify.classList.toggle('hidden', !certificate.verifyUrl);
+    if (certificate.verifyUrl) verify.href = certificate.verifyUrl;
+  }
+  updateCertificateViewer();
+  $('#certificate-modal').dataset.certificate = certificate.id;
+  certificateModal().open();
+}
+
+function closeCertificateModal() {
+  certificateModal()?.close();
+  // unload the PDF so a closed viewer doesn't keep the plugin alive
+  $('#certificate-frame')?.replaceChildren();
+  certificateView.certificate = null;
+}
+
+/** stepCertificateZoom(direction) - +1 / -1 through PDF_ZOOM_STEPS ('fit' counts as 100%) */
+function stepCertificateZoom(direction) {
+  const current = certificateView.zoom || 100;
+  const steps = direction > 0 ? PDF_ZOOM_STEPS.filter(z => z > current) : PDF_ZOOM_STEPS.filter(z => z < current).reverse();
+  if (steps.length) certificateView.zoom = steps[0];
+  updateCertificateViewer();
+}
+
+/** goToCertificatePage(page) - clamped to 1..pages (unbounded when the manifest has no page count) */
+function goToCertificatePage(page) {
+  const max = certificateView.certificate?.pages || Infinity;
+  const next = Math.min(Math.max(1, Math.round(Number(page)) || 1), max);
+  if (next === certificateView.page) { updateCertificateViewer(); return; }
+  certificateView.page = next;
+  updateCertificateViewer();
+}
+
+/**
+ * certificates feature ([data-certificates] on #certificates-grid): renders the gallery,
+ * wires the viewer toolbar and registers the #certificate/<id> route.
+ */
+export const certificatesFeature = defineFeature({
+  name: 'certificates',
+  attribute: 'data-certificates',
+  setup: setupCertificates
+});
+
+async function setupCertificates({ signal }) {
+  registerRoute({
+    pattern: /^#certificate\/([a-z0-9-]+)$/i,
+    async open(match) {
+      try { await loadCertificates(); } catch (e) { return false; }
+      if (!certificateCatalog.byId.has(match[1])) return false;
+      openCertificateModal(match[1]);
+      return true;
+    },
+    close: closeCertificateModal
+  }, { signal });
+
+  const toolbar = $('#certificate-toolbar');
+  if (toolbar) {
+    certificateModal(); // binds close button + backdrop
+    toolbar.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-pdf]');
+      if (!btn || btn.disabled) return;
+      const action = btn.dataset.pdf;
+      if (action === 'prev') goToCertificatePage(certificateView.page - 1);
+      else if (action === 'next') goToCertificatePage(certificateView.page + 1);
+      else if (action === 'zoom-in') stepCertificateZoom(1);
+      else if (action === 'zoom-out') stepCertificateZoom(-1);
+      else if (action === 'fit') { certificateView.zoom = null; updateCertificateViewer(); }
+    }, { signal });
+    $('#certificate-page')?.addEventListener('change', (e) => goToCertificatePage(e.target.value), { signal });
+    document.addEventListener('localechange', () => {
+      if (certificateView.certificate) updateCertificateViewer();
+    }, { signal });
+  }
+
+  let catalog;
+  try {
+    catalog = await loadCertificates();
+  } catch (err) {
+    // the cards in #certificates-grid stay, linking straight to the PDFs instead of the viewer
+    console.warn('Could not load certificates manifest, keeping static cards:', err);
+    return;
+  }
+  if (signal.aborted) return;
+  renderCertificates(catalog.certificates);
+  document.addEventListener('localechange', () => renderCertificates(catalog.certificates), { signal });
+}
@@ -0,0 +1,379 @@
+/* ===== js/command-palette.js =====
+   Command palette + keyboard shortcuts ([data-command-palette] on #command-palette)
+   - Ctrl/Cmd+K (or [data-command-palette-open]) opens a fuzzy search over sections,
+     projects (data/projects.json), skills (#skills cards) and actions
+   - combobox + listbox: arrows move, Enter runs, Esc closes (Modal handles focus + Esc)
+   - single-key shortcuts outside text fields: `g` then a letter jumps (g p -> projects),
+     `?` opens the help overlay (#shortcuts-modal), which is generated from SHORTCUTS
+   - jumps use scrollBehavior(); the landing highlight is skipped under prefers-reduced-motion
+*/
+import { $, $$, el, prefersReducedMotion, scrollBehavior } from './utils.js';
+import { defineFeature } from './feature.js';
+import { t, tParts } from './i18n.js';
+import { Modal } from './modal.js';
+import { navigateTo } from './router.js';
+import { setTheme } from './theme.js';
+import { loadProjects } from './projects.js';
+import { CONTACT_EMAIL } from './contact-transport.js';
+
+const RESUME_PDF = 'PRIYANSHU RESUME.pdf';
+const SEQUENCE_TIMEOUT_MS = 1200;
+const MAX_RESULTS = 50;
+
+/* `g <key>` targets; entries whose section is missing from the page are skipped */
+const GO_TARGETS = {
+  h: { target: 'top', label: ['palette.actions.top', 'Back to top'] },
+  a: { target: '#about' },
+  s: { target: '#skills' },
+  e: { target: '#experience' },
+  p: { target: '#projects' },
+  c: { target: '#contact' },
+  r: { target: 'resume', label: ['palette.actions.openResume', 'Open resume'] }
+};
+
+/* shown in the help overlay, in this order */
+const SHORTCUTS = [
+  { keys: [['Ctrl', 'K'], ['⌘', 'K']], label: ['shortcuts.palette', 'Open the command palette'] },
+  { keys: [['?']], label: ['shortcuts.help', 'Show keyboard shortcuts'] },
+  ...Object.entries(GO_TARGETS).map(([key, go]) => ({ keys: [['g', key]], go }))
+];
+
+const GROUPS = {
+  actions: ['palette.groups.actions', 'Actions'],
+  sections: ['palette.groups.sections', 'Sections'],
+  projects: ['palette.groups.projects', 'Projects'],
+  skills: ['palette.groups.skills', 'Skills']
+};
+
+/* ------------------------------
+   Fuzzy matching
+   ------------------------------ */
+
+/**
+ * fuzzyMatch(query, text)
+ * Subsequence match, case-insensitive. Returns { score, indices } or null; consecutive
+ * characters and word starts score higher, so "gp" finds "Go to Projects" before "Grouping".
+ */
+export function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  const s = String(text).toLowerCase();
+  if (!q) return { score: 0, indices: [] };
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    const idx = s.indexOf(ch, from);
+    if (idx === -1) return null;
+    const prev = indices[indices.length - 1];
+    score += 1;
+    if (prev !== undefined && idx === prev + 1) score += 3;
+    if (idx === 0 || /[^\p{L}\p{N}]/u.test(s[idx - 1])) score += 2;
+    indices.push(idx);
+    from = idx + 1;
+  }
+  // prefer tighter matches that start early
+  score -= (indices[indices.length - 1] - indices[0]) * 0.05 + indices[0] * 0.02;
+  return { score, indices };
+}
+
+/** label with matched characters wrapped in <mark> */
+function highlight(text, indices) {
+  if (!indices.length) return [text];
+  const parts = [];
+  const hit = new Set(indices);
+  let run = '';
+  let marked = false;
+  Array.from(text).forEach((ch, i) => {
+    if (hit.has(i) !== marked && run) { parts.push(marked ? el('mark', {}, run) : run); run = ''; }
+    marked = hit.has(i);
+    run += ch;
+  });
+  if (run) parts.push(marked ? el('mark', {}, run) : run);
+  return parts;
+}
+
+/* ------------------------------
+   Commands
+   ------------------------------ */
+
+/* heading text of a section (already translated by the i18n feature) */
+function sectionTitle(section) {
+  const heading = $('h2, h3', section);
+  return (heading ? heading.textContent : section.id).trim();
+}
+
+/** jumpTo(target) - scroll to a section / element and move focus there */
+function jumpTo(target, focusEl) {
+  if (target === 'top') {
+    window.scrollTo({ top: 0, behavior: scrollBehavior() });
+    return;
+  }
+  const node = typeof target === 'string' ? $(target) : target;
+  if (!node) return;
+  node.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+  const focus = focusEl || node;
+  if (!focus.matches('a[href], button, input, select, textarea, [tabindex]')) focus.setAttribute('tabindex', '-1');
+  focus.focus({ preventScroll: true });
+  if (!prefersReducedMotion) {
+    node.classList.remove('palette-landing');
+    void node.offsetWidth; // restart the animation on repeated jumps
+    node.classList.add('palette-landing');
+    node.addEventListener('animationend', () => node.classList.remove('palette-landing'), { once: true });
+  }
+}
+
+/* run a GO_TARGETS entry */
+function go({ target }) {
+  if (target === 'resume') navigateTo('#resume');
+  else jumpTo(target);
+}
+
+function goLabel(entry) {
+  if (entry.label) return t(...entry.label);
+  const section = $(entry.target);
+  return t('shortcuts.go', 'Go to {section}', { section: section ? sectionTitle(section) : entry.target.slice(1) });
+}
+
+async function copyEmail(status) {
+  try {
+    await navigator.clipboard.writeText(CONTACT_EMAIL);
+    status(t('palette.copied', 'Email address copied: {email}', { email: CONTACT_EMAIL }));
+  } catch (err) {
+    status(t('palette.copyFailed', "Couldn't copy — the address is {email}", { email: CONTACT_EMAIL }));
+  }
+}
+
+/**
+ * buildCommands({ status, showHelp })
+ * Fresh list every time the palette opens, so labels follow the current locale and
+ * projects rendered since are included. Command: { id, group, label, keywords, run, keepOpen }.
+ */
+async function buildCommands({ status, showHelp }) {
+  const isDark = document.documentElement.classList.contains('dark');
+  const commands = [
+    { id: 'theme', group: 'actions', label: t('palette.actions.toggleTheme', 'Toggle dark mode'), keywords: 'theme dark light',
+      run: () => setTheme(isDark ? 'light' : 'dark') },
+    { id: 'resume', group: 'actions', label: t('palette.actions.openResume', 'Open resume'), keywords: 'cv preview',
+      run: () => navigateTo('#resume') },
+    { id: 'resume-pdf', group: 'actions', label: t('palette.actions.downloadResume', 'Download resume (PDF)'), keywords: 'cv pdf',
+      run: () => { window.location.href = encodeURI(RESUME_PDF); } },
+    { id: 'email', group: 'actions', label: t('palette.actions.copyEmail', 'Copy email address'), keywords: `mail ${CONTACT_EMAIL}`,
+      keepOpen: true, run: () => copyEmail(status) },
+    { id: 'contact', group: 'actions', label: t('palette.actions.contact', 'Jump to contact form'), keywords: 'message hire',
+      run: () => { const form = $('[data-contact-form]'); jumpTo('#contact', form && form.elements.name); } },
+    { id: 'shortcuts', group: 'actions', label: t('palette.actions.shortcuts', 'Show keyboard shortcuts'), keywords: 'help keys ?',
+      run: showHelp },
+    { id: 'top', group: 'actions', label: t('palette.actions.top', 'Back to top'), keywords: 'home start', run: () => jumpTo('top') }
+  ].filter(cmd => cmd.id !== 'resume' || $('#resume-modal'));
+
+  $$('section[id]').forEach(section => {
+    commands.push({ id: `section-${section.id}`, group: 'sections', label: sectionTitle(section), keywords: section.id, run: () => jumpTo(section) });
+  });
+
+  try {
+    const { projects } = await loadProjects();
+    projects.forEach(project => {
+      commands.push({ id: `project-${project.slug}`, group: 'projects', label: project.title, keywords: project.tags.join(' '),
+        run: () => navigateTo(`#project/${project.slug}`) });
+    });
+  } catch (err) {
+    console.warn('Command palette: projects unavailable', err);
+  }
+
+  $$('#skills [data-skill-tags]').forEach((card, i) => {
+    const title = ($('h3, h4', card)?.textContent || '').trim();
+    if (title) commands.push({ id: `skill-${i}`, group: 'skills', label: title, keywords: card.dataset.skillTags.replace(/,/g, ' '), run: () => jumpTo(card) });
+  });
+  return commands;
+}
+
+/**
+ * rankCommands(commands, query)
+ * Empty query: everything in group order. Otherwise matches on the label (highlighted) or,
+ * weaker, on the keywords; best first.
+ */
+export function rankCommands(commands, query) {
+  if (!query.trim()) return commands.map(command => ({ command, indices: [] }));
+  return commands
+    .map(command => {
+      const onLabel = fuzzyMatch(query, command.label);
+      if (onLabel) return { command, indices: onLabel.indices, score: onLabel.score + 1 };
+      const onKeywords = command.keywords && fuzzyMatch(query, command.keywords);
+      return onKeywords ? { command, indices: [], score: onKeywords.score - 2 } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+}
+
+/* ------------------------------
+   Help overlay
+   ------------------------------ */
+/* one key combination: Ctrl + K, or a `g` sequence: g then p */
+function renderKeys(combo, sequence) {
+  if (sequence) return tParts('shortcuts.then', '{first} then {second}', { first: el('kbd', {}, combo[0]), second: el('kbd', {}, combo[1]) });
+  return combo.flatMap((key, i) => (i ? [' + ', el('kbd', {}, key)] : [el('kbd', {}, key)]));
+}
+
+function renderShortcuts(list) {
+  const rows = SHORTCUTS
+    .filter(s => !s.go || s.go.target === 'top' || s.go.target === 'resume' || $(s.go.target))
+    .map(s => [
+      el('dt', {}, s.keys.flatMap((combo, i) => [i ? ` ${t('shortcuts.or', 'or')} ` : null, ...renderKeys(combo, Boolean(s.go))])),
+      el('dd', {}, s.go ? goLabel(s.go) : t(...s.label))
+    ]);
+  list.replaceChildren(...rows.flat());
+}
+
+/* ------------------------------
+   Feature
+   ------------------------------ */
+
+/* typing in a field: single-key shortcuts stay out of the way */
+function isTyping(target) {
+  return Boolean(target && target.closest && target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])'));
+}
+
+export const commandPaletteFeature = defineFeature({
+  name: 'command-palette',
+  attribute: 'data-command-palette',
+  setup({ signal, onTeardown }) {
+    const root = $('[data-command-palette]');
+    const input = $('#palette-input', root);
+    const list = $('#palette-list', root);
+    const statusEl = $('#palette-status', root);
+    if (!input || !list) return;
+    const palette = Modal.from(root);
+    const help = Modal.from('#shortcuts-modal');
+
+    let commands = [];
+    let results = [];
+    let active = 0;
+    let pendingG = null;
+
+    const status = (message) => { if (statusEl) statusEl.textContent = message; };
+
+    function setActive(index) {
+      const options = $$('[role="option"]', list);
+      if (!options.length) { input.removeAttribute('aria-activedescendant'); return; }
+      active = (index + options.length) % options.length;
+      options.forEach((opt, i) => opt.setAttribute('aria-selected', String(i === active)));
+      input.setAttribute('aria-activedescendant', options[active].id);
+      options[active].scrollIntoView({ block: 'nearest' });
+    }
+
+    function render() {
+      const query = input.value;
+      results = rankCommands(commands, query);
+      const items = [];
+      let lastGroup = null;
+      results.forEach(({ command, indices }, i) => {
+        // group headings only for the unfiltered list; filtered results carry a group tag instead
+        if (!query.trim() && command.group !== lastGroup) {
+          items.push(el('li', { role: 'presentation', class: 'palette-group' }, t(...GROUPS[command.group])));
+          lastGroup = command.group;
+        }
+        items.push(el('li', { id: `palette-option-${i}`, role: 'option', class: 'palette-option', 'aria-selected': 'false', 'data-index': i },
+          el('span', { class: 'palette-label' }, highlight(command.label, indices)),
+          query.trim() ? el('span', { class: 'palette-tag' }, t(...GROUPS[command.group])) : null));
+      });
+      if (!results.length) items.push(el('li', { role: 'presentation', class: 'palette-empty' }, t('palette.empty', 'No matches')));
+      list.replaceChildren(...items);
+      setActive(0);
+    }
+
+    function run(index) {
+      const entry = results[index];
+      if (!entry) return;
+      const { command } = entry;
+      if (command.keepOpen) { command.run(); return; }
+      palette.close(); // restores focus to the opener first, so the command can move it on
+      command.run();
+    }
+
+    async function openPalette() {
+      if (palette.isOpen) return;
+      input.value = '';
+      status('');
+      palette.open();
+      commands = await buildCommands({ status, showHelp: openHelp });
+      if (signal.aborted || !palette.isOpen) return;
+      render();
+    }
+
+    function openHelp() {
+      if (!help) return;
+      renderShortcuts($('#shortcuts-list', help.root));
+      help.open();
+    }
+
+    input.addEventListener('input', render, { signal });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        run(active);
+      }
+    }, { signal });
+    list.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) run(Number(option.dataset.index));
+    }, { signal });
+    list.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option && Number(option.dataset.index) !== active) setActive(Number(option.dataset.index));
+    }, { signal });
+
+    // nav button(s)
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest || !e.target.closest('[data-command-palette-open]')) return;
+      e.preventDefault();
+      openPalette();
+    }, { signal });
+
+    document.addEventListener('keydown', (e) => {
+      // autofill and some IMEs fire keydown events without a key
+      if (typeof e.key !== 'string') return;
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (palette.isOpen) palette.close();
+        else openPalette();
+        return;
+      }
+      // single keys: not while typing, not with modifiers, not over an open dialog
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target) || Modal.stack.length) return;
+      if (pendingG) {
+        clearTimeout(pendingG);
+        pendingG = null;
+        const entry = GO_TARGETS[e.key.toLowerCase()];
+        if (entry && (entry.target === 'top' || entry.target === 'resume' || $(entry.target))) {
+          e.preventDefault();
+          go(entry);
+        }
+        return;
+      }
+      if (e.key === '?') {
+        e.preventDefault();
+        openHelp();
+      } else if (e.key === 'g') {
+        pendingG = setTimeout(() => { pendingG = null; }, SEQUENCE_TIMEOUT_MS);
+      }
+    }, { signal });
+
+    // a locale switch while open: rebuild labels
+    document.addEventListener('localechange', async () => {
+      if (!palette.isOpen) return;
+      commands = await buildCommands({ status, showHelp: openHelp });
+      if (!signal.aborted) render();
+    }, { signal });
+
+    onTeardown(() => {
+      clearTimeout(pendingG);
+      if (help && help.isOpen) help.close();
+      if (palette.isOpen) palette.close();
+      list.replaceChildren();
+    });
+  }
+});
@@ -0,0 +1,396 @@
+/* ===== js/contact-form.js =====
+   Contact form ([data-contact-form])
+   - sends through the configured transports (contact-transport.js), queues when offline
+   - client-side validation + autosave + cooldown
+   - anti-spam via spam-guard.js when loaded: honeypot, time-to-fill, proof-of-work
+   - inquiry types, optional attachments (multipart) and per-type drafts:
+     - inquiry type select (#inquiry-type); `[data-inquiry-only="web mobile ..."]`
+       blocks are shown only for the listed types
+     - service cards link in with `data-inquiry="<type>"` to preselect a type
+     - one autosaved draft per inquiry type, offered back as "Restore draft from <time>"
+   - every submit attempt ends in a `contact:submit` event on document,
+     detail { outcome: sent | mailto | queued | failed | cooldown | too-fast, transport?, attachments }
+*/
+import { $, $$, el, debounce, isValidEmail } from './utils.js';
+import { defineFeature } from './feature.js';
+import { t, tParts, formatDate } from './i18n.js';
+import {
+  TransportError, CONTACT_TRANSPORTS, hasAttachments, mailtoHref, contactTransportConfig,
+  sendContact, readOutbox, enqueueOutbox
+} from './contact-transport.js';
+
+/* Simple client-side rate limiter: disallow another submit for N seconds */
+const SUBMIT_COOLDOWN_SECONDS = 25;
+
+const DRAFTS_KEY = 'contact_form_drafts';
+const LEGACY_DRAFT_KEY = 'contact_form_draft';
+const DRAFT_FIELDS = ['name', 'email', 'subject', 'message', 'budget', 'timeline', 'links'];
+const DEFAULT_INQUIRY = 'general';
+
+const ATTACHMENT_MAX_FILES = 3;
+const ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024;        // per file
+const ATTACHMENT_MAX_TOTAL_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_EXTENSIONS = ['pdf', 'png', 'jpg', 'jpeg', 'txt', 'md', 'doc', 'docx', 'zip'];
+
+/** readDrafts() - { [inquiryType]: { ...fields, savedAt } }, migrating the old single draft */
+function readDrafts() {
+  let drafts = {};
+  try { drafts = JSON.parse(localStorage.getItem(DRAFTS_KEY)) || {}; } catch (e) { drafts = {}; }
+  try {
+    const legacy = localStorage.getItem(LEGACY_DRAFT_KEY);
+    if (legacy) {
+      if (!drafts[DEFAULT_INQUIRY]) drafts[DEFAULT_INQUIRY] = JSON.parse(legacy);
+      localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+      localStorage.removeItem(LEGACY_DRAFT_KEY);
+    }
+  } catch (e) { /* ignore storage errors */ }
+  return drafts;
+}
+
+function writeDraft(type, draft) {
+  const drafts = readDrafts();
+  if (draft) drafts[type] = draft;
+  else delete drafts[type];
+  try {
+    if (Object.keys(drafts).length) localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+    else localStorage.removeItem(DRAFTS_KEY);
+  } catch (e) { /* ignore storage errors */ }
+}
+
+/** formatSavedAt(iso) - "5 minutes ago" for recent drafts, a date otherwise */
+function formatSavedAt(iso) {
+  const then = new Date(iso);
+  if (Number.isNaN(then.getTime())) return t('contact.draft.earlier', 'earlier');
+  const minutes = Math.round((Date.now() - then.getTime()) / 60000);
+  if (minutes < 1) return t('contact.draft.justNow', 'just now');
+  if (minutes < 60) {
+    return t('contact.draft.minutesAgo', { one: '{count} minute ago', other: '{count} minutes ago' }, { count: minutes });
+  }
+  if (minutes < 24 * 60 && then.getDate() === new Date().getDate()) {
+    return t('contact.draft.todayAt', 'today at {time}', { time: formatDate(then, { hour: 'numeric', minute: '2-digit' }) });
+  }
+  return formatDate(then, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * checkAttachments(files)
+ * Client-side mirror of the server limits. Returns { ok, error }.
+ */
+function checkAttachments(files) {
+  const list = Array.from(files || []);
+  if (list.length > ATTACHMENT_MAX_FILES) {
+    return { ok: false, error: t('contact.attachments.tooMany', { one: 'Please attach at most {count} file.', other: 'Please attach at most {count} files.' }, { count: ATTACHMENT_MAX_FILES }) };
+  }
+  for (const file of list) {
+    const ext = (file.name.split('.').pop() || '').toLowerCase();
+    if (!ATTACHMENT_EXTENSIONS.includes(ext)) {
+      return { ok: false, error: t('contact.attachments.badType', '"{file}" is not an accepted file type ({types}).', { file: file.name, types: ATTACHMENT_EXTENSIONS.join(', ') }) };
+    }
+    if (file.size > ATTACHMENT_MAX_BYTES) {
+      return { ok: false, error: t('contact.attachments.tooBig', '"{file}" is {size}; the limit is {limit} per file.', { file: file.name, size: formatBytes(file.size), limit: formatBytes(ATTACHMENT_MAX_BYTES) }) };
+    }
+  }
+  const total = list.reduce((sum, f) => sum + f.size, 0);
+  if (total > ATTACHMENT_MAX_TOTAL_BYTES) {
+    return { ok: false, error: t('contact.attachments.tooMuch', 'Attachments add up to {size}; the limit is {limit}.', { size: formatBytes(total), limit: formatBytes(ATTACHMENT_MAX_TOTAL_BYTES) }) };
+  }
+  return { ok: true, error: '' };
+}
+
+/** applyInquiryType(form, type) - shows/hides [data-inquiry-only] blocks, disabling hidden inputs */
+function applyInquiryType(form, type) {
+  $$('[data-inquiry-only]', form).forEach(block => {
+    const show = block.dataset.inquiryOnly.split(/\s+/).includes(type);
+    block.classList.toggle('hidden', !show);
+    $$('input, select, textarea', block).forEach(input => { input.disabled = !show; });
+  });
+}
+
+/** initCharCounters(form) - "12 / 5000" under every field with maxlength + [data-counter-for] */
+function initCharCounters(form, signal) {
+  const counters = $$('[data-counter-for]', form).map(counter => {
+    const field = form.elements[counter.dataset.counterFor];
+    if (!field) return null;
+    const max = Number(field.getAttribute('maxlength')) || 0;
+    const update = () => {
+      const len = field.value.length;
+      counter.textContent = max ? `${len} / ${max}` : String(len);
+      counter.classList.toggle('text-error', Boolean(max) && len >= max * 0.95);
+    };
+    field.addEventListener('input', update, { signal });
+    update();
+    return update;
+  }).filter(Boolean);
+  // form.reset() doesn't fire input events
+  return () => counters.forEach(update => update());
+}
+
+export const contactFormFeature = defineFeature({
+  name: 'contact-form',
+  attribute: 'data-contact-form',
+  setup: setupContactForm
+});
+
+function setupContactForm({ signal, onTeardown }) {
+  const form = $('[data-contact-form]');
+
+  const submitBtn = $('#contact-submit');
+  const spinner = $('#submit-spinner');
+  const feedback = $('#contact-feedback');
+  const resetBtn = $('#contact-reset');
+  const typeSelect = form.elements.inquiryType;
+  const fileInput = form.elements.attachments;
+  const currentType = () => (typeSelect && typeSelect.value) || DEFAULT_INQUIRY;
+  const field = name => form.elements[name];
+  const refreshCounters = initCharCounters(form, signal);
+
+  // inquiry type: conditional fields + preselect from service cards
+  if (typeSelect) {
+    applyInquiryType(form, currentType());
+    $$('[data-inquiry]').forEach(link => link.addEventListener('click', () => {
+      if (![...typeSelect.options].some(o => o.value === link.dataset.inquiry)) return;
+      typeSelect.value = link.dataset.inquiry;
+      typeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    }, { signal }));
+  }
+
+  // drafts: one per inquiry type, offered back instead of silently overwriting the form
+  const draftBar = el('div', { id: 'contact-draft', class: 'hidden flex flex-wrap items-center gap-3 text-sm bg-blue-50 dark:bg-blue-900/20 rounded-lg px-3 py-2', role: 'status' });
+  form.prepend(draftBar);
+  onTeardown(() => draftBar.remove());
+
+  function collectDraft() {
+    const draft = {};
+    DRAFT_FIELDS.forEach(name => { if (field(name)) draft[name] = field(name).value.trim(); });
+    return draft;
+  }
+
+  function restoreDraft(draft) {
+    DRAFT_FIELDS.forEach(name => { if (field(name) && draft[name]) field(name).value = draft[name]; });
+    refreshCounters();
+  }
+
+  function offerDraft() {
+    const draft = readDrafts()[currentType()];
+    const current = collectDraft();
+    const differs = draft && DRAFT_FIELDS.some(name => draft[name] && draft[name] !== current[name]);
+    if (!differs) { draftBar.classList.add('hidden'); return; }
+    draftBar.replaceChildren(
+      el('span', { text: t('contact.draft.notice', 'You have an unsent draft from {when}.', { when: formatSavedAt(draft.savedAt) }) }),
+      el('button', { type: 'button', class: 'text-blue-600 dark:text-blue-400 font-medium hover:underline', text: t('contact.draft.restore', 'Restore draft'),
+        onClick: () => { restoreDraft(draft); draftBar.classList.add('hidden'); } }),
+      el('button', { type: 'button', class: 'text-gray-500 hover:underline', text: t('contact.draft.discard', 'Discard'),
+        onClick: () => { writeDraft(currentType(), null); draftBar.classList.add('hidden'); } })
+    );
+    draftBar.classList.remove('hidden');
+  }
+
+  // autosave on change (debounced), keyed by the inquiry type at the time of typing
+  form.addEventListener('input', debounce((e) => {
+    if (signal.aborted || (e && e.target === fileInput)) return;
+    const draft = collectDraft();
+    if (!DRAFT_FIELDS.some(name => draft[name])) return;
+    writeDraft(currentType(), { ...draft, savedAt: new Date().toISOString() });
+  }, 500), { signal });
+
+  typeSelect?.addEventListener('change', () => {
+    applyInquiryType(form, currentType());
+    offerDraft();
+  }, { signal });
+  offerDraft();
+  document.addEventListener('localechange', () => {
+    if (!draftBar.classList.contains('hidden')) offerDraft();
+  }, { signal });
+
+  // attachments: validate as soon as files are picked
+  fileInput?.addEventListener('change', () => {
+    const check = checkAttachments(fileInput.files);
+    showError('attachments', !check.ok, check.error);
+  }, { signal });
+
+  // quick helper to show/hide error nodes
+  function showError(id, show, text) {
+    const el = document.getElementById(id + '-error');
+    if (!el) return;
+    el.textContent = text || el.textContent;
+    el.classList.toggle('hidden', !show);
+  }
+
+  // simple validation
+  function validate() {
+    let ok = true;
+    const name = field('name').value.trim();
+    const email = field('email').value.trim();
+    const message = field('message').value.trim();
+
+    if (!name) { showError('name', true, t('contact.errors.name', 'Please enter your name.')); ok = false; } else showError('name', false);
+    if (!isValidEmail(email)) { showError('email', true, t('contact.errors.email', 'Please enter a valid email.')); ok = false; } else showError('email', false);
+    if (!message) { showError('message', true, t('contact.errors.message', 'Please write a message.')); ok = false; } else showError('message', false);
+    if (fileInput) {
+      const check = checkAttachments(fileInput.files);
+      showError('attachments', !check.ok, check.error);
+      if (!check.ok) ok = false;
+    }
+
+    return ok;
+  }
+
+  // client-side cooldown check
+  function isOnCooldown() {
+    const last = localStorage.getItem('contact_last_sent_at');
+    if (!last) return false;
+    const diff = (Date.now() - Number(last)) / 1000;
+    return diff < SUBMIT_COOLDOWN_SECONDS;
+  }
+
+  // anti-spam: time-to-fill starts at the first interaction (restored drafts don't count)
+  const guard = window.spamGuard;
+  const honeypot = guard && form.elements[guard.HONEYPOT_FIELD];
+  let fillStartedAt = null;
+  const markStart = () => { if (fillStartedAt === null) fillStartedAt = Date.now(); };
+  form.addEventListener('focusin', markStart, { signal });
+  form.addEventListener('input', markStart, { signal });
+
+  /** showFeedback(tone, key, fallback, params) - tone: 'success' | 'error' | 'muted' */
+  function showFeedback(tone, key, fallback, params) {
+    feedback.replaceChildren(el('span', { class: `text-${tone}` }, tParts(key, fallback, params)));
+  }
+  const reportSubmit = (outcome, detail = {}) => {
+    document.dispatchEvent(new CustomEvent('contact:submit', { detail: { outcome, ...detail } }));
+  };
+  const emailLink = (cfg, payload) => el('a', { href: mailtoHref(cfg.mailto, payload), class: 'text-blue-600', text: cfg.mailto });
+
+  // handle form reset
+  resetBtn?.addEventListener('click', () => {
+    writeDraft(currentType(), null);
+    form.reset();
+    fillStartedAt = null;
+    showError('name', false); showError('email', false); showError('message', false); showError('attachments', false);
+    feedback.textContent = '';
+    applyInquiryType(form, currentType());
+    refreshCounters();
+    draftBar.classList.add('hidden');
+  }, { signal });
+
+  // reflect background outbox progress in the feedback area
+  document.addEventListener('contact:outbox-sent', () => {
+    const left = readOutbox().length;
+    showFeedback('success', 'contact.outbox.sent', 'Your queued message has been sent.');
+    if (left) feedback.firstChild.append(' ', t('contact.outbox.stillWaiting', '{count} still waiting.', { count: left }));
+  }, { signal });
+  document.addEventListener('contact:outbox-failed', (e) => {
+    const { payload, cfg } = e.detail.item;
+    showFeedback('error', 'contact.outbox.failed', 'A queued message could not be delivered. Please email {email} instead.', { email: emailLink(cfg, payload) });
+  }, { signal });
+  const queued = readOutbox().length;
+  if (queued) {
+    showFeedback('muted', 'contact.outbox.pending', {
+      one: '{count} message waiting to be sent — will retry automatically.',
+      other: '{count} messages waiting to be sent — will retry automatically.'
+    }, { count: queued });
+  }
+
+  // submit handler
+  form.addEventListener('submit', async (e) => {
+    // allow native submit if JS disabled — but here JS is enabled so intercept
+    e.preventDefault();
+    feedback.textContent = '';
+    if (!validate()) return;
+
+    if (isOnCooldown()) {
+      showFeedback('error', 'contact.cooldown', 'Please wait a few seconds before sending another message.');
+      reportSubmit('cooldown');
+      return;
+    }
+
+    // honeypot filled: only bots see that field, so pretend it worked and drop it
+    if (honeypot && honeypot.value.trim()) {
+      showFeedback('success', 'contact.sent', 'Thanks — your message has been sent. I will reply soon.');
+      form.reset();
+      return;
+    }
+    const timeToFill = Date.now() - (fillStartedAt ?? Date.now());
+    if (guard && timeToFill < guard.MIN_FILL_MS) {
+      showFeedback('error', 'contact.tooFast', 'That was quick! Please take a moment to review your message, then send it again.');
+      reportSubmit('too-fast');
+      return;
+    }
+
+    submitBtn.disabled = true;
+    if (spinner) spinner.classList.remove('hidden');
+
+    const payload = {
+      name: field('name').value.trim(),
+      email: field('email').value.trim(),
+      subject: (field('subject') && field('subject').value.trim()) || '(no subject)',
+      message: field('message').value.trim(),
+      sentAt: new Date().toISOString()
+    };
+    if (typeSelect) payload.inquiryType = currentType();
+    ['budget', 'timeline', 'links'].forEach(name => {
+      if (field(name) && !field(name).disabled && field(name).value.trim()) payload[name] = field(name).value.trim();
+    });
+    if (fileInput && fileInput.files.length) payload.attachments = Array.from(fileInput.files);
+    if (guard) {
+      payload[guard.HONEYPOT_FIELD] = '';
+      payload._ttf = timeToFill;
+      try {
+        showFeedback('muted', 'contact.securing', 'Securing your message…');
+        payload._pow = await guard.mintStamp(payload);
+        feedback.textContent = '';
+      } catch (err) {
+        // no WebCrypto (old browser / insecure context): send without a stamp, the server decides
+        console.warn('Proof-of-work unavailable:', err);
+        feedback.textContent = '';
+      }
+    }
+
+    const cfg = contactTransportConfig(form);
+
+    function succeeded() {
+      const type = currentType();
+      form.reset();
+      fillStartedAt = null;
+      writeDraft(type, null);
+      applyInquiryType(form, currentType());
+      refreshCounters();
+      try { localStorage.setItem('contact_last_sent_at', Date.now().toString()); }
+      catch (e) {}
+    }
+
+    try {
+      if (navigator.onLine === false) throw new TransportError('Browser is offline', { retryable: true });
+      const used = await sendContact(payload, cfg);
+      if (used === 'mailto') showFeedback('success', 'contact.mailto', 'Your mail app should open with the message ready to send.');
+      else showFeedback('success', 'contact.sent', 'Thanks — your message has been sent. I will reply soon.');
+      reportSubmit(used === 'mailto' ? 'mailto' : 'sent', { transport: used, attachments: hasAttachments(payload) });
+      succeeded();
+    } catch (err) {
+      console.error('Error submitting contact form:', err);
+      // files can't be persisted to localStorage, so messages with attachments are never queued
+      const queueable = !hasAttachments(payload) && cfg.transports.some(n => CONTACT_TRANSPORTS[n].queueable !== false);
+      if (err.retryable && queueable) {
+        // keep it and retry in the background; the visitor doesn't have to do anything
+        const size = enqueueOutbox(payload, cfg);
+        succeeded();
+        showFeedback('muted', 'contact.queued', 'You appear to be offline or the server is busy. Your message is queued ({count} waiting) and will be sent automatically once the connection is back.', { count: size });
+        reportSubmit('queued', { attachments: false });
+      } else if (err.retryable && hasAttachments(payload)) {
+        showFeedback('muted', 'contact.attachmentsFailed', 'Could not upload your message with attachments right now. Please try again later, or email {email} and attach the files there.', { email: emailLink(cfg, payload) });
+        reportSubmit('failed', { attachments: true, status: err.status || 0 });
+      } else {
+        showFeedback('muted', 'contact.failed', 'Could not submit. You can alternatively email {email}.', { email: emailLink(cfg, payload) });
+        reportSubmit('failed', { attachments: hasAttachments(payload), status: err.status || 0 });
+      }
+    } finally {
+      submitBtn.disabled = false;
+      if (spinner) spinner.classList.add('hidden');
+    }
+  }, { signal });
+}
@@ -0,0 +1,373 @@
+/* ===== js/contact-transport.js =====
+   Contact transports + offline outbox
+   - adapters: json (default), netlify, formspree, mailto
+   - chosen per form via data attributes:
+       data-transport="json netlify"  (space-separated, tried in order)
+       data-endpoint="https://formspree.io/f/xxxx" (formspree; json falls back to `action`)
+       data-mailto="me@example.com"   (mailto adapter + fallback links)
+   - retryable failures (offline, timeout, 5xx, 429) are queued in localStorage
+     and retried with exponential backoff on `online` / page load; where Background Sync
+     is available js/offline.js hands queued items over to the service worker instead
+   - anti-spam answers on replay: a stamp the server answers with the id of the message
+     it stored means an earlier attempt arrived (only its response was lost), so the
+     message counts as sent; a stamp that expired while the message waited, or one
+     replayed without a stored id, is re-minted once
+*/
+import { timeoutFetch } from './utils.js';
+import { defineFeature } from './feature.js';
+
+export const CONTACT_EMAIL = 'priyanshusingh21187@gmail.com';
+const OUTBOX_KEY = 'contact_outbox';
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_BASE_DELAY_MS = 5000;
+const OUTBOX_MAX_DELAY_MS = 10 * 60 * 1000;
+
+/**
+ * TransportError - `retryable` tells the caller whether queueing makes sense;
+ * `reason` is the server's rejection reason when it gave one (e.g. 'pow-expired'),
+ * `messageId` the stored message a 'pow-replayed' stamp belongs to
+ */
+export class TransportError extends Error {
+  constructor(message, { status = 0, retryable = false, reason = '', messageId = '' } = {}) {
+    super(message);
+    this.name = 'TransportError';
+    this.status = status;
+    this.retryable = retryable;
+    this.reason = reason;
+    this.messageId = messageId;
+  }
+}
+
+/* map a fetch Response / thrown error onto TransportError */
+async function ensureOk(res, label) {
+  if (res.ok) return res;
+  const text = await res.text().catch(() => '');
+  let reason = '';
+  let messageId = '';
+  try {
+    const json = JSON.parse(text);
+    reason = String(json.reason || '');
+    messageId = String(json.id || '');
+  } catch (e) { /* not our server's JSON */ }
+  throw new TransportError(`${label} returned ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}`, {
+    status: res.status,
+    retryable: res.status >= 500 || res.status === 429 || res.status === 408,
+    reason,
+    messageId
+  });
+}
+function networkError(err, label) {
+  if (err instanceof TransportError) return err;
+  // AbortError (timeoutFetch) and TypeError (offline / DNS / CORS) are worth retrying
+  return new TransportError(`${label} unreachable: ${err.message || err}`, { retryable: true });
+}
+
+/* fetch a request description built by a transport's request() */
+function postRequest(req) {
+  return timeoutFetch(req.url, { method: req.method, headers: req.headers, body: req.body }, req.timeout);
+}
+
+/*
+ * Transports with request(payload, cfg) -> { url, method, headers, body, timeout } describe
+ * their POST up front; without attachments the body is a string, so a queued message can be
+ * handed to the service worker and replayed there (see outboxRequests / sw.js).
+ */
+export const CONTACT_TRANSPORTS = {
+  /* JSON POST to the form action (or /api/contact) */
+  json: {
+    request(payload, cfg) {
+      const multipart = hasAttachments(payload);
+      return {
+        url: cfg.action || '/api/contact',
+        method: 'POST',
+        // the browser sets the multipart boundary itself, so no Content-Type for FormData
+        headers: multipart ? { Accept: 'application/json' } : { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: multipart ? toFormData(payload) : JSON.stringify(payload),
+        timeout: multipart ? 60000 : 9000
+      };
+    },
+    async send(payload, cfg) {
+      const req = this.request(payload, cfg);
+      try {
+        await ensureOk(await postRequest(req), req.url);
+      } catch (err) { throw networkError(err, req.url); }
+    }
+  },
+
+  /* Netlify Forms: url-encoded (multipart with files) POST to the site root with `form-name` */
+  netlify: {
+    available: cfg => cfg.netlify,
+    request(payload, cfg) {
+      const multipart = hasAttachments(payload);
+      return {
+        url: '/',
+        method: 'POST',
+        headers: multipart ? {} : { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: multipart
+          ? toFormData({ 'form-name': cfg.formName, ...payload })
+          : new URLSearchParams({ 'form-name': cfg.formName, ...stringifyValues(payload) }).toString(),
+        timeout: multipart ? 60000 : 9000
+      };
+    },
+    async send(payload, cfg) {
+      try {
+        await ensureOk(await postRequest(this.request(payload, cfg)), 'Netlify form');
+      } catch (err) { throw networkError(err, 'Netlify form'); }
+    }
+  },
+
+  /* Formspree-style hosted endpoint: JSON (multipart with files) in, { ok } or { errors: [...] } out */
+  formspree: {
+    available: cfg => Boolean(cfg.endpoint),
+    request(payload, cfg) {
+      const data = { ...payload, _replyto: payload.email, _subject: payload.subject };
+      const multipart = hasAttachments(payload);
+      return {
+        url: cfg.endpoint,
+        method: 'POST',
+        headers: multipart ? { Accept: 'application/json' } : { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: multipart ? toFormData(data) : JSON.stringify(data),
+        timeout: multipart ? 60000 : 9000
+      };
+    },
+    async send(payload, cfg) {
+      let res;
+      try {
+        res = await postRequest(this.request(payload, cfg));
+      } catch (err) { throw networkError(err, 'Form service'); }
+      if (res.ok) return;
+      const result = await res.json().catch(() => ({}));
+      const detail = Array.isArray(result.errors) ? result.errors.map(e => e.message).join('; ') : '';
+      throw new TransportError(`Form service returned ${res.status}${detail ? `: ${detail}` : ''}`, {
+        status: res.status,
+        retryable: res.status >= 500 || res.status === 429
+      });
+    }
+  },
+
+  /* mailto: hands the message to the visitor's mail client; never queued */
+  mailto: {
+    queueable: false,
+    async send(payload, cfg) {
+      window.location.href = mailtoHref(cfg.mailto, payload);
+    }
+  }
+};
+
+function stringifyValues(obj) {
+  return Object.fromEntries(Object.entries(obj)
+    .filter(([k]) => k !== 'attachments')
+    .map(([k, v]) => [k, v === null || v === undefined ? '' : String(v)]));
+}
+
+export function hasAttachments(payload) {
+  return Array.isArray(payload.attachments) && payload.attachments.length > 0;
+}
+
+/** toFormData(payload) - multipart body; files go under repeated `attachments` entries */
+function toFormData(payload) {
+  const data = new FormData();
+  Object.entries(stringifyValues(payload)).forEach(([k, v]) => data.append(k, v));
+  (payload.attachments || []).forEach(file => data.append('attachments', file, file.name));
+  return data;
+}
+
+/** mailtoHref(address, payload) - prefilled mailto: link */
+export function mailtoHref(address, payload = {}) {
+  const params = [];
+  if (payload.subject) params.push(`subject=${encodeURIComponent(payload.subject)}`);
+  if (payload.message) params.push(`body=${encodeURIComponent(payload.message)}`);
+  return `mailto:${address}${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * contactTransportConfig(form)
+ * Reads the data attributes into a plain (serializable) config, so queued items
+ * can be replayed after a reload without the form in the page.
+ */
+export function contactTransportConfig(form) {
+  const netlify = form.hasAttribute('netlify') || form.dataset.netlify === 'true';
+  const requested = (form.dataset.transport || 'json').split(/[\s,]+/).filter(Boolean);
+  return {
+    transports: requested.filter(name => CONTACT_TRANSPORTS[name]),
+    action: form.getAttribute('action') || '/api/contact',
+    endpoint: form.dataset.endpoint || '',
+    mailto: form.dataset.mailto || CONTACT_EMAIL,
+    formName: (form.elements['form-name'] && form.elements['form-name'].value) || form.getAttribute('name') || form.id,
+    netlify
+  };
+}
+
+/**
+ * sendContact(payload, cfg)
+ * Tries each configured transport in order. Resolves with the transport name used;
+ * rejects with the last TransportError (retryable if any queueable transport failed retryably;
+ * reason 'pow-expired' or 'pow-replayed' if a transport wants the stamp re-minted).
+ */
+export async function sendContact(payload, cfg) {
+  let lastError = new TransportError('No contact transport configured');
+  let retryable = false;
+  let stampRejected = '';
+  for (const name of cfg.transports) {
+    const transport = CONTACT_TRANSPORTS[name];
+    if (transport.available && !transport.available(cfg)) continue;
+    try {
+      await transport.send(payload, cfg);
+      return name;
+    } catch (err) {
+      // the server stored a message with this very stamp: an earlier attempt got through
+      if (err.reason === 'pow-replayed' && err.messageId) return name;
+      lastError = err instanceof TransportError ? err : new TransportError(String(err && err.message || err));
+      if (lastError.retryable && transport.queueable !== false) retryable = true;
+      if (['pow-expired', 'pow-replayed'].includes(lastError.reason)) stampRejected = lastError.reason;
+      console.warn(`Contact transport "${name}" failed:`, lastError.message);
+    }
+  }
+  lastError.retryable = retryable;
+  if (stampRejected) lastError.reason = stampRejected;
+  throw lastError;
+}
+
+/* --- outbox (localStorage; survives reloads) --- */
+export function readOutbox() {
+  try { return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || []; } catch (e) { return []; }
+}
+
+function writeOutbox(items) {
+  try {
+    if (items.length) localStorage.setItem(OUTBOX_KEY, JSON.stringify(items));
+    else localStorage.removeItem(OUTBOX_KEY);
+  } catch (e) { /* storage full or disabled: nothing else we can do */ }
+  document.dispatchEvent(new CustomEvent('contact:outbox', { detail: { size: items.length } }));
+}
+
+/** backoff delay for the n-th retry: 5s, 10s, 20s... capped, with ±20% jitter */
+function outboxDelay(attempts) {
+  const base = Math.min(OUTBOX_BASE_DELAY_MS * 2 ** attempts, OUTBOX_MAX_DELAY_MS);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+export function enqueueOutbox(payload, cfg) {
+  const items = readOutbox();
+  items.push({
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    payload,
+    cfg: { ...cfg, transports: cfg.transports.filter(n => CONTACT_TRANSPORTS[n].queueable !== false) },
+    attempts: 0,
+    queuedAt: Date.now(),
+    nextAttemptAt: Date.now() + outboxDelay(0)
+  });
+  writeOutbox(items);
+  scheduleOutboxRetry();
+  return items.length;
+}
+
+/** removeOutboxItem(id) - drop a queued item (e.g. once the service worker has taken it over) */
+export function removeOutboxItem(id) {
+  const items = readOutbox();
+  const idx = items.findIndex(i => i.id === id);
+  if (idx === -1) return false;
+  items.splice(idx, 1);
+  writeOutbox(items);
+  return true;
+}
+
+/**
+ * outboxRequests(item)
+ * The queued item's transports as plain request descriptions ({ transport, url, method,
+ * headers, body, timeout }), in order; what the service worker replays on Background Sync.
+ */
+export function outboxRequests(item) {
+  if (hasAttachments(item.payload)) return [];
+  return item.cfg.transports
+    .map(name => [name, CONTACT_TRANSPORTS[name]])
+    .filter(([, transport]) => transport.request && (!transport.available || transport.available(item.cfg)))
+    .map(([name, transport]) => ({ transport: name, ...transport.request(item.payload, item.cfg) }));
+}
+
+/*
+ * queued messages can outlive their proof-of-work stamp (POW_MAX_AGE_MS), or find it taken
+ * by a submission the server never stored: mint a fresh one and send again
+ */
+async function sendQueued(item) {
+  try {
+    await sendContact(item.payload, item.cfg);
+  } catch (err) {
+    const guard = window.spamGuard;
+    if (!['pow-expired', 'pow-replayed'].includes(err.reason) || !guard || !item.payload._pow) throw err;
+    item.payload._pow = await guard.mintStamp(item.payload);
+    await sendContact(item.payload, item.cfg);
+  }
+}
+
+let outboxTimer = null;
+let outboxFlushing = false;
+
+/** schedule the next flush for the earliest due item (no-op while offline; `online` restarts it) */
+function scheduleOutboxRetry() {
+  clearTimeout(outboxTimer);
+  const items = readOutbox();
+  if (!items.length || navigator.onLine === false) return;
+  const due = Math.min(...items.map(i => i.nextAttemptAt || 0));
+  outboxTimer = setTimeout(() => flushOutbox(), Math.max(0, due - Date.now()));
+}
+
+/**
+ * flushOutbox({ force })
+ * Sends due items (all items when force=true). Non-retryable failures and items that
+ * exhausted OUTBOX_MAX_ATTEMPTS are dropped and reported via `contact:outbox-failed`.
+ * Resolves with { sent, remaining }.
+ */
+export async function flushOutbox({ force = false } = {}) {
+  if (outboxFlushing) return { sent: 0, remaining: readOutbox().length };
+  outboxFlushing = true;
+  let sent = 0;
+  try {
+    for (const item of readOutbox()) {
+      if (navigator.onLine === false) break;
+      if (!force && item.nextAttemptAt > Date.now()) continue;
+      let outcome;
+      try {
+        await sendQueued(item);
+        outcome = 'sent';
+      } catch (err) {
+        outcome = err.retryable && item.attempts + 1 < OUTBOX_MAX_ATTEMPTS ? 'retry' : 'failed';
+        if (outcome === 'failed') {
+          document.dispatchEvent(new CustomEvent('contact:outbox-failed', { detail: { item, error: err.message } }));
+        }
+      }
+      // re-read so items queued meanwhile (another tab / a new submit) are not lost
+      const items = readOutbox();
+      const idx = items.findIndex(i => i.id === item.id);
+      if (idx === -1) continue;
+      if (outcome === 'retry') {
+        items[idx].attempts += 1;
+        items[idx].payload = item.payload;   // keeps a re-minted stamp
+        items[idx].nextAttemptAt = Date.now() + outboxDelay(items[idx].attempts);
+      } else {
+        items.splice(idx, 1);
+      }
+      writeOutbox(items);
+      if (outcome === 'sent') {
+        sent += 1;
+        document.dispatchEvent(new CustomEvent('contact:outbox-sent', { detail: { item } }));
+      }
+    }
+  } finally {
+    outboxFlushing = false;
+  }
+  scheduleOutboxRetry();
+  return { sent, remaining: readOutbox().length };
+}
+
+/* outbox feature: retries messages queued while offline (on `online` and on page load) */
+export const contactOutboxFeature = defineFeature({
+  name: 'contact-outbox',
+  attribute: 'data-contact-form',
+  setup({ signal, onTeardown }) {
+    window.addEventListener('online', () => flushOutbox({ force: true }), { signal });
+    window.addEventListener('offline', () => clearTimeout(outboxTimer), { signal });
+    onTeardown(() => clearTimeout(outboxTimer));
+    if (readOutbox().length) flushOutbox({ force: true });
+  }
+});
@@ -0,0 +1,277 @@
+/* ===== js/experience.js =====
+   Experience timeline
+   - rendered from data/experience.json into #experience-timeline; the static
+     items stay as the no-JS / load-failure fallback
+   - role details expand/collapse (the current role starts open)
+   - durations are computed from start/end months ("2 yrs 9 mos")
+   - technology filter (#experience-filters) also highlights the #skills cards
+     whose data-skill-tags list that technology
+   - scroll progress along the vertical line: one IntersectionObserver marks
+     items as reached, like the fade-in feature does
+*/
+import { $, $$, el, timeoutFetch, slugify } from './utils.js';
+import { defineFeature } from './feature.js';
+import { t, formatYearMonth } from './i18n.js';
+import { renderTags } from './projects.js';
+
+const EXPERIENCE_URL = 'data/experience.json';
+
+/* cache of the last loaded data: { items: [...] } */
+let experienceCatalog = null;
+/* { setFilter, refresh } once the experience feature has rendered the timeline */
+let experienceController = null;
+
+/** normalizeExperience(raw) - fills defaults so renderers never have to guard individual fields */
+function normalizeExperience(raw) {
+  const role = raw.role || 'Role';
+  return {
+    id: raw.id || slugify(`${role} ${raw.company || ''}`),
+    role,
+    company: raw.company || '',
+    location: raw.location || '',
+    startDate: raw.startDate || null,
+    endDate: raw.endDate || null,
+    icon: raw.icon || 'fas fa-briefcase',
+    summary: raw.summary || '',
+    highlights: Array.isArray(raw.highlights) ? raw.highlights : [],
+    technologies: Array.isArray(raw.technologies) ? raw.technologies : []
+  };
+}
+
+/**
+ * loadExperience(url)
+ * Fetches and normalizes the timeline, current roles first, then by start date.
+ * Result is cached; pass a url to force a reload.
+ */
+export async function loadExperience(url) {
+  if (experienceCatalog && !url) return experienceCatalog;
+  const res = await timeoutFetch(url || EXPERIENCE_URL, { headers: { Accept: 'application/json' } }, 6000);
+  if (!res.ok) throw new Error(`Experience data returned ${res.status}`);
+  const data = await res.json();
+  const items = (Array.isArray(data) ? data : (data.experience || [])).map(normalizeExperience);
+  items.sort((a, b) => String(b.endDate || '9999').localeCompare(String(a.endDate || '9999'))
+    || String(b.startDate || '').localeCompare(String(a.startDate || '')));
+  experienceCatalog = { items };
+  return experienceCatalog;
+}
+
+/** monthsBetween('2022-01', '2024-09') - whole months, first and last month included; no end = now */
+function monthsBetween(start, end) {
+  const index = ym => {
+    const [y, m] = String(ym).split('-').map(Number);
+    return y * 12 + ((m || 1) - 1);
+  };
+  const now = new Date();
+  const last = end ? index(end) : now.getFullYear() * 12 + now.getMonth();
+  return Math.max(1, last - index(start) + 1);
+}
+
+/** formatDuration(months) - "2 yrs 9 mos" */
+function formatDuration(months) {
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  return [
+    years ? t('experience.years', { one: '{count} yr', other: '{count} yrs' }, { count: years }) : null,
+    rest ? t('experience.months', { one: '{count} mo', other: '{count} mos' }, { count: rest }) : null
+  ].filter(Boolean).join(' ');
+}
+
+/** renderExperienceItem(item, expanded) - mirrors the markup of the static timeline items */
+function renderExperienceItem(item, expanded) {
+  const detailsId = `experience-details-${item.id}`;
+  const month = ym => el('time', { datetime: ym, text: formatYearMonth(ym) });
+  const meta = item.startDate
+    ? [formatDuration(monthsBetween(item.startDate, item.endDate)), item.location].filter(Boolean).join(' · ')
+    : item.location;
+  return el('div', { class: 'mb-12 timeline-item', 'data-id': item.id, 'data-tech': item.technologies.join(',') },
+    el('div', { class: 'flex flex-col md:flex-row items-center relative' },
+      el('div', { class: 'md:w-1/2 md:pr-8 md:text-right mb-4 md:mb-0' },
+        el('h4', { class: 'text-xl font-bold' }, item.role, ' ', el('span', { class: 'text-blue-600 font-medium', text: item.company })),
+        item.startDate && el('p', { class: 'text-sm text-gray-500' },
+          month(item.startDate), ' — ', item.endDate ? month(item.endDate) : t('experience.present', 'Present')),
+        meta && el('p', { class: 'text-xs text-gray-400 mt-1', text: meta })
+      ),
+      el('div', {
+        class: 'timeline-dot hidden md:flex justify-center items-center w-10 h-10 rounded-full bg-blue-600 text-white absolute left-1/2 transform -translate-x-1/2',
+        'aria-hidden': 'true'
+      }, el('i', { class: item.icon })),
+      el('div', { class: 'md:w-1/2 md:pl-8' },
+        el('p', { text: item.summary }),
+        item.highlights.length && el('ul', {
+          id: detailsId,
+          class: `mt-2 list-disc pl-5 space-y-1 text-sm text-gray-600 dark:text-gray-300${expanded ? '' : ' hidden'}`
+        }, item.highlights.map(text => el('li', { text }))),
+        el('div', { class: 'mt-3 flex flex-wrap gap-2' }, renderTags(item.technologies)),
+        item.highlights.length && el('button', {
+          type: 'button',
+          class: 'experience-toggle mt-3 text-sm text-blue-600 dark:text-blue-400 hover:underline',
+          'aria-expanded': String(expanded),
+          'aria-controls': detailsId,
+          text: expanded ? t('experience.hideDetails', 'Hide details') : t('experience.showDetails', 'Show details')
+        })
+      )
+    )
+  );
+}
+
+/** highlightSkills(tech) - marks #skills cards whose data-skill-tags include tech; null clears */
+function highlightSkills(tech) {
+  const section = $('#skills');
+  if (!section) return;
+  const wanted = tech ? tech.toLowerCase() : null;
+  let matched = 0;
+  $$('[data-skill-tags]', section).forEach(card => {
+    const on = Boolean(wanted) && card.dataset.skillTags.split(',').some(tag => tag.trim().toLowerCase() === wanted);
+    card.classList.toggle('skill-highlight', on);
+    if (on) matched++;
+  });
+  section.classList.toggle('skills-filtering', matched > 0);
+}
+
+/**
+ * initTimelineProgress(timeline)
+ * Fills .timeline-progress down to the last visible item that has scrolled past 60% of the
+ * viewport. Returns { observe(items), update(), disconnect() } or null without IntersectionObserver.
+ */
+function initTimelineProgress(timeline) {
+  const bar = $('.timeline-progress', timeline);
+  if (!bar || !('IntersectionObserver' in window)) return null;
+  const reached = new Set();
+
+  const update = () => {
+    const visible = $$('.timeline-item:not(.hidden)', timeline);
+    const last = visible.filter(item => reached.has(item)).pop();
+    const height = timeline.offsetHeight || 1;
+    const fill = last ? Math.min(1, (last.offsetTop + last.offsetHeight) / height) : 0;
+    bar.style.transform = `scaleY(${fill})`;
+    visible.forEach(item => item.classList.toggle('is-reached', reached.has(item)));
+  };
+
+  const io = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) reached.add(entry.target);
+      // leaving through the bottom (scrolling back up) un-reaches; leaving through the top keeps it
+      else if (entry.boundingClientRect.top > 0) reached.delete(entry.target);
+    });
+    update();
+  }, { rootMargin: '0px 0px -40% 0px', threshold: 0 });
+
+  return {
+    observe(items) {
+      io.disconnect();
+      reached.clear();
+      items.forEach(item => io.observe(item));
+      update();
+    },
+    update,
+    disconnect: () => io.disconnect()
+  };
+}
+
+/**
+ * experience feature ([data-experience] on #experience-timeline)
+ * Renders the timeline and technology filter once data/experience.json has loaded.
+ */
+export const experienceFeature = defineFeature({
+  name: 'experience',
+  attribute: 'data-experience',
+  setup: setupExperience
+});
+
+async function setupExperience({ signal, onTeardown }) {
+  const timeline = $('[data-experience]');
+
+  let catalog;
+  try {
+    catalog = await loadExperience();
+  } catch (err) {
+    // the roles written into #experience-timeline stay as they are, just without filter or durations
+    console.warn('Could not load experience data, keeping static timeline:', err);
+    return;
+  }
+  if (signal.aborted) return;
+
+  const { items } = catalog;
+  const line = $('.timeline-line', timeline);
+  const filters = $('#experience-filters');
+  const expanded = new Set(items.slice(0, 1).map(item => item.id));
+  const progress = initTimelineProgress(timeline);
+  if (progress) onTeardown(progress.disconnect);
+  let active = null;
+
+  const chip = (tech, label) => el('button', {
+    type: 'button',
+    class: 'experience-filter text-xs px-3 py-1 rounded-full border border-blue-200 dark:border-blue-800 transition',
+    'data-tech': tech,
+    'aria-pressed': 'false',
+    text: label
+  });
+  const techs = [...new Set(items.flatMap(item => item.technologies))].sort((a, b) => a.localeCompare(b));
+  const allChip = chip('', t('experience.allTech', 'All'));
+  allChip.setAttribute('data-i18n', 'experience.allTech');
+
+  function applyFilter() {
+    $$('.timeline-item', timeline).forEach(node => {
+      node.classList.toggle('hidden', Boolean(active) && !node.dataset.tech.split(',').includes(active));
+    });
+    if (filters) {
+      $$('.experience-filter', filters).forEach(btn => {
+        const on = (btn.dataset.tech || null) === active;
+        btn.setAttribute('aria-pressed', String(on));
+        btn.classList.toggle('bg-blue-600', on);
+        btn.classList.toggle('text-white', on);
+      });
+    }
+    highlightSkills(active);
+    progress?.update();
+  }
+
+  function draw() {
+    const nodes = items.map(item => renderExperienceItem(item, expanded.has(item.id)));
+    timeline.replaceChildren(...[line, ...nodes].filter(Boolean));
+    progress?.observe(nodes);
+    applyFilter();
+  }
+
+  function setFilter(tech) {
+    active = techs.find(name => name.toLowerCase() === String(tech || '').toLowerCase()) || null;
+    applyFilter();
+  }
+
+  timeline.addEventListener('click', (e) => {
+    const btn = e.target.closest('.experience-toggle');
+    if (!btn) return;
+    const id = btn.closest('.timeline-item').dataset.id;
+    const open = !expanded.has(id);
+    if (open) expanded.add(id); else expanded.delete(id);
+    document.getElementById(btn.getAttribute('aria-controls'))?.classList.toggle('hidden', !open);
+    btn.setAttribute('aria-expanded', String(open));
+    btn.textContent = open ? t('experience.hideDetails', 'Hide details') : t('experience.showDetails', 'Show details');
+    progress?.update(); // item heights changed
+  }, { signal });
+
+  if (filters) {
+    filters.replaceChildren(el('div', { class: 'flex flex-wrap justify-center gap-2' }, allChip, techs.map(tech => chip(tech, tech))));
+    filters.addEventListener('click', (e) => {
+      const btn = e.target.closest('.experience-filter');
+      if (!btn) return;
+      // clicking the active chip again clears the filter
+      setFilter(btn.dataset.tech === active ? null : btn.dataset.tech);
+    }, { signal });
+    filters.classList.remove('hidden');
+  }
+
+  draw();
+  // dates, durations and toggle labels are computed; the chip label follows data-i18n
+  document.addEventListener('localechange', draw, { signal });
+  experienceController = { setFilter, refresh: draw };
+  onTeardown(() => {
+    highlightSkills(null);
+    experienceController = null;
+  });
+}
+
+/** setExperienceFilter(tech) - show only roles using tech (null / '' shows all) */
+export function setExperienceFilter(tech) {
+  experienceController?.setFilter(tech);
+}
@@ -0,0 +1,51 @@
+/* ===== js/feature.js =====
+   Feature lifecycle shared by every module app.js registers.
+   - a feature is started only when its `data-` attribute is present in the page
+   - init() is idempotent: on a running feature it tears the old instance down first,
+     so callers can re-run it after the DOM changed
+   - setup({ signal, onTeardown }) passes `signal` to every addEventListener and
+     registers anything else (observers, timers, injected nodes) with onTeardown();
+     teardown() aborts the signal, which undoes all of it
+*/
+
+/**
+ * defineFeature({ name, attribute, setup })
+ * attribute: e.g. 'data-contact-form'. Returns { name, attribute, selector, active, init, teardown }.
+ */
+export function defineFeature({ name, attribute, setup }) {
+  let controller = null;
+
+  const feature = {
+    name,
+    attribute,
+    selector: `[${attribute}]`,
+    get active() { return controller !== null; },
+
+    /** present(root) - whether the page has markup for this feature */
+    present(root = document) {
+      return Boolean(root.querySelector(feature.selector));
+    },
+
+    /** init() - (re)start; returns whatever setup returns (a promise for async features) */
+    init() {
+      feature.teardown();
+      const current = new AbortController();
+      controller = current;
+      const onTeardown = fn => current.signal.addEventListener('abort', fn, { once: true });
+      try {
+        return setup({ signal: current.signal, onTeardown });
+      } catch (err) {
+        console.error(`Feature "${name}" failed to start`, err);
+        return undefined;
+      }
+    },
+
+    teardown() {
+      if (!controller) return;
+      const current = controller;
+      controller = null;
+      current.abort();
+    }
+  };
+  return feature;
+}
@@ -0,0 +1,338 @@
+/* ===== js/github.js =====
+   GitHub showcase ([data-github] on #github-activity, next to #projects-grid)
+   - data-github-user="<login>": public repos, stars, language breakdown and recent activity
+   - data-github-api="<base url>": API root (default https://api.github.com); point it at
+     `node server/github-fixtures.js` for development and tests. On localhost the query
+     string can override it too: ?github-api=http://127.0.0.1:8787
+   - responses are cached in localStorage (GITHUB_CACHE_KEY) and revalidated with ETags
+     (If-None-Match -> 304, which doesn't count against the rate limit)
+   - rate limits: a 403/429 with X-RateLimit-Remaining: 0 or Retry-After pauses all calls
+     until the reset time; meanwhile cached data is shown, marked as such
+   - the section stays hidden until there is something to show (no static fallback)
+*/
+import { $, el, timeoutFetch } from './utils.js';
+import { defineFeature } from './feature.js';
+import { i18n, t, formatDate, formatRelativeTime } from './i18n.js';
+
+const GITHUB_API = 'https://api.github.com';
+const GITHUB_CACHE_KEY = 'github_cache';
+const GITHUB_BACKOFF_KEY = 'github_backoff';
+const CACHE_FRESH_MS = 10 * 60 * 1000;      // serve from cache without asking
+const CACHE_MAX_ENTRIES = 40;
+const MAX_REPOS = 6;                        // cards shown
+const MAX_LANGUAGE_REPOS = 10;              // repos whose /languages are fetched
+const MAX_EVENTS = 6;
+
+/* a few linguist colors; anything else gets a stable hue from its name */
+const LANGUAGE_COLORS = {
+  JavaScript: '#f1e05a', TypeScript: '#3178c6', Java: '#b07219', Kotlin: '#A97BFF', Dart: '#00B4AB',
+  Python: '#3572A5', Go: '#00ADD8', HTML: '#e34c26', CSS: '#563d7c', Shell: '#89e051', Dockerfile: '#384d54',
+  HCL: '#844FBA', Swift: '#F05138', 'C++': '#f34b7d', C: '#555555', PHP: '#4F5D95', Ruby: '#701516', SCSS: '#c6538c'
+};
+
+/** GitHubError - `rateLimited` + `resetAt` when the API asked us to back off */
+export class GitHubError extends Error {
+  constructor(message, { status = 0, rateLimited = false, resetAt = null } = {}) {
+    super(message);
+    this.name = 'GitHubError';
+    this.status = status;
+    this.rateLimited = rateLimited;
+    this.resetAt = resetAt;
+  }
+}
+
+/* --- localStorage cache: { [url]: { etag, body, fetchedAt } } --- */
+function readCache() {
+  try { return JSON.parse(localStorage.getItem(GITHUB_CACHE_KEY)) || {}; } catch (e) { return {}; }
+}
+
+function writeCacheEntry(url, entry) {
+  const cache = readCache();
+  cache[url] = entry;
+  // keep the most recently fetched entries only
+  const urls = Object.keys(cache).sort((a, b) => cache[b].fetchedAt - cache[a].fetchedAt);
+  urls.slice(CACHE_MAX_ENTRIES).forEach(old => delete cache[old]);
+  try { localStorage.setItem(GITHUB_CACHE_KEY, JSON.stringify(cache)); } catch (e) { /* storage full or disabled: run uncached */ }
+}
+
+/** backoffUntil() - timestamp before which no API call is made (0 = none) */
+function backoffUntil() {
+  let until = 0;
+  try { until = Number(localStorage.getItem(GITHUB_BACKOFF_KEY)) || 0; } catch (e) { /* storage disabled: no backoff saved */ }
+  return until > Date.now() ? until : 0;
+}
+
+function setBackoff(until) {
+  try { localStorage.setItem(GITHUB_BACKOFF_KEY, String(until)); } catch (e) { /* ignore */ }
+}
+
+/* reset time from Retry-After (seconds) or X-RateLimit-Reset (epoch seconds); null if not rate limited */
+function rateLimitReset(res) {
+  const retryAfter = Number(res.headers.get('Retry-After'));
+  if (retryAfter > 0) return Date.now() + retryAfter * 1000;
+  if (res.headers.get('X-RateLimit-Remaining') !== '0') return null;
+  const reset = Number(res.headers.get('X-RateLimit-Reset'));
+  return reset > 0 ? reset * 1000 : Date.now() + 60 * 1000;
+}
+
+/**
+ * githubFetch(url, { force })
+ * JSON from the API through the cache: fresh entries are returned as-is, older ones are
+ * revalidated with If-None-Match. While backing off, or when the network fails, a cached
+ * body is returned with `stale: true`. Resolves { data, stale, fetchedAt }.
+ */
+export async function githubFetch(url, { force = false } = {}) {
+  const cached = readCache()[url];
+  const fromCache = stale => ({ data: cached.body, stale, fetchedAt: cached.fetchedAt });
+  if (cached && !force && Date.now() - cached.fetchedAt < CACHE_FRESH_MS) return fromCache(false);
+
+  const pausedUntil = backoffUntil();
+  if (pausedUntil) {
+    if (cached) return fromCache(true);
+    throw new GitHubError('GitHub rate limit reached', { rateLimited: true, resetAt: pausedUntil });
+  }
+
+  let res;
+  try {
+    res = await timeoutFetch(url, {
+      headers: { Accept: 'application/vnd.github+json', ...(cached && cached.etag ? { 'If-None-Match': cached.etag } : {}) }
+    }, 8000);
+  } catch (err) {
+    if (cached) return fromCache(true);
+    throw new GitHubError(`GitHub unreachable: ${err.message || err}`);
+  }
+
+  if (res.status === 304 && cached) {
+    writeCacheEntry(url, { ...cached, fetchedAt: Date.now() });
+    return { data: cached.body, stale: false, fetchedAt: Date.now() };
+  }
+  const resetAt = (res.status === 403 || res.status === 429) ? rateLimitReset(res) : null;
+  if (resetAt) {
+    setBackoff(resetAt);
+    if (cached) return fromCache(true);
+    throw new GitHubError('GitHub rate limit reached', { status: res.status, rateLimited: true, resetAt });
+  }
+  if (!res.ok) {
+    if (cached && res.status >= 500) return fromCache(true);
+    throw new GitHubError(`GitHub returned ${res.status} for ${url}`, { status: res.status });
+  }
+
+  const data = await res.json();
+  writeCacheEntry(url, { etag: res.headers.get('ETag') || null, body: data, fetchedAt: Date.now() });
+  // last call of the window: don't spend the next ones on a page that is already rendered
+  if (res.headers.get('X-RateLimit-Remaining') === '0') setBackoff(rateLimitReset(res));
+  return { data, stale: false, fetchedAt: Date.now() };
+}
+
+/* only http(s) links from API data end up in href */
+function safeUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function normalizeRepo(raw) {
+  return {
+    name: raw.name || '',
+    fullName: raw.full_name || raw.name || '',
+    description: raw.description || '',
+    url: safeUrl(raw.html_url),
+    homepage: safeUrl(raw.homepage),
+    language: raw.language || null,
+    stars: Number(raw.stargazers_count) || 0,
+    forks: Number(raw.forks_count) || 0,
+    pushedAt: raw.pushed_at || raw.updated_at || null,
+    fork: Boolean(raw.fork),
+    archived: Boolean(raw.archived),
+    topics: Array.isArray(raw.topics) ? raw.topics : []
+  };
+}
+
+/**
+ * loadGitHubProfile(user, { api, force })
+ * Repos (own, not forks/archived), language bytes summed over the most relevant repos
+ * (primary language counts as a fallback when /languages can't be fetched) and public events.
+ * Resolves { user, repos, stars, languages: [[name, share]], events, stale, fetchedAt }.
+ */
+export async function loadGitHubProfile(user, { api = GITHUB_API, force = false } = {}) {
+  const base = api.replace(/\/+$/, '');
+  const login = encodeURIComponent(user);
+  const reposRes = await githubFetch(`${base}/users/${login}/repos?per_page=100&sort=pushed&type=owner`, { force });
+  const repos = (Array.isArray(reposRes.data) ? reposRes.data : []).map(normalizeRepo).filter(r => !r.fork && !r.archived);
+  repos.sort((a, b) => (b.stars - a.stars) || String(b.pushedAt).localeCompare(String(a.pushedAt)));
+
+  let stale = reposRes.stale;
+  let fetchedAt = reposRes.fetchedAt;
+  const note = r => { stale = stale || r.stale; fetchedAt = Math.min(fetchedAt, r.fetchedAt); };
+
+  const bytes = new Map();
+  await Promise.all(repos.slice(0, MAX_LANGUAGE_REPOS).map(async repo => {
+    try {
+      const res = await githubFetch(`${base}/repos/${login}/${encodeURIComponent(repo.name)}/languages`, { force });
+      note(res);
+      Object.entries(res.data || {}).forEach(([lang, n]) => bytes.set(lang, (bytes.get(lang) || 0) + (Number(n) || 0)));
+    } catch (err) {
+      // rate limited or missing: count the repo's primary language instead
+      if (repo.language) bytes.set(repo.language, (bytes.get(repo.language) || 0) + 1);
+    }
+  }));
+  const total = Array.from(bytes.values()).reduce((a, b) => a + b, 0);
+  const languages = Array.from(bytes.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, n]) => [name, total ? n / total : 0]);
+
+  let events = [];
+  try {
+    const res = await githubFetch(`${base}/users/${login}/events/public?per_page=30`, { force });
+    note(res);
+    events = Array.isArray(res.data) ? res.data : [];
+  } catch (err) {
+    console.warn('GitHub activity unavailable:', err.message);
+  }
+
+  return { user, repos, stars: repos.reduce((n, r) => n + r.stars, 0), languages, events, stale, fetchedAt };
+}
+
+/* ------------------------------
+   Rendering
+   ------------------------------ */
+function languageColor(name) {
+  if (LANGUAGE_COLORS[name]) return LANGUAGE_COLORS[name];
+  let hash = 0;
+  for (const ch of name) hash = (hash * 31 + ch.codePointAt(0)) % 360;
+  return `hsl(${hash}, 55%, 55%)`;
+}
+
+function formatPercent(share) {
+  return formatNumber(share, { style: 'percent', maximumFractionDigits: share < 0.1 ? 1 : 0 });
+}
+
+function formatNumber(n, options) {
+  return new Intl.NumberFormat(i18n.locale, options).format(n);
+}
+
+function renderRepoCard(repo) {
+  const meta = [
+    repo.language && el('span', { class: 'inline-flex items-center gap-1' },
+      el('span', { class: 'language-dot', style: `background:${languageColor(repo.language)}`, 'aria-hidden': 'true' }), repo.language),
+    el('span', { title: t('github.stars', 'Stars') }, el('i', { class: 'fa-regular fa-star', 'aria-hidden': 'true' }), ` ${formatNumber(repo.stars)}`,
+      el('span', { class: 'sr-only' }, ` ${t('github.stars', 'Stars')}`)),
+    repo.forks ? el('span', { title: t('github.forks', 'Forks') }, el('i', { class: 'fas fa-code-branch', 'aria-hidden': 'true' }), ` ${formatNumber(repo.forks)}`,
+      el('span', { class: 'sr-only' }, ` ${t('github.forks', 'Forks')}`)) : null,
+    repo.pushedAt && el('span', {}, t('github.updated', 'Updated {when}', { when: formatRelativeTime(repo.pushedAt) }))
+  ];
+  return el('article', { class: 'github-repo bg-white dark:bg-gray-800 rounded-xl p-5 shadow-sm border border-gray-200 dark:border-gray-700 flex flex-col' },
+    el('h5', { class: 'font-semibold mb-1' },
+      repo.url ? el('a', { href: repo.url, target: '_blank', rel: 'noopener', class: 'text-blue-600 dark:text-blue-400 hover:underline' }, repo.name) : repo.name),
+    el('p', { class: 'text-sm text-gray-600 flex-1' }, repo.description || t('github.noDescription', 'No description provided.')),
+    el('div', { class: 'mt-3 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500' }, meta));
+}
+
+/* stacked bar + legend; the bar's label carries the numbers for screen readers */
+function renderLanguages(container, languages) {
+  const top = languages.slice(0, 6);
+  const other = languages.slice(6).reduce((sum, [, share]) => sum + share, 0);
+  if (other > 0) top.push([t('github.otherLanguages', 'Other'), other]);
+  const summary = top.map(([name, share]) => `${name} ${formatPercent(share)}`).join(', ');
+  container.replaceChildren(
+    el('div', { class: 'language-bar', role: 'img', 'aria-label': summary },
+      top.map(([name, share]) => el('span', { style: `width:${(share * 100).toFixed(2)}%;background:${languageColor(name)}`, title: `${name} ${formatPercent(share)}` }))),
+    el('ul', { class: 'language-legend' },
+      top.map(([name, share]) => el('li', {},
+        el('span', { class: 'language-dot', style: `background:${languageColor(name)}`, 'aria-hidden': 'true' }),
+        el('span', {}, name), el('span', { class: 'text-gray-500' }, formatPercent(share)))))
+  );
+}
+
+const ACTION_WORDS = { opened: 'Opened', closed: 'Closed', reopened: 'Reopened', merged: 'Merged' };
+function actionWord(action) {
+  const key = ACTION_WORDS[action] ? action : 'opened';
+  return t(`github.actions.${key}`, ACTION_WORDS[key]);
+}
+
+/** describeEvent(event) - one line of the activity list, or null for event types we skip */
+function describeEvent(event) {
+  const repo = event.repo ? event.repo.name : '';
+  const p = event.payload || {};
+  switch (event.type) {
+    case 'PushEvent': {
+      const count = Number(p.size ?? (p.commits || []).length) || 1;
+      return t('github.events.push', { one: 'Pushed {count} commit to {repo}', other: 'Pushed {count} commits to {repo}' }, { count, repo });
+    }
+    case 'CreateEvent':
+      return p.ref_type === 'repository'
+        ? t('github.events.createRepo', 'Created repository {repo}', { repo })
+        : t('github.events.create', 'Created {type} {ref} in {repo}', { type: p.ref_type || '', ref: p.ref || '', repo });
+    case 'PullRequestEvent': {
+      const action = p.action === 'closed' && p.pull_request && p.pull_request.merged ? 'merged' : p.action;
+      return t('github.events.pullRequest', '{action} a pull request in {repo}', { action: actionWord(action), repo });
+    }
+    case 'IssuesEvent': return t('github.events.issue', '{action} an issue in {repo}', { action: actionWord(p.action), repo });
+    case 'ReleaseEvent': return t('github.events.release', 'Released {tag} of {repo}', { tag: (p.release && p.release.tag_name) || '', repo });
+    case 'WatchEvent': return t('github.events.star', 'Starred {repo}', { repo });
+    case 'ForkEvent': return t('github.events.fork', 'Forked {repo}', { repo });
+    default: return null;
+  }
+}
+
+function renderEvents(container, events) {
+  const items = events
+    .map(event => ({ event, text: describeEvent(event) }))
+    .filter(item => item.text)
+    .slice(0, MAX_EVENTS)
+    .map(({ event, text }) => el('li', { class: 'github-event' },
+      el('span', {}, text),
+      event.created_at && el('time', { datetime: event.created_at, class: 'text-xs text-gray-500', title: formatDate(new Date(event.created_at), { dateStyle: 'medium', timeStyle: 'short' }) },
+        formatRelativeTime(event.created_at))));
+  container.replaceChildren(...(items.length ? items : [el('li', { class: 'text-gray-500' }, t('github.noActivity', 'No recent public activity.'))]));
+}
+
+/** renderGitHub(root, profile) - fills #github-activity and reveals it */
+export function renderGitHub(root, profile) {
+  $('#github-summary', root)?.replaceChildren(t('github.summary', '{repos} public repositories · {stars} stars', {
+    repos: profile.repos.length, stars: profile.stars
+  }));
+  $('#github-repos', root)?.replaceChildren(...profile.repos.slice(0, MAX_REPOS).map(renderRepoCard));
+  const languages = $('#github-languages', root);
+  if (languages) renderLanguages(languages, profile.languages);
+  const events = $('#github-events', root);
+  if (events) renderEvents(events, profile.events);
+  const status = $('#github-status', root);
+  if (status) {
+    status.textContent = profile.stale
+      ? t('github.stale', 'Showing saved data from {when}; GitHub is unavailable or rate-limited right now.', { when: formatRelativeTime(profile.fetchedAt) })
+      : '';
+  }
+  root.classList.remove('hidden');
+}
+
+/* API root: markup attribute, or ?github-api= while developing on localhost */
+function apiBase(root) {
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+  const override = local ? new URLSearchParams(window.location.search).get('github-api') : null;
+  return override || root.dataset.githubApi || GITHUB_API;
+}
+
+export const githubFeature = defineFeature({
+  name: 'github',
+  attribute: 'data-github',
+  async setup({ signal }) {
+    const root = $('[data-github]');
+    const user = root.dataset.githubUser;
+    if (!user) return;
+    let profile;
+    try {
+      profile = await loadGitHubProfile(user, { api: apiBase(root) });
+    } catch (err) {
+      console.warn('Could not load GitHub data, keeping the section hidden', err);
+      return;
+    }
+    if (signal.aborted || !profile.repos.length) return;
+    renderGitHub(root, profile);
+    // relative dates, percentages and labels follow the language
+    document.addEventListener('localechange', () => renderGitHub(root, profile), { signal });
+  }
+});
@@ -0,0 +1,180 @@
+/* ===== js/i18n.js =====
+   i18n
+   - JSON bundles in locales/<code>.json: nested keys, "{name}" placeholders,
+     plural forms as { "one": ..., "other": ... } chosen by Intl.PluralRules on {count}
+   - t(key, fallback, params): English fallback lives at the call site, so runtime
+     messages read fine before (or without) the bundles
+   - static markup: data-i18n="key" (text), data-i18n-attr="attr:key; attr:key",
+     <time datetime="2022-01" data-i18n-date> (locale-formatted from datetime)
+   - locale: saved choice ('site-locale') > navigator.languages > 'en'; sets <html lang dir>
+   - switcher: #language-switcher (<select>, options built from LOCALES)
+   - fires `localechange` on document: detail { locale, previous, dir }
+*/
+import { $, $$, el, timeoutFetch } from './utils.js';
+import { defineFeature } from './feature.js';
+
+const LOCALE_KEY = 'site-locale';
+const LOCALES_URL = 'locales/';
+const DEFAULT_LOCALE = 'en';
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr' },
+  hi: { label: 'हिन्दी', dir: 'ltr' },
+  ur: { label: 'اردو', dir: 'rtl' }
+};
+
+export const i18n = { locale: DEFAULT_LOCALE, bundles: {}, pending: {} };
+/* markup text/attributes before the first translation, used when a key is missing */
+const i18nOriginals = new WeakMap();
+
+function lookupMessage(bundle, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+}
+
+/** message(key) - raw entry from the active locale, then English; undefined if neither has it */
+function message(key) {
+  for (const code of [i18n.locale, DEFAULT_LOCALE]) {
+    const value = lookupMessage(i18n.bundles[code], key);
+    if (typeof value === 'string' || (value && typeof value.other === 'string')) return value;
+  }
+  return undefined;
+}
+
+/**
+ * tParts(key, fallback, params) - translated message as an array of strings and nodes;
+ * node params (e.g. a link) are inserted as-is, numbers are locale-formatted.
+ */
+export function tParts(key, fallback, params = {}) {
+  let msg = message(key) ?? fallback ?? key;
+  if (msg && typeof msg === 'object') {
+    const rule = typeof params.count === 'number' ? new Intl.PluralRules(i18n.locale).select(params.count) : 'other';
+    msg = msg[rule] ?? msg.other;
+  }
+  return String(msg).split(/(\{\w+\})/).filter(Boolean).map(part => {
+    const name = /^\{(\w+)\}$/.exec(part)?.[1];
+    if (!name || !(name in params)) return part;
+    const value = params[name];
+    return typeof value === 'number' ? new Intl.NumberFormat(i18n.locale).format(value) : value;
+  });
+}
+
+/** t(key, fallback, params) - translated string */
+export function t(key, fallback, params) {
+  return tParts(key, fallback, params).map(part => (typeof part === 'string' ? part : part.textContent)).join('');
+}
+
+/** formatDate(date, options) - Intl.DateTimeFormat in the active locale */
+export function formatDate(date, options) {
+  return new Intl.DateTimeFormat(i18n.locale, options).format(date);
+}
+
+/** formatRelativeTime(date) - "3 days ago" / "last month" in the active locale */
+const RELATIVE_UNITS = [['year', 365 * 864e5], ['month', 30 * 864e5], ['week', 7 * 864e5], ['day', 864e5], ['hour', 36e5], ['minute', 6e4]];
+export function formatRelativeTime(date) {
+  const diff = new Date(date).getTime() - Date.now();
+  const [unit, ms] = RELATIVE_UNITS.find(([, size]) => Math.abs(diff) >= size) || ['second', 1000];
+  return new Intl.RelativeTimeFormat(i18n.locale, { numeric: 'auto' }).format(Math.round(diff / ms), unit);
+}
+
+/** formatYearMonth('2022-01') - "Jan 2022" in the active locale ('2022' -> year only) */
+export function formatYearMonth(value) {
+  const [y, m] = String(value || '').split('-').map(Number);
+  if (!y) return '';
+  return m
+    ? formatDate(new Date(y, m - 1, 1), { month: 'short', year: 'numeric' })
+    : formatDate(new Date(y, 0, 1), { year: 'numeric' });
+}
+
+/** applyTranslations(root) - re-render every data-i18n / data-i18n-attr / data-i18n-date node */
+export function applyTranslations(root = document) {
+  $$('[data-i18n], [data-i18n-attr]', root).forEach(node => {
+    if (!i18nOriginals.has(node)) i18nOriginals.set(node, { text: node.textContent, attrs: {} });
+    const original = i18nOriginals.get(node);
+    if (node.dataset.i18n) node.textContent = t(node.dataset.i18n, original.text);
+    (node.dataset.i18nAttr || '').split(';').forEach(pair => {
+      const idx = pair.indexOf(':');
+      if (idx < 0) return;
+      const attr = pair.slice(0, idx).trim();
+      const key = pair.slice(idx + 1).trim();
+      if (!(attr in original.attrs)) original.attrs[attr] = node.getAttribute(attr) || '';
+      node.setAttribute(attr, t(key, original.attrs[attr]));
+    });
+  });
+  $$('time[data-i18n-date]', root).forEach(node => {
+    const value = node.getAttribute('datetime');
+    if (/^\d{4}(-\d{2})?$/.test(value || '')) node.textContent = formatYearMonth(value);
+  });
+}
+
+/** loadLocaleBundle(code) - fetch locales/<code>.json once; a failed load resolves to {} */
+function loadLocaleBundle(code) {
+  if (i18n.bundles[code]) return Promise.resolve(i18n.bundles[code]);
+  if (!i18n.pending[code]) {
+    i18n.pending[code] = timeoutFetch(`${LOCALES_URL}${code}.json`, {}, 6000)
+      .then(res => {
+        if (!res.ok) throw new Error(`Locale bundle ${code} returned ${res.status}`);
+        return res.json();
+      })
+      .then(bundle => (i18n.bundles[code] = bundle))
+      .catch(err => {
+        console.warn(`Could not load locale "${code}":`, err);
+        return {};
+      })
+      .finally(() => { delete i18n.pending[code]; });
+  }
+  return i18n.pending[code];
+}
+
+/** detectLocale() - saved choice, else the first supported entry of navigator.languages */
+function detectLocale() {
+  try {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch (e) { /* ignore */ }
+  const wanted = (navigator.languages && navigator.languages.length) ? navigator.languages : [navigator.language];
+  for (const tag of wanted) {
+    const lower = String(tag || '').toLowerCase();
+    if (LOCALES[lower]) return lower;
+    if (LOCALES[lower.split('-')[0]]) return lower.split('-')[0];
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * setLocale(code, { persist }) - load bundles, switch <html lang/dir>, re-translate markup
+ * and fire `localechange`. persist: false for detected (not chosen) locales.
+ */
+export async function setLocale(code, { persist = true } = {}) {
+  if (!LOCALES[code]) throw new Error(`Unsupported locale "${code}"`);
+  await Promise.all([DEFAULT_LOCALE, code].map(loadLocaleBundle));
+  const previous = i18n.locale;
+  const html = document.documentElement;
+  i18n.locale = code;
+  html.lang = code;
+  html.dir = LOCALES[code].dir;
+  if (persist) {
+    try { localStorage.setItem(LOCALE_KEY, code); } catch (e) { /* ignore */ }
+  }
+  const switcher = $('#language-switcher');
+  if (switcher) switcher.value = code;
+  applyTranslations();
+  document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: code, previous, dir: LOCALES[code].dir } }));
+}
+
+/**
+ * i18n feature ([data-i18n]): builds #language-switcher and applies the detected locale.
+ * init() returns the setLocale promise.
+ */
+export const i18nFeature = defineFeature({
+  name: 'i18n',
+  attribute: 'data-i18n',
+  setup({ signal }) {
+    const switcher = $('#language-switcher');
+    if (switcher) {
+      switcher.replaceChildren(...Object.entries(LOCALES).map(([code, { label }]) => el('option', { value: code, lang: code, text: label })));
+      switcher.addEventListener('change', () => {
+        setLocale(switcher.value).catch(err => console.error('Could not switch language', err));
+      }, { signal });
+    }
+    return setLocale(detectLocale(), { persist: false });
+  }
+});
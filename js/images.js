@@ -0,0 +1,108 @@
+/* ===== js/images.js =====
+   Image enhancements ([data-enhance-images], usually on <body>)
+   - loading="lazy" + decoding="async" on images below the fold; hero images (fetchpriority="high",
+     loading="eager", or already in the first viewport) are left to load right away
+   - responsive variants: <img data-responsive> carrying data-srcset-avif / data-srcset-webp
+     (written by scripts/images.js) is wrapped in a <picture> with one <source> per format,
+     using the image's `sizes` (default 100vw)
+   - blur-up: data-placeholder (a tiny inlined image) is shown behind the image until it loads;
+     images without one fade in instead
+   - errors: a failed variant falls back to the original src, a failed original to
+     IMAGE_FALLBACK (the alt text stays)
+*/
+import { $$ } from './utils.js';
+import { defineFeature } from './feature.js';
+
+export const IMAGE_FALLBACK = 'icons/image-fallback.svg';
+// dataset key -> <source type>, best format first
+const SOURCE_TYPES = [['srcsetAvif', 'image/avif'], ['srcsetWebp', 'image/webp']];
+
+/* above the fold or explicitly prioritised: lazy loading would only delay it */
+function isHeroImage(img) {
+  if (img.getAttribute('fetchpriority') === 'high' || img.getAttribute('loading') === 'eager') return true;
+  const rect = img.getBoundingClientRect();
+  return rect.bottom > 0 && rect.top < window.innerHeight && (rect.width > 0 || rect.height > 0);
+}
+
+/* <picture> sources from the data-srcset-* attributes; idempotent across re-inits */
+function addSources(img) {
+  const sources = SOURCE_TYPES
+    .filter(([key]) => img.dataset[key])
+    .map(([key, type]) => {
+      const source = document.createElement('source');
+      source.type = type;
+      source.srcset = img.dataset[key];
+      source.sizes = img.getAttribute('sizes') || '100vw';
+      source.dataset.responsiveSource = '';
+      return source;
+    });
+  if (!sources.length || img.parentElement?.tagName === 'PICTURE') return;
+  const picture = document.createElement('picture');
+  picture.className = 'responsive-picture';
+  img.replaceWith(picture);
+  picture.append(...sources, img);
+}
+
+/* error fallback: drop the variants first (an unsupported or missing file), then the original */
+function onImageError(img) {
+  const sources = img.parentElement?.tagName === 'PICTURE' ? $$('source[data-responsive-source]', img.parentElement) : [];
+  if (sources.length) {
+    sources.forEach(source => source.remove());
+    return;
+  }
+  if (img.getAttribute('src') === IMAGE_FALLBACK) return;
+  img.removeAttribute('srcset');
+  img.src = IMAGE_FALLBACK;
+  img.classList.add('img-fallback');
+  clearPlaceholder(img);
+  img.style.opacity = '1';
+}
+
+function showPlaceholder(img) {
+  const placeholder = img.dataset.placeholder;
+  if (!placeholder || !placeholder.startsWith('data:image/')) return false;
+  img.style.backgroundImage = `url("${placeholder}")`;
+  img.classList.add('img-placeholder');
+  return true;
+}
+
+function clearPlaceholder(img) {
+  img.style.backgroundImage = '';
+  img.classList.remove('img-placeholder');
+}
+
+export function enhanceImages({ signal, onTeardown } = {}) {
+  const imgs = $$('img');
+  // don't leave half-faded images or placeholders behind when the feature is torn down mid-load
+  onTeardown?.(() => imgs.forEach(img => { img.style.opacity = '1'; clearPlaceholder(img); }));
+  imgs.forEach(img => {
+    if (!img.hasAttribute('loading') && !isHeroImage(img)) img.setAttribute('loading', 'lazy');
+    if (!img.hasAttribute('decoding')) img.setAttribute('decoding', 'async');
+    if (img.hasAttribute('data-responsive')) addSources(img);
+
+    img.addEventListener('error', () => onImageError(img), { signal });
+    // a broken image that failed before we got here (e.g. a 404 while the modules loaded);
+    // SVGs without intrinsic size also report naturalWidth 0, so they are left alone
+    const src = img.getAttribute('src') || '';
+    if (img.complete && img.naturalWidth === 0 && src && !/\.svg([?#]|$)/i.test(src)) {
+      onImageError(img);
+      return;
+    }
+    if (img.complete) return;
+
+    // blur-up where there is a placeholder, a fade-in everywhere else
+    if (showPlaceholder(img)) {
+      img.addEventListener('load', () => clearPlaceholder(img), { once: true, signal });
+      return;
+    }
+    img.style.transition = 'opacity .45s ease';
+    img.style.opacity = '0.01';
+    img.addEventListener('load', () => { img.style.opacity = '1'; }, { once: true, signal });
+  });
+}
+
+export const imagesFeature = defineFeature({
+  name: 'images',
+  attribute: 'data-enhance-images',
+  setup: enhanceImages
+});
@@ -0,0 +1,179 @@
+/* ===== js/modal.js =====
+   Modal component
+   - real focus trap (Tab / Shift+Tab cycle inside the dialog)
+   - restores focus to the opener on close
+   - background made `inert` (+ aria-hidden fallback), body scroll locked
+   - stackable: only the top-most modal receives keys; lower ones go inert
+   - emits bubbling `modal:open` / `modal:close` CustomEvents on the root
+   - markup: `.modal-backdrop` root toggled with `hidden`; `[data-modal-close]`
+     or `.close` buttons and backdrop clicks request a close
+*/
+import { $, $$ } from './utils.js';
+
+const FOCUSABLE = [
+  'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])', 'textarea:not([disabled])', 'iframe', 'object', 'embed',
+  '[contenteditable]', '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+export class Modal {
+  /**
+   * @param {HTMLElement} root - the backdrop element (role="dialog")
+   * @param {object} [opts]
+   * @param {Function} [opts.onRequestClose] - called instead of close() for UI-initiated closes
+   *   (lets the router pop its history entry first)
+   */
+  constructor(root, opts = {}) {
+    this.root = root;
+    this.opts = opts;
+    this.opener = null;
+    this._inerted = [];
+    this.requestClose = this.requestClose.bind(this);
+
+    $$('[data-modal-close], .close', root).forEach(btn => btn.addEventListener('click', this.requestClose));
+    root.addEventListener('click', (e) => { if (e.target === root) this.requestClose(); });
+  }
+
+  /** Modal.from(elOrSelector, opts) - one cached instance per element */
+  static from(target, opts) {
+    const root = typeof target === 'string' ? $(target) : target;
+    if (!root) return null;
+    if (!Modal.instances.has(root)) Modal.instances.set(root, new Modal(root, opts));
+    return Modal.instances.get(root);
+  }
+
+  get isOpen() { return Modal.stack.includes(this); }
+
+  focusables() {
+    return $$(FOCUSABLE, this.root).filter(n => !n.closest('[hidden], .hidden, [inert]'));
+  }
+
+  open(opener = document.activeElement) {
+    if (this.isOpen) return;
+    this.opener = opener instanceof HTMLElement ? opener : null;
+    const below = Modal.stack[Modal.stack.length - 1];
+    if (below) below._setInert(true);
+    else {
+      Modal._lockScroll(true);
+      document.addEventListener('keydown', Modal._onKeydown, true);
+    }
+    Modal.stack.push(this);
+
+    this.root.classList.remove('hidden');
+    this.root.setAttribute('aria-hidden', 'false');
+    this.root.removeAttribute('inert');
+    this._inertBackground();
+
+    const first = $('[data-autofocus]', this.root) || this.focusables()[0];
+    if (first) first.focus();
+    else { this.root.setAttribute('tabindex', '-1'); this.root.focus(); }
+    this._emit('open');
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    Modal.stack.splice(Modal.stack.indexOf(this), 1);
+    this.root.classList.add('hidden');
+    this.root.setAttribute('aria-hidden', 'true');
+    this._restoreBackground();
+
+    const top = Modal.stack[Modal.stack.length - 1];
+    if (top) top._setInert(false);
+    else {
+      Modal._lockScroll(false);
+      document.removeEventListener('keydown', Modal._onKeydown, true);
+    }
+    if (this.opener && document.contains(this.opener)) this.opener.focus();
+    this.opener = null;
+    this._emit('close');
+  }
+
+  /** UI-initiated close: defer to opts.onRequestClose when provided */
+  requestClose() {
+    if (typeof this.opts.onRequestClose === 'function') this.opts.onRequestClose(this);
+    else this.close();
+  }
+
+  /** on('open' | 'close', fn) - returns an unsubscribe function */
+  on(type, fn) {
+    const handler = e => fn(e.detail);
+    this.root.addEventListener(`modal:${type}`, handler);
+    return () => this.root.removeEventListener(`modal:${type}`, handler);
+  }
+
+  _emit(type) {
+    this.root.dispatchEvent(new CustomEvent(`modal:${type}`, { bubbles: true, detail: { modal: this, id: this.root.id } }));
+  }
+
+  _setInert(on) {
+    if (on) { this.root.setAttribute('inert', ''); this.root.setAttribute('aria-hidden', 'true'); }
+    else { this.root.removeAttribute('inert'); this.root.setAttribute('aria-hidden', 'false'); }
+  }
+
+  // inert every top-level sibling of the modal (remembering prior state to restore it exactly)
+  _inertBackground() {
+    let node = this.root;
+    while (node && node !== document.body) {
+      Array.from(node.parentElement ? node.parentElement.children : []).forEach(sib => {
+        if (sib === node || sib.tagName === 'SCRIPT' || Modal.stack.some(m => m.root === sib)) return;
+        if (sib.hasAttribute('data-modal-inert')) return;
+        this._inerted.push({ el: sib, ariaHidden: sib.getAttribute('aria-hidden'), inert: sib.hasAttribute('inert') });
+        sib.setAttribute('inert', '');
+        sib.setAttribute('aria-hidden', 'true');
+        sib.setAttribute('data-modal-inert', '');
+      });
+      node = node.parentElement;
+    }
+  }
+
+  _restoreBackground() {
+    this._inerted.forEach(({ el: node, ariaHidden, inert }) => {
+      node.removeAttribute('data-modal-inert');
+      if (!inert) node.removeAttribute('inert');
+      if (ariaHidden === null) node.removeAttribute('aria-hidden');
+      else node.setAttribute('aria-hidden', ariaHidden);
+    });
+    this._inerted = [];
+  }
+
+  static _lockScroll(on) {
+    const body = document.body;
+    if (on) {
+      const gap = window.innerWidth - document.documentElement.clientWidth;
+      Modal._savedBodyStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+      body.style.overflow = 'hidden';
+      if (gap > 0) body.style.paddingRight = `${gap}px`; // avoid layout shift when the scrollbar disappears
+    } else if (Modal._savedBodyStyle) {
+      body.style.overflow = Modal._savedBodyStyle.overflow;
+      body.style.paddingRight = Modal._savedBodyStyle.paddingRight;
+      Modal._savedBodyStyle = null;
+    }
+  }
+
+  static _onKeydown(e) {
+    const top = Modal.stack[Modal.stack.length - 1];
+    if (!top) return;
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      top.requestClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const items = top.focusables();
+    if (!items.length) { e.preventDefault(); return; }
+    const first = items[0];
+    const last = items[items.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || !top.root.contains(active))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || !top.root.contains(active))) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
+Modal.stack = [];
+Modal.instances = new WeakMap();
+Modal._savedBodyStyle = null;
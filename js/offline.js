@@ -0,0 +1,127 @@
+/* ===== js/offline.js =====
+   Offline support ([data-service-worker="sw.js"] on <body>)
+   - registers the service worker (sw.js: precache, CDN stale-while-revalidate, offline.html)
+   - update toast: a new worker waits until the visitor picks "Reload"
+   - Background Sync: messages queued in the contact outbox are handed to the worker,
+     which sends them even after the tab is closed; its reports come back as the usual
+     contact:outbox-sent / contact:outbox-failed events
+*/
+import { $, el } from './utils.js';
+import { defineFeature } from './feature.js';
+import { t } from './i18n.js';
+import { readOutbox, removeOutboxItem, outboxRequests } from './contact-transport.js';
+
+const HANDOFF_TIMEOUT_MS = 3000;
+
+/* ------------------------------
+   Update toast
+   ------------------------------ */
+function showUpdateToast(worker, { signal, onTeardown }) {
+  $('#update-toast')?.remove();
+  const toast = el('div', { id: 'update-toast', class: 'update-toast', role: 'status', 'aria-live': 'polite' }, [
+    el('span', { 'data-i18n': 'offline.updateAvailable', text: t('offline.updateAvailable', 'A new version of this site is available.') }),
+    el('button', {
+      type: 'button', class: 'update-toast-reload', 'data-i18n': 'offline.reload', text: t('offline.reload', 'Reload'),
+      onClick: () => {
+        toast.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+        worker.postMessage({ type: 'SKIP_WAITING' }); // controllerchange reloads the page
+      }
+    }),
+    el('button', {
+      type: 'button', class: 'update-toast-dismiss', 'data-i18n-attr': 'aria-label:offline.dismiss',
+      'aria-label': t('offline.dismiss', 'Dismiss'), onClick: () => toast.remove()
+    }, el('i', { class: 'fas fa-times', 'aria-hidden': 'true' }))
+  ]);
+  document.body.append(toast);
+  onTeardown(() => toast.remove());
+  // another tab may have activated it meanwhile
+  worker.addEventListener('statechange', () => { if (worker.state === 'redundant') toast.remove(); }, { signal });
+}
+
+/* ------------------------------
+   Background Sync hand-off
+   ------------------------------ */
+
+/* post to the worker and wait for its { ok } on a MessageChannel (false on timeout) */
+function askWorker(worker, message) {
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(false), HANDOFF_TIMEOUT_MS);
+    channel.port1.onmessage = (e) => { clearTimeout(timer); resolve(Boolean(e.data && e.data.ok)); };
+    worker.postMessage(message, [channel.port2]);
+  });
+}
+
+let handingOff = false;
+
+/**
+ * handOffOutbox(registration)
+ * Moves queued contact messages from the page's outbox to the service worker. Items the
+ * worker can't take (attachments, no replayable transport, sync refused) stay where they
+ * are and keep being retried by the contact-outbox feature.
+ */
+async function handOffOutbox(registration) {
+  if (handingOff || !registration.active) return;
+  handingOff = true;
+  try {
+    for (const item of readOutbox()) {
+      const requests = outboxRequests(item);
+      if (!requests.length) continue;
+      if (await askWorker(registration.active, { type: 'contact:queue', item, requests })) removeOutboxItem(item.id);
+    }
+  } finally {
+    handingOff = false;
+  }
+}
+
+/* worker reports -> the same document events the page's own outbox dispatches */
+function onWorkerMessage(e) {
+  const data = e.data || {};
+  if (data.type === 'contact:outbox-sent' || data.type === 'contact:outbox-failed') {
+    document.dispatchEvent(new CustomEvent(data.type, { detail: { item: data.item, error: data.error } }));
+  }
+}
+
+/* ------------------------------
+   Feature
+   ------------------------------ */
+export const offlineFeature = defineFeature({
+  name: 'offline',
+  attribute: 'data-service-worker',
+  async setup({ signal, onTeardown }) {
+    if (!('serviceWorker' in navigator)) return;
+    const { serviceWorker } = navigator;
+    const url = $('[data-service-worker]').getAttribute('data-service-worker') || 'sw.js';
+
+    serviceWorker.addEventListener('message', onWorkerMessage, { signal });
+    // only reload for an update the visitor asked for, not for the very first install
+    const hadController = Boolean(serviceWorker.controller);
+    serviceWorker.addEventListener('controllerchange', () => {
+      if (hadController) window.location.reload();
+    }, { signal });
+
+    let registration;
+    try {
+      registration = await serviceWorker.register(url);
+    } catch (err) {
+      console.warn('Could not register the service worker, offline support disabled', err);
+      return;
+    }
+    if (signal.aborted) return;
+
+    const offerUpdate = worker => { if (serviceWorker.controller) showUpdateToast(worker, { signal, onTeardown }); };
+    if (registration.waiting) offerUpdate(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => { if (worker.state === 'installed') offerUpdate(worker); }, { signal });
+    }, { signal });
+
+    if (!('sync' in registration)) return;
+    await serviceWorker.ready;
+    if (signal.aborted) return;
+    // after a send attempt failed (a new item, or a retry rescheduled); when online at load the
+    // contact-outbox feature is already flushing, and handing off then could send twice
+    document.addEventListener('contact:outbox', (e) => { if (e.detail.size) handOffOutbox(registration); }, { signal });
+    if (navigator.onLine === false) handOffOutbox(registration);
+  }
+});
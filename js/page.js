@@ -0,0 +1,137 @@
+/* ===== js/page.js =====
+   Page chrome
+   - [data-year]: current year in the footer (locale-formatted)
+   - [data-mobile-menu]: #menu-toggle opens/closes #mobile-menu (accessible)
+   - [data-smooth-scroll]: in-page anchor links scroll smoothly and close the mobile menu
+   - [data-fade-in]: elements fade in when scrolled into view
+   - [data-back-to-top]: button shown after scrolling down
+   Scrolling respects prefers-reduced-motion.
+*/
+import { $, $$, debounce, prefersReducedMotion, scrollBehavior } from './utils.js';
+import { defineFeature } from './feature.js';
+import { formatDate } from './i18n.js';
+import { matchRoute } from './router.js';
+
+/* ========================
+   Year in footer
+   ======================== */
+export const yearFeature = defineFeature({
+  name: 'year',
+  attribute: 'data-year',
+  setup({ signal }) {
+    const render = () => {
+      $$('[data-year]').forEach(node => { node.textContent = formatDate(new Date(), { year: 'numeric' }); });
+    };
+    render();
+    document.addEventListener('localechange', render, { signal });
+  }
+});
+
+/* ========================
+   Mobile menu (accessible)
+   ======================== */
+function closeMobileMenu() {
+  const menu = $('[data-mobile-menu]');
+  if (!menu || menu.classList.contains('hidden')) return;
+  menu.classList.add('hidden');
+  $('#menu-toggle')?.setAttribute('aria-expanded', 'false');
+}
+
+export const mobileMenuFeature = defineFeature({
+  name: 'mobile-menu',
+  attribute: 'data-mobile-menu',
+  setup({ signal }) {
+    const btn = $('#menu-toggle');
+    const menu = $('[data-mobile-menu]');
+    if (!btn || !menu) return;
+
+    btn.addEventListener('click', () => {
+      const expanded = btn.getAttribute('aria-expanded') === 'true';
+      btn.setAttribute('aria-expanded', (!expanded).toString());
+      menu.classList.toggle('hidden');
+    }, { signal });
+
+    // close menu on resize -> restore state
+    window.addEventListener('resize', debounce(() => {
+      if (!signal.aborted && window.innerWidth >= 768) {
+        btn.setAttribute('aria-expanded', 'false');
+        menu.classList.add('hidden');
+      }
+    }, 120), { signal });
+  }
+});
+
+/* ========================
+   Smooth scroll for anchor links
+   - delegated, so links rendered later are covered too
+   ======================== */
+export const smoothScrollFeature = defineFeature({
+  name: 'smooth-scroll',
+  attribute: 'data-smooth-scroll',
+  setup({ signal }) {
+    document.addEventListener('click', (e) => {
+      const anchor = e.target.closest && e.target.closest('a[href^="#"]');
+      if (!anchor || e.defaultPrevented) return;
+      const href = anchor.getAttribute('href');
+      if (!href || href === '#') return;
+      if (matchRoute(href)) return; // modal deep links belong to the router
+      let target;
+      try { target = document.querySelector(href); } catch (err) { return; }
+      if (!target) return;
+      e.preventDefault();
+      target.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+      closeMobileMenu();
+    }, { signal });
+  }
+});
+
+/* ========================
+   IntersectionObserver for fade-in
+   ======================== */
+function revealFadeIn(node) {
+  node.style.opacity = '1';
+  node.style.transform = 'translateY(0)';
+}
+
+export const fadeInFeature = defineFeature({
+  name: 'fade-in',
+  attribute: 'data-fade-in',
+  setup({ onTeardown }) {
+    const items = $$('[data-fade-in]');
+    if (prefersReducedMotion || !('IntersectionObserver' in window)) {
+      // Immediately mark fade-in elements visible
+      items.forEach(revealFadeIn);
+      return;
+    }
+
+    const io = new IntersectionObserver((entries, obs) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          revealFadeIn(entry.target);
+          obs.unobserve(entry.target);
+        }
+      });
+    }, { threshold: 0.12 });
+
+    items.forEach(i => io.observe(i));
+    onTeardown(() => io.disconnect());
+  }
+});
+
+/* ========================
+   Back to top
+   ======================== */
+const BACK_TO_TOP_OFFSET = 400;
+
+export const backToTopFeature = defineFeature({
+  name: 'back-to-top',
+  attribute: 'data-back-to-top',
+  setup({ signal, onTeardown }) {
+    const btn = $('[data-back-to-top]');
+    const check = () => { btn.classList.toggle('hidden', window.scrollY <= BACK_TO_TOP_OFFSET); };
+    window.addEventListener('scroll', check, { passive: true, signal });
+    btn.addEventListener('click', () => window.scrollTo({ top: 0, behavior: scrollBehavior() }), { signal });
+    check();
+    onTeardown(() => btn.classList.add('hidden'));
+  }
+});
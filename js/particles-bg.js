@@ -0,0 +1,294 @@
+/* ===== js/particles-bg.js =====
+   Particle background
+   - engine lives in particles.js (spatial grid, adaptive quality tiers)
+   - renders in a Web Worker via OffscreenCanvas when supported
+     (opt out with data-particle-worker="off" on #bg-canvas), else on the main thread
+   - pauses while the tab is hidden or the canvas is scrolled out of view
+   - presets (constellation, snow, bubbles, grid-warp) via data-particle-preset
+     or portfolioUtils.particles.setPreset(); pointer mode via data-particle-pointer
+   - colors come from --particle-color / --particle-accent and re-tint on themechange
+   - click on empty page space spawns a burst (data-particle-spawn="off" to disable)
+   - feature attribute: data-particles on the canvas
+*/
+import { debounce, prefersReducedMotion } from './utils.js';
+import { defineFeature } from './feature.js';
+
+/* clicks on these never spawn particles */
+const PARTICLE_CLICK_IGNORE = 'a, button, input, select, textarea, label, summary, [role="button"], [role="dialog"], [contenteditable="true"]';
+
+let particleController = null;
+
+/** toRgbTriplet(value) - "r,g,b" from "#rgb", "#rrggbb", "rgb(...)" or "r,g,b"; null if unparseable */
+function toRgbTriplet(value) {
+  const text = String(value || '').trim();
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(text);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).join(',');
+  }
+  const parts = text.replace(/^rgba?\(|\)$/gi, '').split(/[\s,/]+/).filter(Boolean).slice(0, 3);
+  if (parts.length === 3 && parts.every(n => /^\d{1,3}$/.test(n) && Number(n) <= 255)) return parts.join(',');
+  return null;
+}
+
+/** particleThemeColors() - { baseColor, accentColor } from the current theme's CSS custom properties */
+function particleThemeColors() {
+  const style = window.getComputedStyle(document.documentElement);
+  const colors = {};
+  const base = toRgbTriplet(style.getPropertyValue('--particle-color'));
+  const accent = toRgbTriplet(style.getPropertyValue('--particle-accent'));
+  if (base) colors.baseColor = base;
+  if (accent) colors.accentColor = accent;
+  return colors;
+}
+
+/** particleAttributeConfig(canvas) - what the canvas's data attributes pin, whatever the preset */
+function particleAttributeConfig(canvas) {
+  return canvas.dataset.particlePointer ? { pointerMode: canvas.dataset.particlePointer } : {};
+}
+
+/** retintParticles() - push theme colors to the running background (on themechange) */
+function retintParticles() {
+  if (particleController) particleController.configure(particleThemeColors());
+}
+
+/* main-thread backend */
+class ParticleBG {
+  constructor(canvas, { preset, config, tier } = {}) {
+    this.canvas = canvas;
+    this.mode = 'main';
+    this.tierName = null;
+    this.engine = new window.ParticleKit.ParticleEngine(canvas.getContext('2d'), {
+      preset,
+      config,
+      tier,
+      requestFrame: cb => requestAnimationFrame(cb),
+      cancelFrame: id => cancelAnimationFrame(id),
+      onQualityChange: (name) => { this.tierName = name; }
+    });
+    this.tierName = this.engine.tier.name;
+  }
+
+  resize(width, height, dpr) {
+    this.engine.resize(width, height, dpr);
+    this.canvas.style.width = width + 'px';
+    this.canvas.style.height = height + 'px';
+  }
+
+  setPointer(x, y) { this.engine.setPointer(x, y); }
+  configure(config) { this.engine.configure(config); }
+  setPreset(name, config) { this.engine.setPreset(name, config); }
+  spawn(x, y) { this.engine.spawn(x, y); }
+  start() { this.engine.start(); }
+  stop() { this.engine.stop(); }
+  destroy() { this.stop(); }
+}
+
+/* OffscreenCanvas + Worker backend (same interface) */
+class ParticleWorkerBG {
+  constructor(canvas, { preset, config, tier } = {}) {
+    this.canvas = canvas;
+    this.mode = 'worker';
+    this.tierName = window.ParticleKit.QUALITY_TIERS[tier]?.name || null;
+    // create the worker first: transferControlToOffscreen() can't be undone if this throws
+    this.worker = new Worker('particles-worker.js');
+    this.worker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'quality') this.tierName = e.data.tier;
+    });
+    this.worker.addEventListener('error', (e) => console.error('Particle worker failed', e.message || e));
+    const offscreen = canvas.transferControlToOffscreen();
+    this.worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      width: window.innerWidth,
+      height: window.innerHeight,
+      dpr: window.devicePixelRatio || 1,
+      preset,
+      config,
+      tier
+    }, [offscreen]);
+  }
+
+  resize(width, height, dpr) {
+    this.worker.postMessage({ type: 'resize', width, height, dpr });
+    this.canvas.style.width = width + 'px';
+    this.canvas.style.height = height + 'px';
+  }
+
+  setPointer(x, y) { this.worker.postMessage({ type: 'pointer', x, y }); }
+  configure(config) { this.worker.postMessage({ type: 'configure', config }); }
+  setPreset(name, config) { this.worker.postMessage({ type: 'preset', name, config }); }
+  spawn(x, y) { this.worker.postMessage({ type: 'spawn', x, y }); }
+  start() { this.worker.postMessage({ type: 'start' }); }
+  stop() { this.worker.postMessage({ type: 'stop' }); }
+  destroy() { this.worker.terminate(); }
+}
+
+/** canUseParticleWorker(canvas) - OffscreenCanvas transfer + Worker available and not opted out */
+function canUseParticleWorker(canvas) {
+  return canvas.dataset.particleWorker !== 'off'
+    && typeof Worker !== 'undefined'
+    && typeof canvas.transferControlToOffscreen === 'function';
+}
+
+export const particlesFeature = defineFeature({
+  name: 'particles',
+  attribute: 'data-particles',
+  setup: setupParticles
+});
+
+function setupParticles({ signal, onTeardown }) {
+  if (prefersReducedMotion) {
+    // Do not start heavy animation if user prefers reduced motion
+    console.info('Reduced motion: particle background disabled.');
+    return;
+  }
+
+  const canvas = document.querySelector('canvas[data-particles]');
+  if (!canvas || !canvas.getContext) return;
+  if (!window.ParticleKit) {
+    console.info('particles.js not loaded: particle background disabled.');
+    return;
+  }
+
+  const { PRESETS } = window.ParticleKit;
+  let preset = canvas.dataset.particlePreset || 'constellation';
+  if (!Object.prototype.hasOwnProperty.call(PRESETS, preset)) {
+    console.warn(`Unknown particle preset "${preset}", using constellation`);
+    preset = 'constellation';
+  }
+  const config = { ...particleThemeColors(), ...particleAttributeConfig(canvas) };
+  const tier = window.ParticleKit.initialTier({
+    deviceMemory: navigator.deviceMemory,
+    hardwareConcurrency: navigator.hardwareConcurrency
+  });
+
+  let bg;
+  try {
+    bg = canUseParticleWorker(canvas) ? new ParticleWorkerBG(canvas, { preset, config, tier }) : null;
+  } catch (e) {
+    console.warn('Particle worker unavailable, rendering on the main thread', e);
+    bg = null;
+  }
+  try {
+    bg = bg || new ParticleBG(canvas, { preset, config, tier });
+  } catch (e) {
+    console.error('Particle init failed', e);
+    return;
+  }
+
+  // running = wanted by the page; hidden/offscreen suspend it without losing that intent
+  const state = {
+    running: true,
+    hidden: document.hidden,
+    offscreen: false,
+    preset,
+    clickToSpawn: canvas.dataset.particleSpawn !== 'off'
+  };
+  const sync = () => {
+    if (state.running && !state.hidden && !state.offscreen) bg.start();
+    else bg.stop();
+  };
+
+  const resize = () => bg.resize(window.innerWidth, window.innerHeight, window.devicePixelRatio || 1);
+  resize();
+  window.addEventListener('resize', debounce(() => { if (!signal.aborted) resize(); }, 120), { signal });
+
+  const onMove = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    bg.setPointer(e.clientX - rect.left, e.clientY - rect.top);
+  };
+  const onLeave = () => bg.setPointer(null, null);
+  window.addEventListener('mousemove', onMove, { signal });
+  window.addEventListener('mouseout', onLeave, { signal });
+  window.addEventListener('touchmove', (e) => {
+    if (e.touches && e.touches[0]) onMove(e.touches[0]);
+  }, { passive: true, signal });
+  window.addEventListener('touchend', onLeave, { passive: true, signal });
+
+  // the canvas has pointer-events: none, so listen on the page and skip anything interactive
+  document.addEventListener('click', (e) => {
+    if (!state.clickToSpawn || e.defaultPrevented || e.button !== 0) return;
+    if (e.target.closest && e.target.closest(PARTICLE_CLICK_IGNORE)) return;
+    const rect = canvas.getBoundingClientRect();
+    bg.spawn(e.clientX - rect.left, e.clientY - rect.top);
+  }, { signal });
+
+  document.addEventListener('visibilitychange', () => {
+    state.hidden = document.hidden;
+    sync();
+  }, { signal });
+  if ('IntersectionObserver' in window) {
+    const io = new IntersectionObserver((entries) => {
+      state.offscreen = !entries[entries.length - 1].isIntersecting;
+      sync();
+    });
+    io.observe(canvas);
+    onTeardown(() => io.disconnect());
+  }
+
+  sync();
+  particleController = {
+    backend: bg,
+    get mode() { return bg.mode; },
+    get tier() { return bg.tierName; },
+    get preset() { return state.preset; },
+    start() { state.running = true; sync(); },
+    stop() { state.running = false; sync(); },
+    // a preset starts from its own defaults; theme colors and the canvas's attributes are re-applied on top
+    setPreset(name, overrides = {}) {
+      window.ParticleKit.presetConfig(name); // throws on unknown names
+      state.preset = name;
+      bg.setPreset(name, { ...particleThemeColors(), ...particleAttributeConfig(canvas), ...overrides });
+    },
+    configure(partial = {}) {
+      const { clickToSpawn, ...engineConfig } = partial;
+      if (typeof clickToSpawn === 'boolean') state.clickToSpawn = clickToSpawn;
+      bg.configure(engineConfig);
+    },
+    spawn(x, y) { bg.spawn(x, y); }
+  };
+  document.addEventListener('themechange', retintParticles, { signal });
+  // expose for debug if needed:
+  window.__particleBG = particleController;
+
+  onTeardown(() => {
+    bg.destroy();
+    particleController = null;
+    delete window.__particleBG;
+    // a canvas handed to the worker can't get a context again: swap in a fresh one for the next init
+    if (bg.mode === 'worker') canvas.replaceWith(canvas.cloneNode(false));
+    else canvas.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+  });
+}
+
+/* public controls (portfolioUtils.particles); false when the background isn't running,
+   e.g. reduced motion or particles.js missing */
+export function startParticles() {
+  if (!particleController) return false;
+  particleController.start();
+  return true;
+}
+
+export function stopParticles() {
+  if (!particleController) return false;
+  particleController.stop();
+  return true;
+}
+
+/** setParticlePreset(name, overrides) - constellation | snow | bubbles | grid-warp */
+export function setParticlePreset(name, overrides) {
+  if (!particleController) return false;
+  particleController.setPreset(name, overrides);
+  return true;
+}
+
+/**
+ * configureParticles(partial) - merge engine config (see ParticleKit.DEFAULT_CONFIG), e.g.
+ * { pointerMode: 'attract' }; `clickToSpawn: false` turns off click bursts.
+ */
+export function configureParticles(partial) {
+  if (!particleController) return false;
+  particleController.configure(partial);
+  return true;
+}
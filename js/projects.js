@@ -0,0 +1,435 @@
+/* ===== js/projects.js =====
+   Projects catalog
+   - loads data/projects.json and renders cards into #projects-grid
+   - static cards in the markup stay as the no-JS / load-failure fallback
+   - featured projects first; "View All Projects" (#projects-view-all) reveals the rest
+   - fills #project-modal from the same data (title, description, tags, links)
+
+   Project filters
+   - tag facets (AND/OR), debounced text search, sort and result count
+   - state is mirrored to the query string (?tags=Flutter,Java&mode=or&q=api&sort=name)
+     so a filtered view can be shared and is restored on load
+*/
+import { $, $$, el, debounce, timeoutFetch, slugify } from './utils.js';
+import { defineFeature } from './feature.js';
+import { t, formatYearMonth } from './i18n.js';
+import { Modal } from './modal.js';
+import { registerRoute, navigateTo, requestModalClose } from './router.js';
+
+const PROJECTS_URL = 'data/projects.json';
+
+/* tag chip colors, cycled per tag position (matches the original hand-written cards) */
+const TAG_CLASSES = [
+  'bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-300',
+  'bg-purple-100 dark:bg-purple-900/30 text-purple-800 dark:text-purple-300',
+  'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300'
+];
+
+/* cache of the last loaded manifest: { projects: [...], bySlug: Map } */
+let projectCatalog = null;
+
+/**
+ * normalizeProject(raw)
+ * Fills defaults so renderers never have to guard individual fields.
+ */
+function normalizeProject(raw) {
+  const title = raw.title || 'Untitled project';
+  return {
+    slug: raw.slug || slugify(title),
+    title,
+    summary: raw.summary || '',
+    description: raw.description || raw.summary || '',
+    tags: Array.isArray(raw.tags) ? raw.tags : [],
+    links: raw.links || {},
+    icon: raw.icon || 'fas fa-code',
+    startDate: raw.startDate || null,
+    endDate: raw.endDate || null,
+    featured: Boolean(raw.featured)
+  };
+}
+
+/**
+ * loadProjects(url)
+ * Fetches and normalizes the manifest. Result is cached; pass a url to force a reload.
+ */
+export async function loadProjects(url) {
+  if (projectCatalog && !url) return projectCatalog;
+  const res = await timeoutFetch(url || PROJECTS_URL, { headers: { Accept: 'application/json' } }, 6000);
+  if (!res.ok) throw new Error(`Projects manifest returned ${res.status}`);
+  const data = await res.json();
+  const list = Array.isArray(data) ? data : (data.projects || []);
+  const projects = list.map(normalizeProject);
+  // featured first, then newest first
+  projects.sort((a, b) => (b.featured - a.featured) || String(b.startDate || '').localeCompare(String(a.startDate || '')));
+  projectCatalog = { projects, bySlug: new Map(projects.map(p => [p.slug, p])) };
+  return projectCatalog;
+}
+
+/** renderTags(tags) - tag chips shared by cards and the modal */
+export function renderTags(tags) {
+  return tags.map((t, i) => el('span', {
+    class: `text-xs ${TAG_CLASSES[i % TAG_CLASSES.length]} px-2 py-1 rounded-full`,
+    text: t
+  }));
+}
+
+/** renderProjectCard(project) - mirrors the markup of the static fallback cards */
+function renderProjectCard(project) {
+  return el('article', {
+    class: 'bg-white dark:bg-gray-800 rounded-xl shadow-md overflow-hidden project-card border border-gray-200 dark:border-gray-700',
+    'data-slug': project.slug
+  },
+    el('div', { class: 'h-44 bg-gradient-to-r from-blue-400 to-purple-500 flex items-center justify-center' },
+      el('i', { class: `${project.icon} text-white text-5xl`, 'aria-hidden': 'true' })
+    ),
+    el('div', { class: 'p-6' },
+      el('h4', { class: 'font-bold text-gray-800 dark:text-gray-100', text: project.title }),
+      el('p', { class: 'text-gray-800 dark:text-gray-100', text: project.summary }),
+      el('div', { class: 'mt-4 flex flex-wrap gap-2' }, renderTags(project.tags)),
+      el('div', { class: 'mt-4' },
+        el('a', {
+          href: `#project/${project.slug}`,
+          class: 'text-blue-600 dark:text-blue-400 hover:underline project-open',
+          'data-slug': project.slug,
+          text: t('projects.details', 'View Details →')
+        })
+      )
+    )
+  );
+}
+
+/** renderProjectLinks(links) - demo/repo/etc. buttons inside the modal */
+function renderProjectLinks(links) {
+  const labels = { demo: 'Live Demo', repo: 'Source Code', case: 'Case Study' };
+  return Object.entries(links)
+    .filter(([, href]) => href)
+    .map(([key, href]) => el('a', {
+      href,
+      target: '_blank',
+      rel: 'noopener',
+      class: 'inline-flex items-center gap-2 border border-blue-600 text-blue-600 hover:bg-blue-50 px-3 py-1.5 rounded-lg text-sm font-medium',
+      text: labels[key] ? t(`projects.links.${key}`, labels[key]) : key
+    }));
+}
+
+/** formatProjectDates(project) - "Jan 2022 — Present" style range, '' when undated */
+function formatProjectDates(project) {
+  const fmt = formatYearMonth;
+  if (!project.startDate) return '';
+  return `${fmt(project.startDate)} — ${project.endDate ? fmt(project.endDate) : t('experience.present', 'Present')}`;
+}
+
+/**
+ * openProjectModal(project)
+ * Fills #project-modal from a project object (or slug) and shows it.
+ */
+export function openProjectModal(project) {
+  if (!$('#project-modal')) return;
+  if (typeof project === 'string') project = projectCatalog?.bySlug.get(project);
+  if (!project) return;
+
+  $('#project-title').textContent = project.title;
+  $('#project-desc').textContent = project.description;
+  const tags = $('#project-tags');
+  tags.replaceChildren(...renderTags(project.tags));
+
+  // optional meta/link rows are created lazily so the static shell stays minimal
+  let meta = $('#project-meta');
+  if (!meta) {
+    meta = el('p', { id: 'project-meta', class: 'text-sm text-gray-500 mb-4' });
+    $('#project-desc').after(meta);
+  }
+  meta.textContent = formatProjectDates(project);
+  let links = $('#project-links');
+  if (!links) {
+    links = el('div', { id: 'project-links', class: 'mt-4 flex gap-2 flex-wrap' });
+    tags.after(links);
+  }
+  links.replaceChildren(...renderProjectLinks(project.links));
+
+  $('#project-modal').dataset.project = project.slug; // which project is showing (modal:open listeners)
+  projectModal().open();
+}
+
+/** projectModal() - Modal instance for #project-modal (closes go through the router) */
+function projectModal() {
+  return Modal.from('#project-modal', { onRequestClose: () => requestModalClose(closeProjectModal) });
+}
+
+function closeProjectModal() {
+  projectModal()?.close();
+}
+
+/** renderProjects(projects, { showAll }) - (re)draws #projects-grid */
+function renderProjects(projects, { showAll = false } = {}) {
+  const grid = $('#projects-grid');
+  if (!grid) return;
+  const hasFeatured = projects.some(p => p.featured);
+  const visible = showAll || !hasFeatured ? projects : projects.filter(p => p.featured);
+  if (!visible.length) {
+    grid.replaceChildren(el('p', { class: 'md:col-span-3 text-center text-gray-500 py-8', text: t('projects.noMatch', 'No projects match the current filters.') }));
+  } else {
+    grid.replaceChildren(...visible.map(renderProjectCard));
+  }
+  grid.setAttribute('data-rendered', 'true');
+  return visible.length;
+}
+
+/* ---- filters ---- */
+
+const PROJECT_SORTS = {
+  featured: { label: 'Featured', compare: null },  // manifest order from loadProjects; labels are i18n fallbacks
+  newest: { label: 'Newest', compare: (a, b) => String(b.startDate || '').localeCompare(String(a.startDate || '')) },
+  oldest: { label: 'Oldest', compare: (a, b) => String(a.startDate || '9999').localeCompare(String(b.startDate || '9999')) },
+  name: { label: 'Name (A–Z)', compare: (a, b) => a.title.localeCompare(b.title) }
+};
+
+/** readProjectFilters(search) - parse filter state from a query string */
+function readProjectFilters(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const tags = (params.get('tags') || '').split(',').map(t => t.trim()).filter(Boolean);
+  const mode = params.get('mode') === 'or' ? 'or' : 'and';
+  const sort = PROJECT_SORTS[params.get('sort')] ? params.get('sort') : 'featured';
+  return { q: params.get('q') || '', tags, mode, sort };
+}
+
+/** writeProjectFilters(state) - replace the query string without adding history entries */
+function writeProjectFilters(state) {
+  const url = new URL(window.location.href);
+  const set = (key, value) => { if (value) url.searchParams.set(key, value); else url.searchParams.delete(key); };
+  set('q', state.q.trim());
+  set('tags', state.tags.join(','));
+  set('mode', state.tags.length > 1 && state.mode === 'or' ? 'or' : '');
+  set('sort', state.sort !== 'featured' ? state.sort : '');
+  // keep commas readable in shared links (?tags=Flutter,Java rather than %2C)
+  url.search = url.searchParams.toString().replace(/%2C/gi, ',');
+  try { history.replaceState(history.state, '', url); } catch (e) { /* file:// or sandboxed iframe */ }
+}
+
+function isFiltering(state) {
+  return Boolean(state.q.trim() || state.tags.length);
+}
+
+/**
+ * filterProjects(projects, state)
+ * Pure: returns a new, sorted array. Tag matching is case-insensitive;
+ * every whitespace-separated search term must appear in title, summary, description or tags.
+ */
+export function filterProjects(projects, state) {
+  const wanted = state.tags.map(t => t.toLowerCase());
+  const terms = state.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const result = projects.filter(p => {
+    const tags = p.tags.map(t => t.toLowerCase());
+    if (wanted.length) {
+      const ok = state.mode === 'or' ? wanted.some(t => tags.includes(t)) : wanted.every(t => tags.includes(t));
+      if (!ok) return false;
+    }
+    if (!terms.length) return true;
+    const haystack = [p.title, p.summary, p.description, ...p.tags].join(' ').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+  const { compare } = PROJECT_SORTS[state.sort] || PROJECT_SORTS.featured;
+  return compare ? result.sort(compare) : result;
+}
+
+/** collectTags(projects) - unique tags with counts, most used first */
+function collectTags(projects) {
+  const counts = new Map();
+  projects.forEach(p => p.tags.forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+  return Array.from(counts, ([tag, count]) => ({ tag, count }))
+    .sort((a, b) => (b.count - a.count) || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * initProjectFilters(catalog, onChange, signal)
+ * Builds the filter bar into #projects-filters and calls onChange(state) on every change.
+ * Returns { state, refresh }; state is restored from the URL, refresh re-runs onChange + count.
+ */
+function initProjectFilters(catalog, onChange, signal) {
+  const container = $('#projects-filters');
+  if (!container) return { state: readProjectFilters(''), refresh: null };
+  const state = readProjectFilters();
+  // drop tags from the URL that no longer exist in the manifest
+  const known = new Map(collectTags(catalog.projects).map(({ tag }) => [tag.toLowerCase(), tag]));
+  state.tags = state.tags.map(t => known.get(t.toLowerCase())).filter(Boolean);
+
+  const search = el('input', {
+    type: 'search',
+    id: 'projects-search',
+    class: 'w-full md:w-64 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none',
+    placeholder: t('projects.search', 'Search projects…'),
+    'aria-label': t('projects.searchLabel', 'Search projects'),
+    'data-i18n-attr': 'placeholder:projects.search; aria-label:projects.searchLabel',
+    value: state.q
+  });
+  const sort = el('select', {
+    id: 'projects-sort',
+    class: 'px-3 py-2 border rounded-lg bg-white dark:bg-gray-800',
+    'aria-label': t('projects.sortLabel', 'Sort projects'),
+    'data-i18n-attr': 'aria-label:projects.sortLabel'
+  }, Object.entries(PROJECT_SORTS).map(([key, { label }]) => el('option', {
+    value: key,
+    text: t(`projects.sort.${key}`, label),
+    'data-i18n': `projects.sort.${key}`,
+    selected: key === state.sort
+  })));
+  const mode = el('button', {
+    type: 'button',
+    id: 'projects-mode',
+    class: 'text-xs px-2 py-1 rounded border border-gray-300 dark:border-gray-600',
+    title: t('projects.modeTitle', 'Toggle whether projects must match all or any of the selected tags'),
+    'data-i18n-attr': 'title:projects.modeTitle'
+  });
+  const clear = el('button', {
+    type: 'button',
+    class: 'text-xs text-blue-600 dark:text-blue-400 hover:underline',
+    text: t('projects.clear', 'Clear filters'),
+    'data-i18n': 'projects.clear'
+  });
+  const count = el('p', { id: 'projects-count', class: 'text-sm text-gray-500', role: 'status', 'aria-live': 'polite' });
+  const facets = el('div', {
+    class: 'flex flex-wrap gap-2',
+    role: 'group',
+    'aria-label': t('projects.facetsLabel', 'Filter by technology'),
+    'data-i18n-attr': 'aria-label:projects.facetsLabel'
+  },
+    collectTags(catalog.projects).map(({ tag, count: n }) => el('button', {
+      type: 'button',
+      class: 'project-facet text-xs px-3 py-1 rounded-full border border-blue-200 dark:border-blue-800 transition',
+      'data-tag': tag,
+      'aria-pressed': 'false',
+      text: `${tag} (${n})`
+    }))
+  );
+
+  function sync() {
+    $$('.project-facet', facets).forEach(btn => {
+      const on = state.tags.includes(btn.dataset.tag);
+      btn.setAttribute('aria-pressed', String(on));
+      btn.classList.toggle('bg-blue-600', on);
+      btn.classList.toggle('text-white', on);
+    });
+    mode.textContent = state.mode === 'or' ? t('projects.matchAny', 'Match: any tag') : t('projects.matchAll', 'Match: all tags');
+    mode.classList.toggle('hidden', state.tags.length < 2);
+    clear.classList.toggle('hidden', !isFiltering(state) && state.sort === 'featured');
+  }
+
+  function changed() {
+    sync();
+    writeProjectFilters(state);
+    const shown = onChange(state);
+    const total = catalog.projects.length;
+    count.textContent = isFiltering(state)
+      ? t('projects.matching', { one: '{shown} of {count} project match', other: '{shown} of {count} projects match' }, { shown, count: total })
+      : t('projects.showing', { one: 'Showing {shown} of {count} project', other: 'Showing {shown} of {count} projects' }, { shown, count: total });
+  }
+
+  facets.addEventListener('click', (e) => {
+    const btn = e.target.closest('.project-facet');
+    if (!btn) return;
+    const tag = btn.dataset.tag;
+    state.tags = state.tags.includes(tag) ? state.tags.filter(t => t !== tag) : [...state.tags, tag];
+    changed();
+  });
+  mode.addEventListener('click', () => { state.mode = state.mode === 'or' ? 'and' : 'or'; changed(); });
+  sort.addEventListener('change', () => { state.sort = sort.value; changed(); });
+  search.addEventListener('input', debounce(() => { state.q = search.value; changed(); }, 200));
+  clear.addEventListener('click', () => {
+    Object.assign(state, { q: '', tags: [], mode: 'and', sort: 'featured' });
+    search.value = '';
+    sort.value = 'featured';
+    changed();
+  });
+
+  container.replaceChildren(
+    el('div', { class: 'flex flex-col md:flex-row md:items-center gap-3 mb-3' }, search, sort, count),
+    el('div', { class: 'flex flex-wrap items-center gap-2' }, facets, mode, clear)
+  );
+  container.classList.remove('hidden');
+  changed();
+  // attribute/option labels follow data-i18n; the computed texts need a redraw
+  document.addEventListener('localechange', changed, { signal });
+  return { state, refresh: changed };
+}
+
+/**
+ * projects feature ([data-projects] on #projects-grid): renders the catalog, wires the
+ * filters, "View All" and the project modal, and registers the #project/<slug> route.
+ */
+export const projectsFeature = defineFeature({
+  name: 'projects',
+  attribute: 'data-projects',
+  setup: setupProjects
+});
+
+async function setupProjects({ signal }) {
+  const grid = $('[data-projects]');
+  const viewAll = $('#projects-view-all');
+
+  registerRoute({
+    pattern: /^#project\/([a-z0-9-]+)$/i,
+    async open(match) {
+      // deep links can arrive before the manifest has loaded
+      try { await loadProjects(); } catch (e) { return false; }
+      if (!projectCatalog.bySlug.has(match[1])) return false;
+      openProjectModal(match[1]);
+      return true;
+    },
+    close: closeProjectModal
+  }, { signal });
+
+  // one delegated handler covers both static fallback cards and rendered ones
+  grid.addEventListener('click', (e) => {
+    const link = e.target.closest('.project-open');
+    if (!link) return;
+    e.preventDefault();
+    // catalog projects get a deep link; static fallback cards open in place
+    if (projectCatalog?.bySlug.has(link.dataset.slug)) {
+      navigateTo(`#project/${link.dataset.slug}`);
+      return;
+    }
+    const project = normalizeProject({
+      title: link.dataset.title,
+      description: link.dataset.desc || link.closest('article')?.querySelector('p')?.innerText,
+      tags: $$('span', link.closest('article')).map(s => s.textContent)
+    });
+    openProjectModal(project);
+  }, { signal });
+  projectModal(); // binds close button + backdrop
+
+  let catalog;
+  try {
+    catalog = await loadProjects();
+  } catch (err) {
+    // keep the static markup; it is the intended fallback
+    console.warn('Could not load projects manifest, keeping static cards:', err);
+    return;
+  }
+  if (signal.aborted) return;
+
+  let showAll = false;
+  // active filters always search the whole catalog, not just the featured subset
+  const draw = state => {
+    const filtering = isFiltering(state);
+    if (viewAll) viewAll.classList.toggle('hidden', filtering || !catalog.projects.some(p => !p.featured));
+    return renderProjects(filterProjects(catalog.projects, state), { showAll: showAll || filtering || state.sort !== 'featured' });
+  };
+  const filters = initProjectFilters(catalog, draw, signal);
+  const refresh = filters.refresh || (() => draw(filters.state));
+  if (!filters.refresh) refresh();
+
+  if (viewAll) {
+    viewAll.setAttribute('aria-expanded', 'false');
+    viewAll.addEventListener('click', (e) => {
+      e.preventDefault();
+      showAll = !showAll;
+      viewAll.setAttribute('aria-expanded', String(showAll));
+      const label = $('[data-i18n]', viewAll);
+      if (label) {
+        label.dataset.i18n = showAll ? 'projects.showFeatured' : 'projects.viewAll';
+        label.textContent = showAll ? t('projects.showFeatured', 'Show Featured Projects') : t('projects.viewAll', 'View All Projects');
+      }
+      refresh();
+    }, { signal });
+  }
+}
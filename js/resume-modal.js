@@ -0,0 +1,99 @@
+/* ===== js/resume-modal.js =====
+   Resume modal
+   - #resume-content is rendered by resume.js (ResumeKit) from data/resume.json, the
+     same JSON Resume file resume.html renders; the static markup is the fallback
+   - [data-resume-action="json" | "vcard"] buttons export that data
+   - deep link: #resume (legacy #open-resume-modal buttons navigate there too)
+*/
+import { $, $$, timeoutFetch } from './utils.js';
+import { defineFeature } from './feature.js';
+import { t, i18n } from './i18n.js';
+import { Modal } from './modal.js';
+import { registerRoute, navigateTo, requestModalClose } from './router.js';
+
+let resumeRequest = null;
+let resumeRendered = false;
+
+/** loadResumeData() - data/resume.json via ResumeKit (cached); null when unavailable */
+function loadResumeData() {
+  const content = $('#resume-content');
+  if (typeof ResumeKit === 'undefined') return Promise.resolve(null);
+  if (!resumeRequest) {
+    const url = (content && content.dataset.resumeSrc) || ResumeKit.RESUME_URL;
+    resumeRequest = ResumeKit.loadResume(url, (u, opts) => timeoutFetch(u, opts, 6000)).catch(err => {
+      console.warn('Could not load resume data, keeping the static summary:', err);
+      resumeRequest = null;
+      return null;
+    });
+  }
+  return resumeRequest;
+}
+
+/** renderResumeModal() - (re)render #resume-content in the active locale */
+async function renderResumeModal() {
+  const content = $('#resume-content');
+  if (!content) return false;
+  const resume = await loadResumeData();
+  if (!resume) return false;
+  content.replaceChildren(ResumeKit.renderResume(resume, {
+    headingLevel: 3,
+    idPrefix: 'resume-modal',
+    locale: i18n.locale,
+    labels: {
+      summary: t('resume.summary', 'Summary'),
+      work: t('resume.work', 'Experience'),
+      education: t('resume.education', 'Education'),
+      certificates: t('resume.certificates', 'Certifications'),
+      skills: t('resume.skills', 'Skills'),
+      contact: t('resume.contact', 'Contact details'),
+      present: t('experience.present', 'Present')
+    }
+  }));
+  resumeRendered = true;
+  return true;
+}
+
+/** resumeModal() - Modal instance for #resume-modal (closes go through the router) */
+function resumeModal() {
+  return Modal.from('#resume-modal', { onRequestClose: () => requestModalClose(closeResumeModal) });
+}
+
+function openResumeModal() {
+  if (!resumeRendered) renderResumeModal();
+  resumeModal()?.open();
+}
+
+function closeResumeModal() {
+  resumeModal()?.close();
+}
+
+/* resume modal feature ([data-resume-modal] on #resume-modal) */
+export const resumeModalFeature = defineFeature({
+  name: 'resume-modal',
+  attribute: 'data-resume-modal',
+  setup({ signal, onTeardown }) {
+    const modal = resumeModal();
+    if (!modal) return;
+    registerRoute({
+      pattern: /^#resume$/,
+      open() { openResumeModal(); return true; },
+      close: closeResumeModal
+    }, { signal });
+    // legacy trigger button; plain `href="#resume"` links are handled by the router
+    $('#open-resume-modal')?.addEventListener('click', (e) => { e.preventDefault(); navigateTo('#resume'); }, { signal });
+
+    if (typeof ResumeKit === 'undefined') return;
+    const exportButtons = $$('[data-resume-action]', modal.root);
+    exportButtons.forEach(btn => {
+      btn.classList.replace('hidden', 'inline-flex');
+      btn.addEventListener('click', async () => {
+        const resume = await loadResumeData();
+        if (resume) ResumeKit.exportResume(resume, btn.dataset.resumeAction);
+      }, { signal });
+    });
+    onTeardown(() => exportButtons.forEach(btn => btn.classList.replace('inline-flex', 'hidden')));
+    document.addEventListener('localechange', () => {
+      if (resumeRendered) renderResumeModal();
+    }, { signal });
+  }
+});
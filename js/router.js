@@ -0,0 +1,90 @@
+/* ===== js/router.js =====
+   Hash router for modals
+   - feature modules register their routes on init: #project/<slug>, #certificate/<id>, #resume
+   - opening pushes a history entry, so Back closes the modal
+   - any other hash (e.g. #contact) is left to the smooth-scroll feature / the browser
+*/
+import { defineFeature } from './feature.js';
+
+/* [{ pattern, open(match) -> bool | Promise<bool>, close() }] */
+const MODAL_ROUTES = [];
+
+/**
+ * registerRoute(route, { signal })
+ * Adds a modal route; it is removed again when `signal` aborts (the owning feature's teardown).
+ */
+export function registerRoute(route, { signal } = {}) {
+  MODAL_ROUTES.push(route);
+  signal?.addEventListener('abort', () => {
+    const idx = MODAL_ROUTES.indexOf(route);
+    if (idx !== -1) MODAL_ROUTES.splice(idx, 1);
+  }, { once: true });
+}
+
+/** matchRoute(hash) - { route, match } for a modal hash, or null */
+export function matchRoute(hash) {
+  for (const route of MODAL_ROUTES) {
+    const match = route.pattern.exec(hash || '');
+    if (match) return { route, match };
+  }
+  return null;
+}
+
+/** strip the hash from the current entry without scrolling or adding history */
+function clearRouteHash() {
+  try { history.replaceState(null, '', window.location.pathname + window.location.search); } catch (e) { /* ignore */ }
+}
+
+/**
+ * applyRoute()
+ * Syncs modals with location.hash: closes modals whose route no longer matches,
+ * opens the one that does. Safe to call repeatedly (popstate and hashchange can both fire).
+ */
+export async function applyRoute() {
+  const hit = matchRoute(window.location.hash);
+  MODAL_ROUTES.forEach(route => { if (!hit || hit.route !== route) route.close(); });
+  if (!hit) return;
+  const opened = await hit.route.open(hit.match);
+  // unknown slug or missing modal: drop the dead hash instead of leaving it in the URL
+  if (!opened) clearRouteHash();
+}
+
+/** navigateTo(hash) - open a modal route and record it in history */
+export function navigateTo(hash) {
+  if (!matchRoute(hash)) return;
+  if (window.location.hash !== hash) {
+    try { history.pushState({ modalRoute: hash }, '', hash); } catch (e) { window.location.hash = hash; return; }
+  }
+  applyRoute();
+}
+
+/**
+ * requestModalClose(close)
+ * UI close (button, backdrop, Escape). If we pushed the entry, go Back so the
+ * history stays balanced; if the page was opened on a deep link, replace it instead.
+ */
+export function requestModalClose(close) {
+  const hit = matchRoute(window.location.hash);
+  // the modal being closed isn't the routed one (e.g. stacked on top of it)
+  if (!hit || hit.route.close !== close) { close(); return; }
+  if (history.state && history.state.modalRoute === window.location.hash) history.back();
+  else { clearRouteHash(); applyRoute(); }
+}
+
+/* router feature ([data-modal-router]); started after the modal features have registered their routes */
+export const routerFeature = defineFeature({
+  name: 'router',
+  attribute: 'data-modal-router',
+  setup({ signal }) {
+    // delegated so links rendered later (project cards) are covered too
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest && e.target.closest('a[href^="#"]');
+      if (!link || e.defaultPrevented || !matchRoute(link.getAttribute('href'))) return;
+      e.preventDefault();
+      navigateTo(link.getAttribute('href'));
+    }, { signal });
+    window.addEventListener('popstate', applyRoute, { signal });
+    window.addEventListener('hashchange', applyRoute, { signal });
+    if (matchRoute(window.location.hash)) applyRoute();
+  }
+});
@@ -0,0 +1,428 @@
+/* ===== js/theme.js =====
+   Themes
+   - registry: light, dark, high-contrast, sepia + custom palettes (CSS variable sets)
+   - modes: 'manual' (picked theme), 'system' (prefers-color-scheme / prefers-contrast),
+     'auto' (day/night theme by sunrise/sunset or a fixed schedule)
+   - one storage key ('theme-settings'); migrates legacy 'site-theme' / 'pref-theme'
+   - picker: [data-theme-picker] with #theme-picker-button + #theme-menu (items built from the registry)
+   - fires `themechange` on document: detail { theme, previous, scheme, mode }
+*/
+import { $$, el } from './utils.js';
+import { defineFeature } from './feature.js';
+import { t } from './i18n.js';
+
+const THEME_KEY = 'theme-settings';
+const LEGACY_THEME_KEYS = ['site-theme', 'pref-theme'];
+
+/* scheme decides the Tailwind `.dark` class; palette themes also get html[data-palette] */
+const THEMES = {
+  light: { label: 'Light', icon: 'fa-sun', scheme: 'light', swatch: '#f8fafc' },
+  dark: { label: 'Dark', icon: 'fa-moon', scheme: 'dark', swatch: '#0f172a' },
+  'high-contrast': { label: 'High contrast', icon: 'fa-circle-half-stroke', scheme: 'dark', swatch: '#000000', palette: true },
+  sepia: { label: 'Sepia', icon: 'fa-book-open', scheme: 'light', swatch: '#f4ecd8', palette: true }
+};
+
+const THEME_DEFAULTS = {
+  mode: 'system',
+  theme: 'light',
+  auto: { source: 'schedule', day: 'light', night: 'dark', lightAt: '07:00', darkAt: '19:00', lat: null, lon: null },
+  custom: {}
+};
+
+let currentTheme = null;
+let themeSettings = null;
+
+/** readThemeSettings() - stored settings merged over defaults; migrates the legacy keys once */
+function readThemeSettings() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(THEME_KEY) || 'null');
+    if (!stored) {
+      // app.js used 'site-theme', the old inline script 'pref-theme'; app.js wins if both exist
+      const legacy = LEGACY_THEME_KEYS.map(key => localStorage.getItem(key)).find(v => v === 'dark' || v === 'light');
+      if (legacy) stored = { mode: 'manual', theme: legacy };
+    }
+    LEGACY_THEME_KEYS.forEach(key => localStorage.removeItem(key));
+  } catch (e) { stored = null; }
+
+  const settings = {
+    ...THEME_DEFAULTS,
+    ...(stored || {}),
+    auto: { ...THEME_DEFAULTS.auto, ...((stored && stored.auto) || {}) },
+    custom: { ...((stored && stored.custom) || {}) }
+  };
+  Object.entries(settings.custom).forEach(([name, def]) => {
+    try { registerTheme(name, def, { persist: false }); } catch (e) { delete settings.custom[name]; }
+  });
+  if (stored && !stored.mode) settings.mode = 'manual';
+  return settings;
+}
+
+function writeThemeSettings(settings) {
+  try { localStorage.setItem(THEME_KEY, JSON.stringify(settings)); } catch (e) { /* ignore */ }
+}
+
+/**
+ * registerTheme(name, { label, scheme, vars, swatch }, { persist })
+ * Adds a custom palette: `vars` maps CSS custom properties (e.g. '--page-bg') to values and
+ * is applied inline on <html>; `scheme` ('light' | 'dark') picks the base styles underneath.
+ */
+export function registerTheme(name, def = {}, { persist = true } = {}) {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) throw new Error(`Invalid theme name "${name}"`);
+  if (THEMES[name] && !THEMES[name].custom) throw new Error(`"${name}" is a built-in theme`);
+  const vars = {};
+  Object.entries(def.vars || {}).forEach(([prop, value]) => {
+    if (/^--[\w-]+$/.test(prop)) vars[prop] = String(value);
+  });
+  const theme = {
+    label: String(def.label || name),
+    icon: 'fa-palette',
+    scheme: def.scheme === 'dark' ? 'dark' : 'light',
+    swatch: def.swatch || vars['--page-bg'] || '#94a3b8',
+    palette: true,
+    custom: true,
+    vars
+  };
+  const previous = THEMES[name];
+  if (previous && previous.vars && currentTheme === name) {
+    Object.keys(previous.vars).forEach(prop => document.documentElement.style.removeProperty(prop));
+  }
+  THEMES[name] = theme;
+  if (currentTheme === name) applyTheme(name);
+  if (persist && themeSettings) {
+    themeSettings.custom[name] = { label: theme.label, scheme: theme.scheme, swatch: theme.swatch, vars };
+    writeThemeSettings(themeSettings);
+    renderThemeMenu();
+  }
+  return theme;
+}
+
+/** parseClock('19:30') - minutes since midnight (null if malformed) */
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * sunTimes(date, lat, lon) - { sunrise, sunset } Dates for that day,
+ * or { polar: 'day' | 'night' } when the sun doesn't rise/set (standard NOAA approximation)
+ */
+function sunTimes(date, lat, lon) {
+  const rad = Math.PI / 180;
+  const dayMs = 864e5;
+  const J1970 = 2440588;
+  const J2000 = 2451545;
+  const lw = -lon * rad;
+  const phi = lat * rad;
+  const d = date.valueOf() / dayMs - 0.5 + J1970 - J2000;
+  const n = Math.round(d - 0.0009 - lw / (2 * Math.PI));
+  const ds = 0.0009 + lw / (2 * Math.PI) + n;
+  const M = rad * (357.5291 + 0.98560028 * ds);
+  const C = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const L = M + C + rad * 102.9372 + Math.PI;
+  const dec = Math.asin(Math.sin(L) * Math.sin(rad * 23.4397));
+  const noon = J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+  const cosW = (Math.sin(-0.833 * rad) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+  if (cosW > 1) return { polar: 'night' };
+  if (cosW < -1) return { polar: 'day' };
+  const set = noon + Math.acos(cosW) / (2 * Math.PI);
+  const fromJulian = j => new Date((j + 0.5 - J1970) * dayMs);
+  return { sunrise: fromJulian(noon - (set - noon)), sunset: fromJulian(set) };
+}
+
+/** isDaytime(auto, now) - by sunrise/sunset when coordinates are known, else by lightAt/darkAt */
+function isDaytime(auto, now = new Date()) {
+  if (auto.source === 'sun' && Number.isFinite(auto.lat) && Number.isFinite(auto.lon)) {
+    const sun = sunTimes(now, auto.lat, auto.lon);
+    if (sun.polar) return sun.polar === 'day';
+    return now >= sun.sunrise && now < sun.sunset;
+  }
+  const lightAt = parseClock(auto.lightAt) ?? parseClock(THEME_DEFAULTS.auto.lightAt);
+  const darkAt = parseClock(auto.darkAt) ?? parseClock(THEME_DEFAULTS.auto.darkAt);
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  // schedules may wrap midnight (e.g. light 20:00 -> dark 04:00)
+  return lightAt <= darkAt
+    ? minutes >= lightAt && minutes < darkAt
+    : minutes >= lightAt || minutes < darkAt;
+}
+
+/** returns boolean whether OS prefers dark */
+function systemPrefersDark() {
+  try {
+    return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+  } catch (e) {
+    return false;
+  }
+}
+
+function systemPrefersContrast() {
+  try {
+    return window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches;
+  } catch (e) {
+    return false;
+  }
+}
+
+/** resolveTheme(settings, now) - theme name the settings call for right now */
+function resolveTheme(settings, now = new Date()) {
+  let name;
+  if (settings.mode === 'manual') name = settings.theme;
+  else if (settings.mode === 'auto') name = isDaytime(settings.auto, now) ? settings.auto.day : settings.auto.night;
+  else name = systemPrefersContrast() ? 'high-contrast' : (systemPrefersDark() ? 'dark' : 'light');
+  return THEMES[name] ? name : 'light';
+}
+
+/**
+ * applyTheme(theme)
+ * theme: any registered name (falls back to 'light'); updates <html> and the picker,
+ * then fires `themechange` if the theme actually changed.
+ */
+export function applyTheme(theme) {
+  const name = THEMES[theme] ? theme : 'light';
+  const def = THEMES[name];
+  const html = document.documentElement;
+  const previous = currentTheme;
+
+  html.classList.toggle('dark', def.scheme === 'dark');
+  html.dataset.theme = name;
+  if (def.palette) html.dataset.palette = name;
+  else delete html.dataset.palette;
+  html.style.colorScheme = def.scheme;
+  // clear inline vars left by a previous custom palette before applying this one
+  const prevDef = previous && THEMES[previous];
+  if (prevDef && prevDef.vars) Object.keys(prevDef.vars).forEach(prop => html.style.removeProperty(prop));
+  if (def.vars) Object.entries(def.vars).forEach(([prop, value]) => html.style.setProperty(prop, value));
+
+  currentTheme = name;
+  updateThemePicker();
+  if (previous !== name) {
+    document.dispatchEvent(new CustomEvent('themechange', {
+      detail: { theme: name, previous, scheme: def.scheme, mode: themeSettings ? themeSettings.mode : 'manual' }
+    }));
+  }
+}
+
+/** refreshTheme() - re-resolve from the saved settings (clock tick, system change, other tab) */
+function refreshTheme() {
+  if (themeSettings) applyTheme(resolveTheme(themeSettings));
+}
+
+/** setTheme(name) - pick a theme explicitly (manual mode) and persist it */
+export function setTheme(name) {
+  if (!THEMES[name]) throw new Error(`Unknown theme "${name}"`);
+  themeSettings = themeSettings || readThemeSettings();
+  themeSettings.mode = 'manual';
+  themeSettings.theme = name;
+  writeThemeSettings(themeSettings);
+  applyTheme(name);
+}
+
+/**
+ * setThemeMode(mode, auto) - 'system' | 'auto' | 'manual'; `auto` merges into the
+ * auto settings, e.g. { source: 'schedule', lightAt: '06:30', darkAt: '20:00', day: 'sepia' }
+ */
+export function setThemeMode(mode, auto = {}) {
+  if (!['system', 'auto', 'manual'].includes(mode)) throw new Error(`Unknown theme mode "${mode}"`);
+  themeSettings = themeSettings || readThemeSettings();
+  if (mode === 'manual') themeSettings.theme = currentTheme || themeSettings.theme;
+  themeSettings.mode = mode;
+  themeSettings.auto = { ...themeSettings.auto, ...auto };
+  writeThemeSettings(themeSettings);
+  refreshTheme();
+}
+
+/**
+ * useSunSchedule() - auto mode by sunrise/sunset at the visitor's (coarse) location.
+ * Falls back to the fixed schedule if geolocation is unavailable or declined.
+ */
+function useSunSchedule() {
+  const fallback = () => setThemeMode('auto', { source: 'schedule' });
+  if (!navigator.geolocation) { fallback(); return; }
+  navigator.geolocation.getCurrentPosition((pos) => {
+    // two decimals (~1 km) is plenty for sunrise times and all we keep
+    const round = v => Math.round(v * 100) / 100;
+    setThemeMode('auto', { source: 'sun', lat: round(pos.coords.latitude), lon: round(pos.coords.longitude) });
+  }, (err) => {
+    console.info('Location unavailable, using the fixed theme schedule.', err && err.message);
+    fallback();
+  }, { enableHighAccuracy: false, timeout: 10000, maximumAge: 24 * 60 * 60 * 1000 });
+}
+
+/* ---- picker ---- */
+
+/** themeMenuItems() - [{ label, swatch?, checked, select }] grouped as Mode / Theme */
+function themeMenuItems() {
+  const s = themeSettings || THEME_DEFAULTS;
+  const auto = s.auto;
+  const modeGroup = t('theme.groupMode', 'Mode');
+  return [
+    { group: modeGroup, label: t('theme.system', 'Match system'), checked: s.mode === 'system', select: () => setThemeMode('system') },
+    { group: modeGroup, label: t('theme.autoSun', 'Auto: sunrise / sunset'), checked: s.mode === 'auto' && auto.source === 'sun', select: useSunSchedule },
+    {
+      group: modeGroup,
+      label: t('theme.autoSchedule', 'Auto: {from}–{to}', { from: auto.lightAt, to: auto.darkAt }),
+      checked: s.mode === 'auto' && auto.source !== 'sun',
+      select: () => setThemeMode('auto', { source: 'schedule' })
+    },
+    ...Object.entries(THEMES).map(([name, def]) => ({
+      group: t('theme.groupTheme', 'Theme'),
+      label: themeLabel(name),
+      swatch: def.swatch,
+      name,
+      checked: s.mode === 'manual' && currentTheme === name,
+      select: () => setTheme(name)
+    }))
+  ];
+}
+
+function renderThemeMenu() {
+  const menu = document.getElementById('theme-menu');
+  if (!menu) return;
+  let group = null;
+  const nodes = [];
+  themeMenuItems().forEach(item => {
+    if (item.group !== group) {
+      group = item.group;
+      nodes.push(el('div', { class: 'theme-menu-label', role: 'presentation', text: group }));
+    }
+    const button = el('button', {
+      type: 'button',
+      role: 'menuitemradio',
+      'aria-checked': item.checked ? 'true' : 'false',
+      tabindex: '-1',
+      'data-theme-name': item.name,
+      onClick: () => {
+        item.select();
+        closeThemeMenu(true);
+      }
+    },
+    item.swatch ? el('span', { class: 'theme-swatch', 'aria-hidden': 'true', style: `background:${item.swatch}` }) : null,
+    item.label);
+    nodes.push(button);
+  });
+  menu.replaceChildren(...nodes);
+}
+
+/** themeLabel(name) - translated name for built-ins, the registered label for custom palettes */
+function themeLabel(name) {
+  const def = THEMES[name];
+  return def.custom ? def.label : t(`theme.names.${name}`, def.label);
+}
+
+/** updateThemePicker() - button icon/label + checked states for the current theme */
+function updateThemePicker() {
+  const button = document.getElementById('theme-picker-button');
+  const icon = document.getElementById('theme-icon');
+  const name = THEMES[currentTheme] ? currentTheme : 'light';
+  if (icon) icon.className = `fa-solid ${THEMES[name].icon}`;
+  if (button) {
+    const mode = themeSettings && themeSettings.mode !== 'manual' ? themeSettings.mode : null;
+    const label = mode
+      ? t('theme.currentMode', 'Theme: {name} ({mode})', { name: themeLabel(name), mode: t(`theme.modes.${mode}`, mode) })
+      : t('theme.current', 'Theme: {name}', { name: themeLabel(name) });
+    button.setAttribute('aria-label', label);
+    button.title = label;
+  }
+  renderThemeMenu();
+}
+
+function closeThemeMenu(restoreFocus) {
+  const menu = document.getElementById('theme-menu');
+  const button = document.getElementById('theme-picker-button');
+  if (!menu || menu.classList.contains('hidden')) return;
+  menu.classList.add('hidden');
+  if (button) {
+    button.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) button.focus();
+  }
+}
+
+function openThemeMenu() {
+  const menu = document.getElementById('theme-menu');
+  const button = document.getElementById('theme-picker-button');
+  if (!menu || !button) return;
+  renderThemeMenu();
+  menu.classList.remove('hidden');
+  button.setAttribute('aria-expanded', 'true');
+  const items = $$('[role="menuitemradio"]', menu);
+  (items.find(i => i.getAttribute('aria-checked') === 'true') || items[0])?.focus();
+}
+
+/**
+ * theme feature ([data-theme-picker]): applies the saved / system theme and wires the picker.
+ * Safe to re-run (portfolioUtils.initThemePicker) after the picker markup changed.
+ */
+export const themeFeature = defineFeature({
+  name: 'theme',
+  attribute: 'data-theme-picker',
+  setup({ signal, onTeardown }) {
+    const picker = document.getElementById('theme-picker');
+    // default schedule can come from markup: <div id="theme-picker" data-light-at="07:00" data-dark-at="19:00">
+    if (picker) {
+      ['lightAt', 'darkAt'].forEach(key => {
+        if (parseClock(picker.dataset[key]) !== null) THEME_DEFAULTS.auto[key] = picker.dataset[key];
+      });
+    }
+    themeSettings = readThemeSettings();
+    writeThemeSettings(themeSettings);
+    refreshTheme();
+
+    const button = document.getElementById('theme-picker-button');
+    const menu = document.getElementById('theme-menu');
+    if (button && menu) {
+      button.addEventListener('click', () => {
+        if (menu.classList.contains('hidden')) openThemeMenu();
+        else closeThemeMenu(false);
+      }, { signal });
+      button.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          openThemeMenu();
+        }
+      }, { signal });
+      // roving focus inside the menu
+      menu.addEventListener('keydown', (e) => {
+        const items = $$('[role="menuitemradio"]', menu);
+        const index = items.indexOf(document.activeElement);
+        const moves = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: items.length - 1 };
+        if (e.key in moves) {
+          e.preventDefault();
+          items[(moves[e.key] + items.length) % items.length].focus();
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          e.stopPropagation();
+          closeThemeMenu(true);
+        } else if (e.key === 'Tab') {
+          closeThemeMenu(false);
+        }
+      }, { signal });
+      document.addEventListener('click', (e) => {
+        if (picker && !picker.contains(e.target)) closeThemeMenu(false);
+      }, { signal });
+      onTeardown(() => closeThemeMenu(false));
+    }
+
+    // system preference changes only matter in 'system' mode; schedules are re-checked every minute
+    try {
+      if (window.matchMedia) {
+        ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+          window.matchMedia(query).addEventListener('change', () => {
+            if (themeSettings.mode === 'system') refreshTheme();
+          }, { signal });
+        });
+      }
+    } catch (e) { /* ignore environments that don't support addEventListener on matchMedia */ }
+    const timer = setInterval(() => {
+      if (themeSettings.mode === 'auto') refreshTheme();
+    }, 60 * 1000);
+    onTeardown(() => clearInterval(timer));
+    document.addEventListener('localechange', updateThemePicker, { signal });
+    // keep other tabs in step
+    window.addEventListener('storage', (e) => {
+      if (e.key !== THEME_KEY) return;
+      themeSettings = readThemeSettings();
+      refreshTheme();
+    }, { signal });
+  }
+});
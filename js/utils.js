@@ -0,0 +1,66 @@
+/* ===== js/utils.js =====
+   Small DOM / network helpers shared by every feature module.
+*/
+
+export const $ = (sel, root = document) => root.querySelector(sel);
+export const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
+
+/**
+ * el(tag, props, ...children) - tiny DOM builder
+ * props: attributes; `class`, `text` and `on<Event>` handlers are special-cased.
+ * children: nodes or strings (strings become text nodes, null/false are skipped).
+ */
+export function el(tag, props = {}, ...children) {
+  const node = document.createElement(tag);
+  Object.entries(props || {}).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === false) return;
+    if (key === 'class') node.className = value;
+    else if (key === 'text') node.textContent = value;
+    else if (key.startsWith('on') && typeof value === 'function') node.addEventListener(key.slice(2).toLowerCase(), value);
+    else node.setAttribute(key, value === true ? '' : value);
+  });
+  children.flat().forEach(child => {
+    if (child === null || child === undefined || child === false) return;
+    node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+  });
+  return node;
+}
+
+/** debounce(fn, wait) - common utility */
+export function debounce(fn, wait = 150) {
+  let t;
+  return (...args) => { clearTimeout(t); t = setTimeout(() => fn.apply(this, args), wait); };
+}
+
+/** timeoutFetch - fetch wrapper that times out */
+export async function timeoutFetch(url, opts = {}, timeout = 8000) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeout);
+  try {
+    const res = await fetch(url, { ...opts, signal: controller.signal });
+    clearTimeout(id);
+    return res;
+  } catch (err) {
+    clearTimeout(id);
+    throw err;
+  }
+}
+
+/* Email validation (simple, adequate for client-side) */
+export function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+/** slugify(text) - url-safe id used when a data entry omits its own */
+export function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/* Prefers reduced motion */
+export const prefersReducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+/** scrollBehavior() - 'smooth', or 'auto' for visitors who prefer reduced motion */
+export const scrollBehavior = () => (prefersReducedMotion ? 'auto' : 'smooth');
@@ -0,0 +1,65 @@
+/* ===== particles-worker.js =====
+   Runs ParticleEngine against an OffscreenCanvas off the main thread.
+   Started by the particles feature (js/particles-bg.js) when the browser supports
+   canvas.transferControlToOffscreen().
+
+   Messages in:  { type: 'init', canvas, width, height, dpr, preset, config, tier }
+                 { type: 'resize', width, height, dpr }
+                 { type: 'pointer', x, y }          (null/null = pointer left)
+                 { type: 'configure', config }
+                 { type: 'preset', name, config }
+                 { type: 'spawn', x, y }
+                 { type: 'start' } | { type: 'stop' }
+   Messages out: { type: 'quality', tier, index }
+*/
+/* global ParticleKit */
+importScripts('particles.js');
+
+let engine = null;
+
+const requestFrame = typeof self.requestAnimationFrame === 'function'
+  ? cb => self.requestAnimationFrame(cb)
+  : cb => setTimeout(() => cb(performance.now()), 16);
+const cancelFrame = typeof self.cancelAnimationFrame === 'function'
+  ? id => self.cancelAnimationFrame(id)
+  : id => clearTimeout(id);
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  switch (msg.type) {
+    case 'init':
+      engine = new ParticleKit.ParticleEngine(msg.canvas.getContext('2d'), {
+        preset: msg.preset,
+        config: msg.config,
+        tier: msg.tier,
+        requestFrame,
+        cancelFrame,
+        onQualityChange: (tier, index) => self.postMessage({ type: 'quality', tier, index })
+      });
+      engine.resize(msg.width, msg.height, msg.dpr);
+      break;
+    case 'resize':
+      if (engine) engine.resize(msg.width, msg.height, msg.dpr);
+      break;
+    case 'pointer':
+      if (engine) engine.setPointer(msg.x, msg.y);
+      break;
+    case 'configure':
+      if (engine) engine.configure(msg.config);
+      break;
+    case 'preset':
+      if (engine) engine.setPreset(msg.name, msg.config);
+      break;
+    case 'spawn':
+      if (engine) engine.spawn(msg.x, msg.y);
+      break;
+    case 'start':
+      if (engine) engine.start();
+      break;
+    case 'stop':
+      if (engine) engine.stop();
+      break;
+    default:
+      break;
+  }
+};
@@ -0,0 +1,588 @@
+/* ===== particles.js =====
+   Particle background engine, shared by the page and particles-worker.js.
+   - Browser: include before app.js; exposes window.ParticleKit.
+   - Worker:  importScripts('particles.js'); exposes self.ParticleKit.
+
+   Pieces:
+   - SpatialGrid: hash grid so the connection pass only compares neighbouring
+     cells instead of every pair (O(n) average instead of O(n²))
+   - QualityController: measures real per-frame work time and steps between
+     QUALITY_TIERS (particle density, line distance, fps throttle)
+   - PRESETS: named looks (constellation, snow, bubbles, grid-warp) layered over
+     DEFAULT_CONFIG; colors are plain "r,g,b" strings supplied by the page
+   - ParticleEngine: simulation + drawing on any 2D context (regular or Offscreen)
+*/
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.ParticleKit = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULT_CONFIG = {
+    baseColor: '59,130,246',
+    accentColor: '124,58,237',
+    behavior: 'drift',        // drift | fall | rise | lattice
+    shape: 'dot',             // dot | ring
+    dotColor: 'base',         // base | accent
+    lineColor: 'base',
+    connect: true,
+    lineOpacity: 0.14,
+    particleMin: 60,
+    particleMax: 220,
+    particleDensity: 0.00012,
+    maxLineDistance: 120,
+    maxParticleSize: 3.2,
+    minParticleSize: 0.9,
+    speedFactor: 0.35,
+    gridSpacing: 44,          // lattice only
+    pointerMode: 'repel',     // repel | attract | none
+    pointerRadius: 80,
+    pointerForce: 0.6,
+    spawnCount: 12,           // particles per spawn() burst
+    spawnMax: 120,            // cap on short-lived spawned particles
+    fpsThrottle: 60
+  };
+
+  /* presets only list what differs from DEFAULT_CONFIG */
+  const PRESETS = {
+    constellation: {},
+    snow: {
+      behavior: 'fall',
+      connect: false,
+      particleDensity: 0.0001,
+      minParticleSize: 1,
+      maxParticleSize: 3.6,
+      speedFactor: 0.6,
+      pointerRadius: 90,
+      pointerForce: 0.3
+    },
+    bubbles: {
+      behavior: 'rise',
+      shape: 'ring',
+      dotColor: 'accent',
+      connect: false,
+      particleMin: 24,
+      particleDensity: 0.00004,
+      minParticleSize: 3,
+      maxParticleSize: 11,
+      speedFactor: 0.45,
+      pointerRadius: 110,
+      pointerForce: 0.35
+    },
+    'grid-warp': {
+      behavior: 'lattice',
+      lineColor: 'accent',
+      lineOpacity: 0.3,
+      particleMax: 900,
+      minParticleSize: 0.8,
+      maxParticleSize: 1.6,
+      pointerRadius: 150,
+      pointerForce: 1.2
+    }
+  };
+
+  /** presetConfig(name, overrides) - DEFAULT_CONFIG + preset + overrides (throws on unknown names) */
+  function presetConfig(name, overrides = {}) {
+    if (!Object.prototype.hasOwnProperty.call(PRESETS, name)) {
+      throw new Error(`Unknown particle preset "${name}" (use ${Object.keys(PRESETS).join(', ')})`);
+    }
+    return { ...DEFAULT_CONFIG, ...PRESETS[name], ...overrides };
+  }
+
+  /* lowest first; `scale` multiplies density, line distance and fps of the base config */
+  const QUALITY_TIERS = [
+    { name: 'minimal', density: 0.35, lineDistance: 0.6, fps: 24, connect: false },
+    { name: 'low', density: 0.5, lineDistance: 0.7, fps: 30, connect: true },
+    { name: 'medium', density: 0.75, lineDistance: 0.85, fps: 45, connect: true },
+    { name: 'high', density: 1, lineDistance: 1, fps: 60, connect: true }
+  ];
+
+  /* alpha levels used to batch line strokes (one stroke() per level per frame) */
+  const LINE_ALPHA_LEVELS = 6;
+
+  function rand(min, max) { return Math.random() * (max - min) + min; }
+
+  function now() {
+    return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+  }
+
+  /* ========================
+     Spatial hash grid
+     ======================== */
+  class SpatialGrid {
+    constructor(cellSize = 120) {
+      this.cellSize = cellSize;
+      this.cols = 0;
+      this.rows = 0;
+      this.cells = [];
+    }
+
+    /** rebuild(particles, width, height, cellSize) - buckets particle indices by cell */
+    rebuild(particles, width, height, cellSize = this.cellSize) {
+      this.cellSize = Math.max(1, cellSize);
+      const cols = Math.max(1, Math.ceil(width / this.cellSize));
+      const rows = Math.max(1, Math.ceil(height / this.cellSize));
+      if (cols !== this.cols || rows !== this.rows) {
+        this.cols = cols;
+        this.rows = rows;
+        this.cells = Array.from({ length: cols * rows }, () => []);
+      } else {
+        for (const cell of this.cells) cell.length = 0;
+      }
+      for (let i = 0; i < particles.length; i++) {
+        const p = particles[i];
+        const cx = Math.min(cols - 1, Math.max(0, Math.floor(p.x / this.cellSize)));
+        const cy = Math.min(rows - 1, Math.max(0, Math.floor(p.y / this.cellSize)));
+        this.cells[cy * cols + cx].push(i);
+      }
+    }
+
+    /**
+     * forEachPair(particles, maxDist, fn)
+     * Calls fn(a, b, dist) once per pair closer than maxDist. Each cell is compared with
+     * itself and four forward neighbours (E, SW, S, SE) so no pair is visited twice.
+     */
+    forEachPair(particles, maxDist, fn) {
+      const { cols, rows, cells } = this;
+      const maxSq = maxDist * maxDist;
+      const forward = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+      for (let cy = 0; cy < rows; cy++) {
+        for (let cx = 0; cx < cols; cx++) {
+          const cell = cells[cy * cols + cx];
+          if (!cell.length) continue;
+          for (let i = 0; i < cell.length; i++) {
+            const pa = particles[cell[i]];
+            for (let j = i + 1; j < cell.length; j++) {
+              const pb = particles[cell[j]];
+              const dx = pa.x - pb.x, dy = pa.y - pb.y;
+              const d2 = dx * dx + dy * dy;
+              if (d2 < maxSq) fn(pa, pb, Math.sqrt(d2));
+            }
+          }
+          for (const [ox, oy] of forward) {
+            const nx = cx + ox, ny = cy + oy;
+            if (nx < 0 || nx >= cols || ny >= rows) continue;
+            const other = cells[ny * cols + nx];
+            if (!other.length) continue;
+            for (const a of cell) {
+              const pa = particles[a];
+              for (const b of other) {
+                const pb = particles[b];
+                const dx = pa.x - pb.x, dy = pa.y - pb.y;
+                const d2 = dx * dx + dy * dy;
+                if (d2 < maxSq) fn(pa, pb, Math.sqrt(d2));
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /* ========================
+     Adaptive quality
+     ======================== */
+  class QualityController {
+    /**
+     * @param {object} opts
+     * @param {number} [opts.tier] - starting index into QUALITY_TIERS
+     * @param {number} [opts.sampleSize] - frames per evaluation window
+     * @param {Function} [opts.onChange] - (tier, index) after a step up/down
+     */
+    constructor({ tier = QUALITY_TIERS.length - 1, sampleSize = 90, onChange } = {}) {
+      this.index = Math.max(0, Math.min(QUALITY_TIERS.length - 1, tier));
+      this.sampleSize = sampleSize;
+      this.onChange = onChange;
+      this.samples = [];
+      this.calmWindows = 0;
+    }
+
+    get tier() { return QUALITY_TIERS[this.index]; }
+
+    /** sample(workMs) - record one frame's cost; may step the tier */
+    sample(workMs) {
+      this.samples.push(workMs);
+      if (this.samples.length < this.sampleSize) return;
+      const sorted = this.samples.slice().sort((a, b) => a - b);
+      this.samples.length = 0;
+      // 90th percentile: robust against one-off GC pauses, sensitive to sustained jank
+      const p90 = sorted[Math.floor(sorted.length * 0.9)];
+      const budget = 1000 / this.tier.fps;
+      if (p90 > budget * 0.6 && this.index > 0) {
+        this.calmWindows = 0;
+        this.step(-1);
+      } else if (p90 < budget * 0.2 && this.index < QUALITY_TIERS.length - 1) {
+        // require sustained headroom before stepping up, to avoid oscillating
+        if (++this.calmWindows >= 3) {
+          this.calmWindows = 0;
+          this.step(1);
+        }
+      } else {
+        this.calmWindows = 0;
+      }
+    }
+
+    step(direction) {
+      this.index = Math.max(0, Math.min(QUALITY_TIERS.length - 1, this.index + direction));
+      if (this.onChange) this.onChange(this.tier, this.index);
+    }
+
+    reset(tier) {
+      this.samples.length = 0;
+      this.calmWindows = 0;
+      if (typeof tier === 'number') this.index = Math.max(0, Math.min(QUALITY_TIERS.length - 1, tier));
+    }
+  }
+
+  /**
+   * initialTier({ deviceMemory, hardwareConcurrency })
+   * Starting tier from device hints; the controller corrects it from real frame times.
+   */
+  function initialTier({ deviceMemory = 4, hardwareConcurrency = 4 } = {}) {
+    if (deviceMemory <= 1) return 1;
+    if (deviceMemory <= 2 || hardwareConcurrency <= 2) return 2;
+    return QUALITY_TIERS.length - 1;
+  }
+
+  /* ========================
+     Engine
+     ======================== */
+  class ParticleEngine {
+    /**
+     * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+     * @param {object} [opts]
+     * @param {string} [opts.preset] - key of PRESETS (default 'constellation')
+     * @param {object} [opts.config] - overrides on top of the preset
+     * @param {number} [opts.tier] - starting quality tier index
+     * @param {Function} [opts.requestFrame] / [opts.cancelFrame] - rAF in either thread
+     * @param {Function} [opts.onQualityChange] - (tierName, index)
+     */
+    constructor(ctx, opts = {}) {
+      this.ctx = ctx;
+      this.preset = opts.preset || 'constellation';
+      this.cfg = presetConfig(this.preset, opts.config);
+      this.width = 0;
+      this.height = 0;
+      this.dpr = 1;
+      this.particles = [];
+      this.mouse = { x: null, y: null };
+      this.lattice = null;      // { cols, rows, spacing } while behavior === 'lattice'
+      this.grid = new SpatialGrid(this.cfg.maxLineDistance);
+      this.lastFrame = 0;
+      this.running = false;
+      this.frameId = null;
+      this.requestFrame = opts.requestFrame || (cb => setTimeout(() => cb(now()), 16));
+      this.cancelFrame = opts.cancelFrame || clearTimeout;
+      this.onQualityChange = opts.onQualityChange;
+      this.quality = new QualityController({
+        tier: opts.tier,
+        onChange: (tier, index) => {
+          this.syncCount();
+          if (this.onQualityChange) this.onQualityChange(tier.name, index);
+        }
+      });
+      this.animate = this.animate.bind(this);
+    }
+
+    get tier() { return this.quality.tier; }
+
+    /* effective settings = base config scaled by the current quality tier */
+    get lineDistance() {
+      // lattice lines join orthogonal neighbours only (diagonals sit at ~1.41 spacing)
+      if (this.lattice) return this.lattice.spacing * 1.25;
+      return this.cfg.maxLineDistance * this.tier.lineDistance;
+    }
+    get fps() { return Math.min(this.cfg.fpsThrottle, this.tier.fps); }
+
+    targetCount() {
+      const area = this.width * this.height;
+      const scale = this.tier.density;
+      const count = Math.max(this.cfg.particleMin * scale, area * this.cfg.particleDensity * scale);
+      return Math.round(Math.min(count, this.cfg.particleMax));
+    }
+
+    /** resize(width, height, dpr) - logical (CSS px) size; the canvas backing store is scaled by dpr */
+    resize(width, height, dpr = 1) {
+      const canvas = this.ctx.canvas;
+      this.width = width;
+      this.height = height;
+      this.dpr = Math.max(1, Math.min(dpr || 1, 2));
+      canvas.width = Math.floor(width * this.dpr);
+      canvas.height = Math.floor(height * this.dpr);
+      this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+      // keep existing particles inside the new bounds instead of re-seeding everything
+      for (const p of this.particles) {
+        if (p.x > width) p.x = Math.random() * width;
+        if (p.y > height) p.y = Math.random() * height;
+      }
+      this.syncCount();
+    }
+
+    /**
+     * configure(partial) - merge config into the current preset.
+     * Color-only changes keep the scene; anything that changes motion re-seeds it.
+     */
+    configure(partial = {}) {
+      const reseed = ['behavior', 'speedFactor', 'minParticleSize', 'maxParticleSize', 'gridSpacing']
+        .some(key => key in partial && partial[key] !== this.cfg[key]);
+      Object.assign(this.cfg, partial);
+      if (reseed) this.reseed();
+      else this.syncCount();
+    }
+
+    /** setPreset(name, overrides) - swap to a named preset and start a fresh scene */
+    setPreset(name, overrides = {}) {
+      this.cfg = presetConfig(name, overrides);
+      this.preset = name;
+      this.reseed();
+    }
+
+    /* add/remove particles to match targetCount() without resetting the scene;
+       spawned (short-lived) particles are left alone */
+    syncCount() {
+      if (this.cfg.behavior === 'lattice') return this.layoutLattice();
+      this.lattice = null;
+      const target = this.targetCount();
+      const persistent = this.particles.filter(p => !p.life);
+      const sparks = this.particles.filter(p => p.life);
+      if (persistent.length > target) persistent.length = target;
+      while (persistent.length < target) persistent.push(this.makeParticle());
+      this.particles = persistent.concat(sparks);
+    }
+
+    /* one node per grid intersection, spacing widened so the count stays under particleMax */
+    layoutLattice() {
+      const area = Math.max(1, this.width * this.height);
+      const spacing = Math.max(
+        this.cfg.gridSpacing / Math.sqrt(this.tier.density),
+        Math.sqrt(area / this.cfg.particleMax)
+      );
+      const cols = Math.ceil(this.width / spacing) + 1;
+      const rows = Math.ceil(this.height / spacing) + 1;
+      const prev = this.lattice;
+      if (prev && prev.cols === cols && prev.rows === rows && prev.spacing === spacing) return;
+      this.lattice = { cols, rows, spacing };
+      const nodes = [];
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+          const p = this.makeParticle(c * spacing, r * spacing);
+          p.vx = 0; p.vy = 0;
+          p.hx = p.x; p.hy = p.y;
+          nodes.push(p);
+        }
+      }
+      this.particles = nodes.concat(this.particles.filter(p => p.life));
+    }
+
+    reseed() {
+      this.particles = [];
+      this.lattice = null;
+      this.syncCount();
+    }
+
+    makeParticle(x, y) {
+      const { speedFactor, minParticleSize, maxParticleSize, behavior } = this.cfg;
+      const p = {
+        x: x ?? Math.random() * this.width,
+        y: y ?? Math.random() * this.height,
+        vx: (Math.random() - 0.5) * speedFactor * rand(0.5, 1.6),
+        vy: (Math.random() - 0.5) * speedFactor * rand(0.5, 1.6),
+        size: rand(minParticleSize, maxParticleSize),
+        alpha: rand(0.35, 0.9),
+        phase: Math.random() * Math.PI * 2
+      };
+      // fall/rise keep a base velocity to relax back to after the pointer pushes them
+      if (behavior === 'fall') {
+        p.vy = speedFactor * rand(0.4, 1.2) * (p.size / maxParticleSize + 0.3);
+        p.vx = speedFactor * rand(-0.15, 0.15);
+      } else if (behavior === 'rise') {
+        p.vy = -speedFactor * rand(0.4, 1.1);
+        p.vx = 0;
+        p.alpha = rand(0.2, 0.55);
+      }
+      p.bx = p.vx; p.by = p.vy;
+      return p;
+    }
+
+    /**
+     * spawn(x, y, count) - burst of short-lived particles at a point (e.g. a click).
+     * They fade out over ~2s, so the scene settles back to its normal density.
+     */
+    spawn(x, y, count = this.cfg.spawnCount) {
+      const room = this.cfg.spawnMax - this.particles.filter(p => p.life).length;
+      for (let i = 0; i < Math.min(count, room); i++) {
+        const p = this.makeParticle(x, y);
+        const angle = Math.random() * Math.PI * 2;
+        const speed = rand(0.8, 2.6);
+        p.vx = Math.cos(angle) * speed;
+        p.vy = Math.sin(angle) * speed;
+        p.life = p.ttl = Math.round(rand(90, 150));
+        p.alpha = rand(0.6, 1);
+        this.particles.push(p);
+      }
+    }
+
+    setPointer(x, y) {
+      this.mouse.x = x;
+      this.mouse.y = y;
+    }
+
+    /* pointer push (repel) or pull (attract), strongest at the pointer */
+    applyPointer(p) {
+      const { pointerMode, pointerRadius, pointerForce } = this.cfg;
+      if (pointerMode === 'none' || this.mouse.x === null || this.mouse.y === null) return;
+      const dx = p.x - this.mouse.x; const dy = p.y - this.mouse.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist >= pointerRadius || dist === 0) return;
+      const force = (pointerRadius - dist) / pointerRadius * pointerForce * (pointerMode === 'attract' ? -1 : 1);
+      p.vx += (dx / dist) * force;
+      p.vy += (dy / dist) * force;
+    }
+
+    wrap(p) {
+      const pad = p.size * 2;
+      if (p.x > this.width + pad) p.x = -pad;
+      if (p.x < -pad) p.x = this.width + pad;
+      if (p.y > this.height + pad) {
+        p.y = -pad;
+        if (this.cfg.behavior === 'fall') p.x = Math.random() * this.width;
+      }
+      if (p.y < -pad) {
+        p.y = this.height + pad;
+        if (this.cfg.behavior === 'rise') p.x = Math.random() * this.width;
+      }
+    }
+
+    updateParticle(p) {
+      if (p.life) {
+        // spawned: coast outwards, slow down, fade
+        p.x += p.vx; p.y += p.vy;
+        p.vx *= 0.96; p.vy *= 0.96;
+        p.ttl--;
+        return;
+      }
+
+      switch (this.cfg.behavior) {
+        case 'lattice': {
+          // spring back to the node's home; the pointer warps the mesh around it
+          this.applyPointer(p);
+          p.vx = (p.vx + (p.hx - p.x) * 0.06) * 0.82;
+          p.vy = (p.vy + (p.hy - p.y) * 0.06) * 0.82;
+          p.x += p.vx; p.y += p.vy;
+          return;
+        }
+        case 'fall':
+        case 'rise': {
+          p.phase += 0.02;
+          this.applyPointer(p);
+          p.x += p.vx + Math.sin(p.phase) * (this.cfg.behavior === 'fall' ? 0.35 : 0.25);
+          p.y += p.vy;
+          // relax back to the base drift after a push
+          p.vx += (p.bx - p.vx) * 0.04;
+          p.vy += (p.by - p.vy) * 0.04;
+          this.wrap(p);
+          return;
+        }
+        default: {
+          p.x += p.vx; p.y += p.vy;
+          if (p.x > this.width) p.x = 0;
+          if (p.x < 0) p.x = this.width;
+          if (p.y > this.height) p.y = 0;
+          if (p.y < 0) p.y = this.height;
+          this.applyPointer(p);
+          p.vx *= 0.995; p.vy *= 0.995;
+        }
+      }
+    }
+
+    color(role) {
+      return role === 'accent' ? this.cfg.accentColor : this.cfg.baseColor;
+    }
+
+    drawParticles() {
+      const ctx = this.ctx;
+      const rgb = this.color(this.cfg.dotColor);
+      const ring = this.cfg.shape === 'ring';
+      if (ring) ctx.lineWidth = 1;
+      for (const p of this.particles) {
+        const alpha = p.life ? p.alpha * (p.ttl / p.life) : p.alpha;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+        if (ring && !p.life) {
+          ctx.fillStyle = `rgba(${rgb}, ${alpha * 0.15})`;
+          ctx.fill();
+          ctx.strokeStyle = `rgba(${rgb}, ${alpha})`;
+          ctx.stroke();
+        } else {
+          ctx.fillStyle = `rgba(${rgb}, ${alpha})`;
+          ctx.fill();
+        }
+      }
+    }
+
+    /* connection pass: grid lookup + one path per alpha level */
+    connect() {
+      if (!this.cfg.connect || !this.tier.connect) return;
+      const maxDist = this.lineDistance;
+      const levels = Array.from({ length: LINE_ALPHA_LEVELS }, () => []);
+      this.grid.rebuild(this.particles, this.width, this.height, maxDist);
+      this.grid.forEachPair(this.particles, maxDist, (pa, pb, dist) => {
+        const level = Math.min(LINE_ALPHA_LEVELS - 1, Math.floor((1 - dist / maxDist) * LINE_ALPHA_LEVELS));
+        levels[level].push(pa.x, pa.y, pb.x, pb.y);
+      });
+      const ctx = this.ctx;
+      const rgb = this.color(this.cfg.lineColor);
+      ctx.lineWidth = 1;
+      levels.forEach((segments, level) => {
+        if (!segments.length) return;
+        const alpha = (level + 0.5) / LINE_ALPHA_LEVELS;
+        ctx.beginPath();
+        ctx.strokeStyle = `rgba(${rgb}, ${alpha * this.cfg.lineOpacity})`;
+        for (let i = 0; i < segments.length; i += 4) {
+          ctx.moveTo(segments[i], segments[i + 1]);
+          ctx.lineTo(segments[i + 2], segments[i + 3]);
+        }
+        ctx.stroke();
+      });
+    }
+
+    /** render() - one simulation step + draw (no throttling, no measurement) */
+    render() {
+      const ctx = this.ctx;
+      ctx.clearRect(0, 0, this.width, this.height);
+      for (const p of this.particles) this.updateParticle(p);
+      if (this.particles.some(p => p.life && p.ttl <= 0)) {
+        this.particles = this.particles.filter(p => !p.life || p.ttl > 0);
+      }
+      this.drawParticles();
+      this.connect();
+    }
+
+    animate(ts) {
+      if (!this.running) return;
+      this.frameId = this.requestFrame(this.animate);
+      if (ts - this.lastFrame < 1000 / this.fps) return;
+      this.lastFrame = ts;
+      const started = now();
+      this.render();
+      this.quality.sample(now() - started);
+    }
+
+    start() {
+      if (this.running) return;
+      this.running = true;
+      // measurements from before a pause (e.g. a background tab) are meaningless
+      this.quality.reset();
+      this.frameId = this.requestFrame(this.animate);
+    }
+
+    stop() {
+      this.running = false;
+      if (this.frameId !== null) this.cancelFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  return { DEFAULT_CONFIG, PRESETS, QUALITY_TIERS, SpatialGrid, QualityController, ParticleEngine, presetConfig, initialTier };
+});
@@ -0,0 +1,360 @@
+/* ===== resume.js =====
+   Renders the resume from data/resume.json (JSON Resume format, https://jsonresume.org/schema)
+   and exports it as JSON Resume or vCard. Shared by browser and Node.
+   - Browser: exposes window.ResumeKit. app.js fills #resume-modal with it; resume.html
+     is mounted automatically (any element with data-resume-page).
+   - Node: const ResumeKit = require('./resume'); (renderResume needs a `document` option)
+
+   Page markup (resume.html):
+     <main data-resume-page data-resume-src="data/resume.json">…fallback…</main>
+     <button data-resume-action="print | json | vcard">
+     <select id="resume-paper"> (A4 / Letter, sets the @page size for printing)
+     resume.html?print opens the print dialog once the resume has rendered.
+*/
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.ResumeKit = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const RESUME_URL = 'data/resume.json';
+  const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+  const DEFAULT_LABELS = {
+    summary: 'Summary',
+    work: 'Experience',
+    education: 'Education',
+    certificates: 'Certifications',
+    skills: 'Skills',
+    projects: 'Projects',
+    languages: 'Languages',
+    present: 'Present',
+    contact: 'Contact details'
+  };
+
+  /* Letter for the regions that use it, A4 everywhere else */
+  const LETTER_REGIONS = ['US', 'CA', 'MX', 'PH', 'CL', 'CO', 'VE'];
+
+  const list = value => (Array.isArray(value) ? value : []);
+
+  /** normalizeResume(raw) - every section an array, basics/location objects always present */
+  function normalizeResume(raw) {
+    const data = raw && typeof raw === 'object' ? raw : {};
+    const basics = data.basics || {};
+    return {
+      ...data,
+      basics: { ...basics, location: basics.location || {}, profiles: list(basics.profiles) },
+      work: list(data.work),
+      education: list(data.education),
+      certificates: list(data.certificates),
+      skills: list(data.skills),
+      projects: list(data.projects),
+      languages: list(data.languages)
+    };
+  }
+
+  /** formatMonth('2022-01', locale) - "Jan 2022"; '2022' -> "2022"; '' for anything else */
+  function formatMonth(value, locale) {
+    const match = /^(\d{4})(?:-(\d{2}))?/.exec(value || '');
+    if (!match) return '';
+    if (!match[2]) return match[1];
+    return new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric' })
+      .format(new Date(Number(match[1]), Number(match[2]) - 1, 1));
+  }
+
+  /** dateRange(start, end, { locale, present }) - "Jan 2022 – Present", "Jun 2025" for end-only entries */
+  function dateRange(start, end, { locale, present = DEFAULT_LABELS.present } = {}) {
+    if (!start) return formatMonth(end, locale);
+    return `${formatMonth(start, locale)} – ${end ? formatMonth(end, locale) : present}`;
+  }
+
+  function locationText(location) {
+    return [location.city, location.region, location.countryCode].filter(Boolean).join(', ');
+  }
+
+  /**
+   * renderResume(resume, opts) - <article class="resume"> for a (raw or normalized) resume
+   * opts: { document, locale, lang, labels, headingLevel (name heading, default 1), idPrefix }
+   * Sections are <section aria-labelledby> with headings one level below the name.
+   */
+  function renderResume(raw, opts = {}) {
+    const doc = opts.document || (typeof document !== 'undefined' ? document : null);
+    if (!doc) throw new Error('renderResume needs a document');
+    const resume = normalizeResume(raw);
+    const labels = { ...DEFAULT_LABELS, ...(opts.labels || {}) };
+    const level = Math.min(Math.max(Number(opts.headingLevel) || 1, 1), 4);
+    const prefix = opts.idPrefix || 'resume';
+    const range = (start, end) => dateRange(start, end, { locale: opts.locale, present: labels.present });
+
+    const h = (tag, attrs = {}, ...children) => {
+      const node = doc.createElement(tag);
+      Object.entries(attrs).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === false) return;
+        if (key === 'class') node.className = value;
+        else if (key === 'text') node.textContent = value;
+        else node.setAttribute(key, value);
+      });
+      children.flat(Infinity).forEach(child => {
+        if (child === null || child === undefined || child === false || child === '') return;
+        node.appendChild(typeof child === 'string' ? doc.createTextNode(child) : child);
+      });
+      return node;
+    };
+    const heading = (offset, attrs, text) => h(`h${level + offset}`, { ...attrs, text });
+    const section = (key, children) => h('section', { class: `resume-section resume-${key}`, 'aria-labelledby': `${prefix}-${key}` },
+      heading(1, { id: `${prefix}-${key}`, class: 'resume-section-title' }, labels[key]),
+      children);
+    const bullets = items => (items.length ? h('ul', { class: 'resume-highlights' }, items.map(text => h('li', { text }))) : null);
+    const dates = (start, end) => {
+      const text = range(start, end);
+      return text ? h('p', { class: 'resume-dates', text }) : null;
+    };
+
+    const { basics } = resume;
+    const contact = [
+      basics.email && h('li', {}, h('a', { href: `mailto:${basics.email}`, text: basics.email })),
+      basics.phone && h('li', {}, h('a', { href: `tel:${basics.phone.replace(/[^\d+]/g, '')}`, text: basics.phone })),
+      locationText(basics.location) && h('li', { text: locationText(basics.location) }),
+      basics.url && h('li', {}, h('a', { href: basics.url, text: basics.url.replace(/^https?:\/\//, '') })),
+      ...basics.profiles.filter(p => p.url).map(p => h('li', {}, h('a', { href: p.url, text: p.network || p.username || p.url })))
+    ].filter(Boolean);
+
+    const article = h('article', { class: 'resume', lang: opts.lang || null },
+      h('header', { class: 'resume-header' },
+        heading(0, { class: 'resume-name' }, basics.name || ''),
+        basics.label && h('p', { class: 'resume-label', text: basics.label }),
+        contact.length && h('ul', { class: 'resume-contact', 'aria-label': labels.contact }, contact)
+      )
+    );
+
+    if (basics.summary) article.appendChild(section('summary', h('p', { text: basics.summary })));
+    if (resume.work.length) {
+      article.appendChild(section('work', resume.work.map(job => h('div', { class: 'resume-item' },
+        heading(2, { class: 'resume-item-title' }, [job.position, job.name].filter(Boolean).join(' — ')),
+        dates(job.startDate, job.endDate),
+        job.location && h('p', { class: 'resume-meta', text: job.location }),
+        job.summary && h('p', { text: job.summary }),
+        bullets(list(job.highlights))
+      ))));
+    }
+    if (resume.education.length) {
+      article.appendChild(section('education', resume.education.map(edu => h('div', { class: 'resume-item' },
+        heading(2, { class: 'resume-item-title' }, [edu.studyType, edu.area].filter(Boolean).join(' in ')),
+        h('p', { class: 'resume-meta', text: edu.institution || '' }),
+        dates(edu.startDate, edu.endDate),
+        bullets(list(edu.courses))
+      ))));
+    }
+    if (resume.certificates.length) {
+      article.appendChild(section('certificates', h('ul', { class: 'resume-list' }, resume.certificates.map(cert => {
+        const meta = [cert.issuer, formatMonth(cert.date, opts.locale)].filter(Boolean).join(', ');
+        return h('li', {},
+          cert.url ? h('a', { href: cert.url, text: cert.name }) : cert.name,
+          meta ? ` — ${meta}` : '');
+      }))));
+    }
+    if (resume.skills.length) {
+      article.appendChild(section('skills', h('dl', { class: 'resume-skills' }, resume.skills.map(skill => [
+        h('dt', { text: skill.name }),
+        h('dd', { text: list(skill.keywords).join(', ') })
+      ]))));
+    }
+    if (resume.projects.length) {
+      article.appendChild(section('projects', resume.projects.map(project => h('div', { class: 'resume-item' },
+        heading(2, { class: 'resume-item-title' }, project.name || ''),
+        dates(project.startDate, project.endDate),
+        project.description && h('p', { text: project.description }),
+        bullets(list(project.highlights))
+      ))));
+    }
+    if (resume.languages.length) {
+      article.appendChild(section('languages', h('ul', { class: 'resume-list' }, resume.languages.map(lang => h('li', {
+        text: [lang.language, lang.fluency].filter(Boolean).join(' — ')
+      })))));
+    }
+    return article;
+  }
+
+  /** toJsonResume(resume) - pretty-printed JSON Resume document (adds $schema when missing) */
+  function toJsonResume(resume) {
+    const { $schema = SCHEMA_URL, ...rest } = resume || {};
+    return JSON.stringify({ $schema, ...rest }, null, 2) + '\n';
+  }
+
+  /* vCard text values escape backslash, comma, semicolon and newlines (RFC 6350 3.4) */
+  function vcardEscape(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/([,;])/g, '\\$1')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /* lines longer than 75 octets continue on the next line after a single space (RFC 6350 3.2) */
+  function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+      const bytes = encoder.encode(char).length;
+      if (size + bytes > (parts.length ? 74 : 75)) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * toVCard(resume) - vCard 3.0 contact card built from basics (+ the current job as ORG)
+   * Lines are CRLF-terminated and folded at 75 octets.
+   */
+  function toVCard(raw) {
+    const resume = normalizeResume(raw);
+    const { basics } = resume;
+    const names = String(basics.name || '').trim().split(/\s+/).filter(Boolean);
+    const family = names.length > 1 ? names[names.length - 1] : '';
+    const given = names.length > 1 ? names.slice(0, -1).join(' ') : (names[0] || '');
+    const current = resume.work.find(job => !job.endDate);
+    const loc = basics.location;
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `N:${vcardEscape(family)};${vcardEscape(given)};;;`,
+      `FN:${vcardEscape(basics.name)}`,
+      basics.label && `TITLE:${vcardEscape(basics.label)}`,
+      current && current.name && `ORG:${vcardEscape(current.name)}`,
+      basics.email && `EMAIL;TYPE=INTERNET:${vcardEscape(basics.email)}`,
+      basics.phone && `TEL;TYPE=CELL:${vcardEscape(basics.phone)}`,
+      (loc.city || loc.region || loc.countryCode) &&
+        `ADR;TYPE=WORK:;;${vcardEscape(loc.address)};${vcardEscape(loc.city)};${vcardEscape(loc.region)};${vcardEscape(loc.postalCode)};${vcardEscape(loc.countryCode)}`,
+      basics.url && `URL:${vcardEscape(basics.url)}`,
+      ...basics.profiles.filter(p => p.url).map(p => `URL;TYPE=${vcardEscape(String(p.network || 'profile').toLowerCase())}:${vcardEscape(p.url)}`),
+      basics.summary && `NOTE:${vcardEscape(basics.summary)}`,
+      'END:VCARD'
+    ].filter(Boolean);
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  /** fileSlug(resume) - "priyanshu-singh" for download names */
+  function fileSlug(resume) {
+    const name = (resume && resume.basics && resume.basics.name) || 'resume';
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'resume';
+  }
+
+  /** loadResume(url, fetchImpl) - fetch + normalize */
+  async function loadResume(url = RESUME_URL, fetchImpl) {
+    const doFetch = fetchImpl || fetch;
+    const res = await doFetch(url, { headers: { Accept: 'application/json' } });
+    if (!res.ok) throw new Error(`Resume data returned ${res.status}`);
+    return normalizeResume(await res.json());
+  }
+
+  /* ---- browser-only helpers ---- */
+
+  /** download(filename, type, text) - save generated text through a temporary object URL */
+  function download(filename, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /** exportResume(resume, format) - 'json' (JSON Resume) or 'vcard' (.vcf) download */
+  function exportResume(resume, format) {
+    const slug = fileSlug(resume);
+    if (format === 'vcard') return download(`${slug}.vcf`, 'text/vcard;charset=utf-8', toVCard(resume));
+    if (format === 'json') return download(`${slug}.resume.json`, 'application/json', toJsonResume(resume));
+    throw new Error(`Unknown resume export "${format}" (use json or vcard)`);
+  }
+
+  /** defaultPaper(locale) - 'letter' for US-style locales, 'a4' otherwise */
+  function defaultPaper(locale) {
+    const region = (String(locale || '').split(/[-_]/)[1] || '').toUpperCase();
+    return LETTER_REGIONS.includes(region) ? 'letter' : 'a4';
+  }
+
+  /** setPaper(size) - 'a4' | 'letter': @page size used when printing / saving as PDF */
+  function setPaper(size) {
+    const paper = size === 'letter' ? 'letter' : 'a4';
+    let style = document.getElementById('resume-page-size');
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'resume-page-size';
+      document.head.appendChild(style);
+    }
+    style.textContent = `@page { size: ${paper === 'letter' ? 'letter' : 'A4'}; }`;
+    document.documentElement.dataset.paper = paper;
+    return paper;
+  }
+
+  /**
+   * mountResumePage(root)
+   * resume.html: render over the fallback markup, wire the print/export buttons and paper size.
+   */
+  async function mountResumePage(root) {
+    let resume;
+    try {
+      resume = await loadResume(root.dataset.resumeSrc || RESUME_URL);
+    } catch (err) {
+      console.warn('Could not load resume data, keeping the fallback content:', err);
+      return null;
+    }
+    const locale = document.documentElement.lang || undefined;
+    root.replaceChildren(renderResume(resume, { headingLevel: 1, locale }));
+    if (resume.basics.name) document.title = `Resume — ${resume.basics.name}`;
+
+    const paperSelect = document.getElementById('resume-paper');
+    const paper = setPaper(defaultPaper(navigator.language));
+    if (paperSelect) {
+      paperSelect.value = paper;
+      paperSelect.addEventListener('change', () => setPaper(paperSelect.value));
+    }
+    document.querySelectorAll('[data-resume-action]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const action = btn.dataset.resumeAction;
+        if (action === 'print') window.print();
+        else exportResume(resume, action);
+      });
+    });
+    if (new URLSearchParams(window.location.search).has('print')) window.print();
+    return resume;
+  }
+
+  if (typeof document !== 'undefined' && typeof window !== 'undefined') {
+    const autoMount = () => {
+      const root = document.querySelector('[data-resume-page]');
+      if (root) mountResumePage(root);
+    };
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', autoMount);
+    else autoMount();
+  }
+
+  return {
+    RESUME_URL,
+    DEFAULT_LABELS,
+    normalizeResume,
+    formatMonth,
+    dateRange,
+    renderResume,
+    toJsonResume,
+    toVCard,
+    fileSlug,
+    loadResume,
+    download,
+    exportResume,
+    defaultPaper,
+    setPaper,
+    mountResumePage
+  };
+});
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/* ===== scripts/build.js =====
+   Static generation from the site data (no dependencies, no network).
+   Reads data/resume.json (profile), data/projects.json and data/experience.json and writes:
+   - index.html: the block between <!-- build:seo --> and <!-- /build:seo --> (description,
+     keywords, canonical, Open Graph / Twitter tags, Person + CreativeWork JSON-LD)
+   - projects/<slug>/index.html: a prerendered page per project
+   - sitemap.xml, robots.txt, feed.xml (RSS 2.0), atom.xml
+   - sw.js: CACHE_VERSION, a hash of the files it precaches (PRECACHE_URLS, PRECACHE_OPTIONAL),
+     so every change to one of them ships a new worker with fresh caches
+   Files are only rewritten when their content changes; project pages whose project was
+   removed from the data are deleted.
+
+   Usage:  node scripts/build.js                 (site URL from basics.url in data/resume.json)
+           node scripts/build.js --check         (exit 1 if any output is out of date; writes nothing)
+   Env:    SITE_URL (overrides basics.url, e.g. for a preview deploy)
+*/
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const seo = require('./seo');
+
+const ROOT = path.resolve(__dirname, '..');
+const MARKER_START = '<!-- build:seo -->';
+const MARKER_END = '<!-- /build:seo -->';
+const GENERATED_NOTE = 'generated by scripts/build.js';
+const SERVICE_WORKER = 'sw.js';
+const CACHE_VERSION_LINE = /^const CACHE_VERSION = '[^']*';.*$/m;
+
+function readJson(rel) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, rel), 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${rel}: ${err.message}`);
+  }
+}
+
+function siteUrl(resume) {
+  const raw = process.env.SITE_URL || (resume.basics && resume.basics.url);
+  if (!raw) throw new Error('No site URL: set basics.url in data/resume.json or SITE_URL');
+  const url = new URL(raw);
+  if (!url.pathname.endsWith('/')) url.pathname += '/';
+  return url.href;
+}
+
+/** replaceBetweenMarkers(html, block) - index.html with the generated head block swapped in */
+function replaceBetweenMarkers(html, block) {
+  const start = html.indexOf(MARKER_START);
+  const end = html.indexOf(MARKER_END);
+  if (start === -1 || end < start) throw new Error(`index.html needs ${MARKER_START} ... ${MARKER_END} in <head>`);
+  return `${html.slice(0, start + MARKER_START.length)}\n${block}\n  ${html.slice(end)}`;
+}
+
+/* the string entries of `const <name> = [ ... ];` in sw.js; bare names are sw.js string constants */
+function swList(sw, name) {
+  const list = new RegExp(`const ${name} = \\[([^\\]]*)\\];`).exec(sw);
+  if (!list) throw new Error(`${SERVICE_WORKER} has no ${name} list`);
+  return list[1].split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const quoted = /^'([^']*)'$/.exec(entry);
+    if (quoted) return quoted[1];
+    const constant = new RegExp(`const ${entry} = '([^']*)';`).exec(sw);
+    if (!constant) throw new Error(`${SERVICE_WORKER}: cannot resolve ${entry} in ${name}`);
+    return constant[1];
+  });
+}
+
+/**
+ * cacheVersion(sw, read) - hash over the path and content of every file sw.js precaches;
+ * read(rel) returns the content, or null when the file doesn't exist (fine for optional ones)
+ */
+function cacheVersion(sw, read) {
+  const hash = crypto.createHash('sha256');
+  const add = (rel, required) => {
+    const content = read(rel);
+    if (content === null && required) throw new Error(`${SERVICE_WORKER} precaches ${rel}, which does not exist`);
+    hash.update(`${rel}\0`).update(content === null ? '' : content).update('\0');
+  };
+  // './' is index.html again
+  swList(sw, 'PRECACHE_URLS').filter(rel => rel !== './').forEach(rel => add(rel, true));
+  swList(sw, 'PRECACHE_OPTIONAL').forEach(rel => add(rel, false));
+  return hash.digest('hex').slice(0, 12);
+}
+
+/** withCacheVersion(sw, version) - sw.js with its CACHE_VERSION line set to `version` */
+function withCacheVersion(sw, version) {
+  if (!CACHE_VERSION_LINE.test(sw)) throw new Error(`${SERVICE_WORKER} needs a \`const CACHE_VERSION = '...';\` line`);
+  return sw.replace(CACHE_VERSION_LINE, `const CACHE_VERSION = '${version}';   // ${GENERATED_NOTE} from the precached files`);
+}
+
+/**
+ * outputs() - Map of relative path -> content for everything the build owns
+ */
+function outputs() {
+  const resume = readJson('data/resume.json');
+  const { projects = [] } = readJson('data/projects.json');
+  const { experience = [] } = readJson('data/experience.json');
+  const model = seo.siteModel({ site: siteUrl(resume), resume, projects, experience });
+
+  const index = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const title = (/<title>([^<]*)<\/title>/.exec(index) || [])[1] || model.name;
+  const files = new Map([
+    ['index.html', replaceBetweenMarkers(index, seo.homeHead(model, title))],
+    ['sitemap.xml', seo.sitemap(model)],
+    ['robots.txt', seo.robots(model)],
+    [seo.FEED_RSS, seo.rssFeed(model)],
+    [seo.FEED_ATOM, seo.atomFeed(model)]
+  ]);
+  model.projects.forEach(project => files.set(`${seo.projectPath(project)}index.html`, seo.projectPage(model, project)));
+
+  // last, so the hash covers this build's index.html
+  const sw = fs.readFileSync(path.join(ROOT, SERVICE_WORKER), 'utf8');
+  const read = (rel) => {
+    if (files.has(rel)) return files.get(rel);
+    try { return fs.readFileSync(path.join(ROOT, rel)); } catch (err) { return null; }
+  };
+  files.set(SERVICE_WORKER, withCacheVersion(sw, cacheVersion(sw, read)));
+  return files;
+}
+
+/* generated project pages on disk that no longer match a project */
+function staleProjectPages(files) {
+  const dir = path.join(ROOT, seo.PROJECT_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => `${seo.PROJECT_DIR}/${entry.name}/index.html`)
+    .filter(rel => !files.has(rel) && fs.existsSync(path.join(ROOT, rel))
+      && fs.readFileSync(path.join(ROOT, rel), 'utf8').includes(GENERATED_NOTE));
+}
+
+function build({ check = false } = {}) {
+  const files = outputs();
+  const changed = [];
+  files.forEach((content, rel) => {
+    const file = path.join(ROOT, rel);
+    let current = null;
+    try { current = fs.readFileSync(file, 'utf8'); } catch (err) { /* new file */ }
+    if (current === content) return;
+    changed.push(rel);
+    if (check) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  });
+  const removed = staleProjectPages(files);
+  if (!check) removed.forEach(rel => fs.rmSync(path.dirname(path.join(ROOT, rel)), { recursive: true }));
+  return { changed, removed, total: files.size };
+}
+
+module.exports = { outputs, build, replaceBetweenMarkers, cacheVersion };
+
+if (require.main === module) {
+  const check = process.argv.includes('--check');
+  try {
+    const { changed, removed, total } = build({ check });
+    changed.forEach(rel => console.log(`${check ? 'out of date' : 'wrote'}  ${rel}`));
+    removed.forEach(rel => console.log(`${check ? 'stale' : 'removed'}  ${rel}`));
+    console.log(`${total} files, ${changed.length + removed.length} ${check ? 'out of date' : 'updated'}`);
+    if (check && (changed.length || removed.length)) process.exitCode = 1;
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/* ===== scripts/images.js =====
+   Responsive image variants for js/images.js (no npm dependencies, no network).
+   - finds <img data-responsive src="..."> in the pages below
+   - writes AVIF and WebP copies at each of WIDTHS (never wider than the original) to images/
+   - inlines a tiny blurred WebP placeholder as a data: URI
+   - stamps the <img> with width/height (no layout shift) and data-srcset-avif,
+     data-srcset-webp, data-placeholder, which js/images.js turns into <picture> sources
+
+   Encoding uses sharp (a devDependency: `npm install` brings it with its own libvips),
+   otherwise the libvips CLI (`vips`), otherwise ImageMagick (`magick`, or `convert` for v6)
+   built with AVIF/WebP support.
+
+   Usage:  node scripts/images.js             (variants newer than their source are kept)
+           node scripts/images.js --force     (re-encode everything)
+*/
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGES = ['index.html', 'resume.html'];
+const OUT_DIR = 'images';
+const WIDTHS = [160, 320, 480, 640, 960, 1280];
+const FORMATS = { avif: 50, webp: 75 };     // format -> quality
+const PLACEHOLDER_WIDTH = 20;
+
+const IMG_RE = /<img\b[^>]*\bdata-responsive\b[^>]*>/g;
+const ATTR_RE = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function run(cmd, args, opts = {}) {
+  return execFileSync(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'], ...opts });
+}
+
+function has(cmd) {
+  try {
+    run(cmd, ['--version']);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/* sharp, if installed (optional: the CLI encoders below work without npm) */
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (err) {
+    return null;
+  }
+}
+
+/*
+ * the first available encoder: { name, size(file), resize(src, out, width, quality), placeholder(src) };
+ * each may return a promise
+ */
+function findEncoder() {
+  const sharp = loadSharp();
+  if (sharp) {
+    const format = out => path.extname(out).slice(1);
+    return {
+      name: 'sharp',
+      async size(file) {
+        const meta = await sharp(file).metadata();
+        const oriented = meta.autoOrient || meta;
+        return [oriented.width, oriented.height];
+      },
+      resize: (src, out, width, quality) => sharp(src).rotate().resize({ width }).toFormat(format(out), { quality }).toFile(out),
+      placeholder: src => sharp(src).rotate().resize({ width: PLACEHOLDER_WIDTH }).blur(1).webp({ quality: 40 }).toBuffer()
+    };
+  }
+  if (has('vips')) {
+    return {
+      name: 'libvips',
+      size: file => ['width', 'height'].map(f => Number(run('vipsheader', ['-f', f, file]).toString().trim())),
+      resize: (src, out, width, quality) => run('vips', ['thumbnail', src, `${out}[Q=${quality},strip]`, String(width)]),
+      placeholder(src) {
+        const tmp = path.join(os.tmpdir(), `placeholder-${process.pid}.v`);
+        const out = path.join(os.tmpdir(), `placeholder-${process.pid}.webp`);
+        try {
+          run('vips', ['thumbnail', src, tmp, String(PLACEHOLDER_WIDTH)]);
+          run('vips', ['gaussblur', tmp, `${out}[Q=40,strip]`, '1']);
+          return fs.readFileSync(out);
+        } finally {
+          [tmp, out].forEach(file => fs.rmSync(file, { force: true }));
+        }
+      }
+    };
+  }
+  const magick = has('magick') ? ['magick'] : has('convert') ? ['convert'] : null;
+  if (magick) {
+    const identify = magick[0] === 'magick' ? ['magick', 'identify'] : ['identify'];
+    return {
+      name: 'ImageMagick',
+      size: file => run(identify[0], [...identify.slice(1), '-format', '%w %h', `${file}[0]`]).toString().trim().split(' ').map(Number),
+      resize: (src, out, width, quality) => run(magick[0], [src, '-auto-orient', '-strip', '-resize', `${width}x`, '-quality', String(quality), out]),
+      placeholder: src => run(magick[0], [src, '-auto-orient', '-strip', '-resize', `${PLACEHOLDER_WIDTH}x`, '-blur', '0x1', '-quality', '40', 'webp:-'])
+    };
+  }
+  return null;
+}
+
+/* attribute list of one tag, in order; valueless attributes map to null */
+function parseAttributes(tag) {
+  const attrs = [];
+  const inner = tag.replace(/^<img\b/i, '').replace(/\/?>$/, '');
+  for (const m of inner.matchAll(ATTR_RE)) attrs.push([m[1], m[2] ?? m[3] ?? m[4] ?? null]);
+  return attrs;
+}
+
+/** setAttributes(tag, values) - the same <img> tag with attributes added or replaced in place */
+function setAttributes(tag, values) {
+  const attrs = parseAttributes(tag);
+  Object.entries(values).forEach(([name, value]) => {
+    const existing = attrs.find(([n]) => n.toLowerCase() === name);
+    if (existing) existing[1] = value;
+    else attrs.push([name, value]);
+  });
+  const escape = v => String(v).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  return `<img ${attrs.map(([n, v]) => (v === null ? n : `${n}="${escape(v)}"`)).join(' ')} />`;
+}
+
+/* images/<name>-<width>.<format>, relative to the site root */
+function variantPath(src, width, format) {
+  return `${OUT_DIR}/${path.basename(src, path.extname(src))}-${width}.${format}`;
+}
+
+function upToDate(source, target) {
+  try {
+    return fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * processImage(encoder, src, { force }) - encodes the variants of one image;
+ * resolves the attributes to stamp on its <img>
+ */
+async function processImage(encoder, src, { force = false } = {}) {
+  const file = path.join(ROOT, decodeURI(src));
+  if (!fs.existsSync(file)) throw new Error(`${src}: file not found`);
+  const [width, height] = await encoder.size(file);
+  if (!width || !height) throw new Error(`${src}: could not read its dimensions`);
+  const widths = WIDTHS.filter(w => w < width).concat(width > WIDTHS[WIDTHS.length - 1] ? [] : [width]);
+
+  fs.mkdirSync(path.join(ROOT, OUT_DIR), { recursive: true });
+  const attrs = { width: String(width), height: String(height) };
+  for (const [format, quality] of Object.entries(FORMATS)) {
+    const entries = [];
+    for (const w of widths) {
+      const rel = variantPath(src, w, format);
+      const out = path.join(ROOT, rel);
+      if (force || !upToDate(file, out)) {
+        await encoder.resize(file, out, w, quality);
+        console.log(`wrote  ${rel}`);
+      }
+      entries.push(`${encodeURI(rel)} ${w}w`);
+    }
+    attrs[`data-srcset-${format}`] = entries.join(', ');
+  }
+  attrs['data-placeholder'] = `data:image/webp;base64,${(await encoder.placeholder(file)).toString('base64')}`;
+  return attrs;
+}
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const encoder = findEncoder();
+  if (!encoder) throw new Error('No image encoder found: install libvips (vips) or ImageMagick with AVIF/WebP support');
+  console.log(`Encoding with ${encoder.name}`);
+
+  const done = new Map();   // src -> attributes, when an image appears on several pages
+  for (const page of PAGES) {
+    const file = path.join(ROOT, page);
+    const html = fs.readFileSync(file, 'utf8');
+    const tags = html.match(IMG_RE) || [];
+    for (const tag of tags) {
+      const src = (parseAttributes(tag).find(([n]) => n.toLowerCase() === 'src') || [])[1];
+      if (!src || /^(https?:|data:)/i.test(src) || done.has(src)) continue;
+      done.set(src, await processImage(encoder, src, { force }));
+    }
+    const next = html.replace(IMG_RE, tag => {
+      const src = (parseAttributes(tag).find(([n]) => n.toLowerCase() === 'src') || [])[1];
+      return done.has(src) ? setAttributes(tag, done.get(src)) : tag;
+    });
+    if (next !== html) {
+      fs.writeFileSync(file, next);
+      console.log(`wrote  ${page}`);
+    }
+  }
+  console.log(`${done.size} responsive image(s)`);
+}
+
+module.exports = { parseAttributes, setAttributes, variantPath };
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
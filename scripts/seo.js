@@ -0,0 +1,339 @@
+/* ===== scripts/seo.js =====
+   Pure renderers for scripts/build.js: everything here takes the site data and returns a
+   string, so the build can diff its output against what is on disk.
+   - head tags: description, keywords, canonical, Open Graph, Twitter card, feed links
+   - JSON-LD: Person (from data/resume.json basics, work, education, skills) and one
+     CreativeWork per project (data/projects.json)
+   - prerendered project pages, sitemap.xml, robots.txt, RSS 2.0 and Atom feeds
+*/
+'use strict';
+
+const PROJECT_DIR = 'projects';
+const FEED_RSS = 'feed.xml';
+const FEED_ATOM = 'atom.xml';
+const SOCIAL_IMAGE = 'founder.jpg';
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const escapeXml = escapeHtml;
+
+/* JSON inside <script>: "</script>" and "<!--" must not survive verbatim */
+function jsonLd(data) {
+  return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+/** absolute(site, path) - URL of a file in the site ('' -> the home page) */
+function absolute(site, path = '') {
+  return new URL(path.split('/').map(encodeURIComponent).join('/'), site).href;
+}
+
+function projectPath(project) {
+  return `${PROJECT_DIR}/${project.slug}/`;
+}
+
+/* '2023-06' -> Date (first of the month, UTC); null for missing or malformed values */
+function monthDate(value) {
+  const m = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(String(value || ''));
+  return m ? new Date(Date.UTC(Number(m[1]), Number(m[2] || 1) - 1, Number(m[3] || 1))) : null;
+}
+
+/* newest month a project was worked on (still-running projects count from their start) */
+function projectUpdated(project) {
+  return monthDate(project.endDate) || monthDate(project.startDate);
+}
+
+/* only http(s) links from the data are published */
+function publicLinks(links) {
+  return Object.entries(links || {}).filter(([, url]) => /^https?:\/\//i.test(String(url)));
+}
+
+/**
+ * siteModel({ site, resume, projects, experience })
+ * The one shape every renderer reads: who, what they do, and the published projects.
+ */
+function siteModel({ site, resume, projects, experience }) {
+  const basics = resume.basics || {};
+  const skills = (resume.skills || []).map(s => s.name);
+  const skillKeywords = (resume.skills || []).flatMap(s => s.keywords || []);
+  const tags = projects.flatMap(p => p.tags || []);
+  const unique = list => Array.from(new Set(list.filter(Boolean)));
+  return {
+    site,
+    name: basics.name || '',
+    label: basics.label || '',
+    summary: basics.summary || '',
+    email: basics.email || '',
+    location: basics.location || {},
+    profiles: (basics.profiles || []).filter(p => p.url),
+    work: experience.length ? experience : (resume.work || []).map(w => ({ company: w.name, role: w.position, startDate: w.startDate, endDate: w.endDate })),
+    education: resume.education || [],
+    keywords: unique([basics.name, ...tags, ...skills]),
+    topics: unique([...tags, ...skills, ...skillKeywords]),
+    lastModified: (resume.meta && resume.meta.lastModified) || null,
+    projects: projects.filter(p => p.slug && p.title)
+  };
+}
+
+/* "Name — Label. First sentence of the summary." (search snippets stop around 160 characters) */
+function description(model) {
+  const firstSentence = (/^.*?[.!?](?=\s|$)/.exec(model.summary) || [model.summary])[0];
+  return [[model.name, model.label].filter(Boolean).join(' — '), firstSentence].filter(Boolean).join('. ');
+}
+
+/** personLd(model) - schema.org Person for the home page (projects reference it by @id) */
+function personLd(model) {
+  const current = model.work.find(w => !w.endDate);
+  return {
+    '@type': 'Person',
+    '@id': `${model.site}#person`,
+    name: model.name,
+    jobTitle: current ? current.role : model.label,
+    description: model.summary,
+    url: model.site,
+    image: absolute(model.site, SOCIAL_IMAGE),
+    ...(model.email ? { email: `mailto:${model.email}` } : {}),
+    ...(model.location.city || model.location.countryCode ? {
+      address: {
+        '@type': 'PostalAddress',
+        addressLocality: model.location.city,
+        addressRegion: model.location.region,
+        addressCountry: model.location.countryCode
+      }
+    } : {}),
+    ...(current ? { worksFor: { '@type': 'Organization', name: current.company } } : {}),
+    alumniOf: model.education.map(e => ({ '@type': 'CollegeOrUniversity', name: e.institution })),
+    knowsAbout: model.topics,
+    ...(model.profiles.length ? { sameAs: model.profiles.map(p => p.url) } : {})
+  };
+}
+
+/** creativeWorkLd(model, project) - schema.org CreativeWork for one project */
+function creativeWorkLd(model, project) {
+  const links = publicLinks(project.links).map(([, url]) => url);
+  const started = monthDate(project.startDate);
+  const updated = projectUpdated(project);
+  return {
+    '@type': 'CreativeWork',
+    '@id': `${absolute(model.site, projectPath(project))}#work`,
+    name: project.title,
+    headline: project.title,
+    abstract: project.summary || undefined,
+    description: project.description || project.summary,
+    url: absolute(model.site, projectPath(project)),
+    keywords: (project.tags || []).join(', '),
+    author: { '@id': `${model.site}#person` },
+    creator: { '@id': `${model.site}#person` },
+    dateCreated: started ? started.toISOString().slice(0, 10) : undefined,
+    dateModified: updated ? updated.toISOString().slice(0, 10) : undefined,
+    ...(links.length ? { sameAs: links } : {})
+  };
+}
+
+/* one <script type="application/ld+json"> with an @graph */
+function ldScript(graph, indent) {
+  const body = jsonLd({ '@context': 'https://schema.org', '@graph': graph }).split('\n').map(line => indent + line).join('\n');
+  return `${indent}<script type="application/ld+json">\n${body}\n${indent}</script>`;
+}
+
+/* description, canonical, Open Graph and Twitter tags shared by every generated head */
+function metaTags({ model, title, text, url, type, keywords }, indent) {
+  const image = absolute(model.site, SOCIAL_IMAGE);
+  const tags = [
+    `<meta name="description" content="${escapeHtml(text)}" />`,
+    keywords && `<meta name="keywords" content="${escapeHtml(keywords.join(', '))}" />`,
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(`${model.name} — projects`)}" href="${escapeHtml(absolute(model.site, FEED_RSS))}" />`,
+    `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(`${model.name} — projects`)}" href="${escapeHtml(absolute(model.site, FEED_ATOM))}" />`,
+    `<meta property="og:type" content="${type}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(model.name)}" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(text)}" />`,
+    `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    `<meta property="og:image" content="${escapeHtml(image)}" />`,
+    `<meta property="og:image:alt" content="${escapeHtml(`Portrait of ${model.name}`)}" />`,
+    `<meta name="twitter:card" content="summary" />`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(text)}" />`,
+    `<meta name="twitter:image" content="${escapeHtml(image)}" />`
+  ];
+  return tags.filter(Boolean).map(tag => indent + tag).join('\n');
+}
+
+/**
+ * homeHead(model, title) - the generated part of index.html's <head>
+ * (replaces whatever sits between the build:seo markers)
+ */
+function homeHead(model, title) {
+  const indent = '  ';
+  return [
+    metaTags({ model, title, text: description(model), url: model.site, type: 'profile', keywords: model.keywords }, indent),
+    ldScript([
+      { '@type': 'WebSite', '@id': `${model.site}#website`, url: model.site, name: title, author: { '@id': `${model.site}#person` } },
+      personLd(model),
+      ...model.projects.map(p => creativeWorkLd(model, p))
+    ], indent)
+  ].join('\n');
+}
+
+function formatMonth(value) {
+  const date = monthDate(value);
+  return date ? date.toLocaleDateString('en', { month: 'short', year: 'numeric', timeZone: 'UTC' }) : '';
+}
+
+/**
+ * projectPage(model, project) - self-contained page at projects/<slug>/ for crawlers and
+ * link previews; visitors are offered the interactive version (#project/<slug>).
+ */
+function projectPage(model, project) {
+  const url = absolute(model.site, projectPath(project));
+  const title = `${project.title} | ${model.name}`;
+  const text = project.summary || project.description || '';
+  const period = [formatMonth(project.startDate), project.endDate ? formatMonth(project.endDate) : 'present'].filter(Boolean).join(' – ');
+  const links = publicLinks(project.links)
+    .map(([name, href]) => `<a class="secondary" href="${escapeHtml(href)}" rel="noopener">${escapeHtml(name.charAt(0).toUpperCase() + name.slice(1))}</a>`);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>${escapeHtml(title)}</title>
+  <!-- generated by scripts/build.js from data/projects.json: edit the data, not this file -->
+${metaTags({ model, title, text, url, type: 'article', keywords: project.tags }, '  ')}
+  <meta name="theme-color" content="#2563eb" />
+  <link rel="icon" href="../../icons/icon.svg" type="image/svg+xml" />
+${ldScript([creativeWorkLd(model, project), { '@type': 'Person', '@id': `${model.site}#person`, name: model.name, url: model.site }], '  ')}
+  <style>
+    :root { --accent-a: #2563eb; --accent-b: #7c3aed; --page-bg: #f8fafc; --page-text: #1e293b; --surface: #ffffff; --muted-text: #475569; }
+    @media (prefers-color-scheme: dark) {
+      :root { --page-bg: #0f172a; --page-text: #f1f5f9; --surface: #1e293b; --muted-text: #cbd5e1; }
+    }
+    * { box-sizing: border-box; }
+    body { margin: 0; min-height: 100vh; padding: 2rem 1.5rem; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; background: var(--page-bg); color: var(--page-text); }
+    main { max-width: 44rem; margin: 0 auto; background: var(--surface); border-radius: 16px; padding: 2rem; box-shadow: 0 20px 50px rgba(2,6,23,0.12); }
+    h1 { margin: 0 0 .5rem; font-size: 1.8rem; background: linear-gradient(90deg, var(--accent-a), var(--accent-b)); -webkit-background-clip: text; background-clip: text; color: transparent; }
+    p { color: var(--muted-text); line-height: 1.6; }
+    .period { margin: 0 0 1rem; font-size: .9rem; }
+    .tags { display: flex; flex-wrap: wrap; gap: .5rem; margin: 0; padding: 0; list-style: none; }
+    .tags li { font-size: .8rem; padding: .2rem .6rem; border-radius: 999px; background: rgba(37,99,235,0.1); color: var(--accent-a); }
+    .actions { display: flex; flex-wrap: wrap; gap: .75rem; margin-top: 1.5rem; }
+    .actions a { display: inline-block; padding: .6rem 1.1rem; border-radius: .6rem; text-decoration: none; font-weight: 600; }
+    .primary { background: var(--accent-a); color: #fff; }
+    .secondary { border: 1px solid var(--accent-a); color: var(--accent-a); }
+    a:focus { outline: 3px solid rgba(59,130,246,0.35); outline-offset: 2px; }
+  </style>
+</head>
+<body>
+  <main>
+    <p><a href="../../">${escapeHtml(model.name)}</a> · ${escapeHtml(model.label)}</p>
+    <h1>${escapeHtml(project.title)}</h1>
+    ${period ? `<p class="period">${escapeHtml(period)}</p>` : ''}
+    <p>${escapeHtml(project.description || project.summary || '')}</p>
+    <ul class="tags" aria-label="Technologies">${(project.tags || []).map(tag => `<li>${escapeHtml(tag)}</li>`).join('')}</ul>
+    <div class="actions">
+${[`<a class="primary" href="../../#project/${encodeURIComponent(project.slug)}">View in portfolio</a>`, ...links].map(link => `      ${link}`).join('\n')}
+    </div>
+  </main>
+</body>
+</html>
+`;
+}
+
+/** sitemap(model) - home, resume and every project page */
+function sitemap(model) {
+  const lastmod = model.lastModified ? `<lastmod>${escapeXml(model.lastModified)}</lastmod>` : '';
+  const urls = [
+    { loc: model.site, lastmod, priority: '1.0' },
+    { loc: absolute(model.site, 'resume.html'), lastmod, priority: '0.8' },
+    ...model.projects.map(p => {
+      const updated = projectUpdated(p);
+      return { loc: absolute(model.site, projectPath(p)), lastmod: updated ? `<lastmod>${updated.toISOString().slice(0, 10)}</lastmod>` : '', priority: '0.6' };
+    })
+  ];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(u => `  <url><loc>${escapeXml(u.loc)}</loc>${u.lastmod}<priority>${u.priority}</priority></url>`).join('\n')}
+</urlset>
+`;
+}
+
+/** robots(model) - everything but the local server's endpoints, plus the sitemap */
+function robots(model) {
+  return `User-agent: *
+Disallow: /api/
+Disallow: /analytics
+Disallow: /server/
+Disallow: /scripts/
+
+Sitemap: ${absolute(model.site, 'sitemap.xml')}
+`;
+}
+
+/* feed entries, most recently worked on first */
+function feedProjects(model) {
+  return model.projects
+    .map(p => ({ project: p, url: absolute(model.site, projectPath(p)), updated: projectUpdated(p), published: monthDate(p.startDate) }))
+    .filter(entry => entry.updated)
+    .sort((a, b) => b.updated - a.updated || a.project.title.localeCompare(b.project.title));
+}
+
+/** rssFeed(model) - RSS 2.0 of the projects */
+function rssFeed(model) {
+  const entries = feedProjects(model);
+  const latest = entries.length ? entries[0].updated.toUTCString() : null;
+  const items = entries.map(({ project, url, published, updated }) => `    <item>
+      <title>${escapeXml(project.title)}</title>
+      <link>${escapeXml(url)}</link>
+      <guid isPermaLink="true">${escapeXml(url)}</guid>
+      <pubDate>${(published || updated).toUTCString()}</pubDate>
+      <description>${escapeXml(project.description || project.summary || '')}</description>
+${(project.tags || []).map(tag => `      <category>${escapeXml(tag)}</category>`).join('\n')}
+    </item>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(`${model.name} — projects`)}</title>
+    <link>${escapeXml(model.site)}</link>
+    <atom:link href="${escapeXml(absolute(model.site, FEED_RSS))}" rel="self" type="application/rss+xml" />
+    <description>${escapeXml(description(model))}</description>
+    <language>en</language>
+${latest ? `    <lastBuildDate>${latest}</lastBuildDate>\n` : ''}${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/** atomFeed(model) - Atom 1.0 of the projects */
+function atomFeed(model) {
+  const entries = feedProjects(model);
+  const latest = entries.length ? entries[0].updated.toISOString() : new Date(0).toISOString();
+  const items = entries.map(({ project, url, published, updated }) => `  <entry>
+    <title>${escapeXml(project.title)}</title>
+    <link href="${escapeXml(url)}" />
+    <id>${escapeXml(url)}</id>
+    <published>${(published || updated).toISOString()}</published>
+    <updated>${updated.toISOString()}</updated>
+    <summary>${escapeXml(project.summary || project.description || '')}</summary>
+    <content type="html">${escapeXml(`<p>${escapeHtml(project.description || project.summary || '')}</p>`)}</content>
+${(project.tags || []).map(tag => `    <category term="${escapeXml(tag)}" />`).join('\n')}
+  </entry>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(`${model.name} — projects`)}</title>
+  <subtitle>${escapeXml(description(model))}</subtitle>
+  <link href="${escapeXml(model.site)}" />
+  <link href="${escapeXml(absolute(model.site, FEED_ATOM))}" rel="self" />
+  <id>${escapeXml(model.site)}</id>
+  <updated>${latest}</updated>
+  <author><name>${escapeXml(model.name)}</name><uri>${escapeXml(model.site)}</uri></author>
+${items.join('\n')}
+</feed>
+`;
+}
+
+module.exports = {
+  PROJECT_DIR, FEED_RSS, FEED_ATOM,
+  siteModel, projectPath, homeHead, personLd, creativeWorkLd, projectPage, sitemap, robots, rssFeed, atomFeed,
+  escapeHtml, absolute
+};
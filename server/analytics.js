@@ -0,0 +1,201 @@
+/* ===== server/analytics.js =====
+   Local stand-in collector for js/analytics.js.
+   - POST /api/analytics: a beacon batch { v, view, page, lang, events: [{ type, at, props }] };
+     each event is appended as one JSON line (no IP address or user agent is stored)
+   - GET /api/analytics: aggregate counts as JSON ( ?since=2025-01-01 )
+   - GET /analytics: the same aggregates as a small HTML page
+   Store: ANALYTICS_STORE (or server/data/analytics.jsonl).
+*/
+'use strict';
+
+const path = require('path');
+const { appendMessage, readMessages } = require('./store');
+
+const DEFAULT_ANALYTICS_STORE = path.join(__dirname, 'data', 'analytics.jsonl');
+
+const LIMITS = {
+  events: 50,        // per batch
+  props: 8,          // per event
+  string: 120        // per value
+};
+const TYPE_RE = /^[a-z][a-z0-9-]{0,39}$/;
+const KEY_RE = /^[a-zA-Z][\w-]{0,39}$/;
+
+function analyticsStorePath() {
+  return process.env.ANALYTICS_STORE || DEFAULT_ANALYTICS_STORE;
+}
+
+function short(value) {
+  return typeof value === 'string' ? value.slice(0, LIMITS.string) : '';
+}
+
+/* flat props only: strings (truncated), finite numbers, booleans */
+function cleanProps(props) {
+  if (!props || typeof props !== 'object' || Array.isArray(props)) return {};
+  const out = {};
+  Object.entries(props).filter(([key]) => KEY_RE.test(key)).slice(0, LIMITS.props).forEach(([key, value]) => {
+    if (typeof value === 'string') out[key] = short(value);
+    else if (typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) out[key] = value;
+  });
+  return out;
+}
+
+/**
+ * validateBatch(body)
+ * Returns { ok: true, events } (one record per valid event; invalid events are dropped)
+ * or { ok: false, error } when the batch itself is unusable.
+ */
+function validateBatch(body) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.events)) return { ok: false, error: 'Expected { events: [...] }' };
+  if (body.events.length > LIMITS.events) return { ok: false, error: `At most ${LIMITS.events} events per batch` };
+  const now = Date.now();
+  const events = body.events
+    .filter(e => e && typeof e === 'object' && TYPE_RE.test(e.type))
+    .map(e => ({
+      type: e.type,
+      // client clocks drift; keep their time only when it is plausible
+      at: new Date(Number.isFinite(e.at) && Math.abs(now - e.at) < 24 * 60 * 60 * 1000 ? e.at : now).toISOString(),
+      view: short(body.view),
+      page: short(body.page),
+      lang: short(body.lang),
+      props: cleanProps(e.props)
+    }));
+  return { ok: true, events };
+}
+
+/** recordEvents(events, file) - append each event as a line of the store */
+async function recordEvents(events, file = analyticsStorePath()) {
+  for (const event of events) await appendMessage(event, file);
+  return events.length;
+}
+
+function bump(map, key) {
+  if (key === undefined || key === null || key === '') return;
+  map[key] = (map[key] || 0) + 1;
+}
+
+/* sorted [[key, count], ...], most frequent first */
+function ranked(map) {
+  return Object.entries(map).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+/**
+ * summarize(records)
+ * Aggregate counts: totals, per event type, per day, and the breakdowns the dashboard shows.
+ */
+function summarize(records) {
+  const views = new Set();
+  const byType = {};
+  const byDay = {};
+  const projects = {};
+  const certificates = {};
+  const sections = {};
+  const contact = {};
+  const themes = {};
+  const referrers = {};
+  const languages = {};
+  records.forEach(r => {
+    const props = r.props || {};
+    views.add(r.view);
+    bump(byType, r.type);
+    bump(byDay, String(r.at || r.receivedAt).slice(0, 10));
+    switch (r.type) {
+      case 'pageview': bump(referrers, props.referrer || '(direct)'); bump(languages, r.lang); break;
+      case 'project-open': bump(projects, props.project); break;
+      case 'certificate-open': bump(certificates, props.certificate); break;
+      case 'section-view': bump(sections, props.section); break;
+      case 'contact-submit': bump(contact, props.outcome); break;
+      case 'contact-outbox': bump(contact, `outbox-${props.outcome}`); break;
+      case 'theme-change': bump(themes, props.theme); break;
+      default: break;
+    }
+  });
+  views.delete(undefined);
+  return {
+    events: records.length,
+    pageViews: byType.pageview || 0,
+    views: views.size,
+    resumeOpens: byType['resume-open'] || 0,
+    byType: ranked(byType),
+    byDay: Object.entries(byDay).sort((a, b) => a[0].localeCompare(b[0])),
+    projects: ranked(projects),
+    certificates: ranked(certificates),
+    sections: ranked(sections),
+    contact: ranked(contact),
+    themes: ranked(themes),
+    referrers: ranked(referrers),
+    languages: ranked(languages)
+  };
+}
+
+async function readSummary(file = analyticsStorePath(), { since } = {}) {
+  return summarize(await readMessages(file, { since }));
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/* one table with a proportional bar per row */
+function table(title, rows) {
+  const max = Math.max(1, ...rows.map(([, n]) => n));
+  const body = rows.length
+    ? rows.map(([key, n]) => `<tr><th scope="row">${escapeHtml(key)}</th><td>${n}</td>` +
+        `<td class="bar"><span style="width:${Math.round((n / max) * 100)}%"></span></td></tr>`).join('')
+    : '<tr><td colspan="3" class="empty">No data yet</td></tr>';
+  return `<section><h2>${escapeHtml(title)}</h2><table>${body}</table></section>`;
+}
+
+/** renderDashboard(summary, { since }) - self-contained HTML page for GET /analytics */
+function renderDashboard(summary, { since } = {}) {
+  const stat = (label, value) => `<div class="stat"><strong>${value}</strong><span>${escapeHtml(label)}</span></div>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Analytics | Portfolio (local)</title>
+  <style>
+    body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; padding: 1.5rem; background: #f8fafc; color: #1e293b; }
+    h1 { margin: 0 0 .25rem; } p { color: #475569; margin: 0 0 1.5rem; }
+    .stats { display: flex; flex-wrap: wrap; gap: 1rem; margin-bottom: 1.5rem; }
+    .stat { background: #fff; border-radius: 12px; padding: 1rem 1.25rem; box-shadow: 0 4px 14px rgba(2,6,23,0.06); min-width: 9rem; }
+    .stat strong { display: block; font-size: 1.6rem; color: #2563eb; } .stat span { color: #475569; font-size: .85rem; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(20rem, 1fr)); gap: 1rem; }
+    section { background: #fff; border-radius: 12px; padding: 1rem 1.25rem; box-shadow: 0 4px 14px rgba(2,6,23,0.06); }
+    h2 { font-size: 1rem; margin: 0 0 .5rem; }
+    table { width: 100%; border-collapse: collapse; font-size: .9rem; }
+    th { text-align: left; font-weight: 500; word-break: break-all; } th, td { padding: .3rem .25rem; border-top: 1px solid #e2e8f0; }
+    td { text-align: right; width: 3rem; } td.bar { width: 40%; } .empty { text-align: left; color: #94a3b8; }
+    .bar span { display: block; height: .55rem; border-radius: 4px; background: linear-gradient(90deg, #2563eb, #7c3aed); }
+  </style>
+</head>
+<body>
+  <h1>Portfolio analytics</h1>
+  <p>Local collector (server/analytics.js)${since ? ` — since ${escapeHtml(since)}` : ''}. JSON: <a href="/api/analytics">/api/analytics</a></p>
+  <div class="stats">
+    ${stat('page views', summary.pageViews)}
+    ${stat('events', summary.events)}
+    ${stat('resume opens', summary.resumeOpens)}
+    ${stat('contact outcomes', summary.contact.reduce((n, [, c]) => n + c, 0))}
+  </div>
+  <div class="grid">
+    ${table('Projects opened', summary.projects)}
+    ${table('Sections viewed', summary.sections)}
+    ${table('Contact form', summary.contact)}
+    ${table('Certificates opened', summary.certificates)}
+    ${table('Themes chosen', summary.themes)}
+    ${table('Referrers', summary.referrers)}
+    ${table('Languages', summary.languages)}
+    ${table('Events by type', summary.byType)}
+    ${table('Events per day', summary.byDay)}
+  </div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  DEFAULT_ANALYTICS_STORE, analyticsStorePath, validateBatch, recordEvents, summarize, readSummary, renderDashboard
+};
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/* ===== server/github-fixtures.js =====
+   Zero-dependency stand-in for the parts of the GitHub REST API that js/github.js reads,
+   so the showcase can be developed and tested offline.
+   - GET /<path> answers server/fixtures/github/<path>.json (query string ignored),
+     e.g. /users/Priyanshuzz/repos -> fixtures/github/users/Priyanshuzz/repos.json
+   - ETag (sha1 of the file); If-None-Match -> 304, which like on GitHub is not counted
+   - X-RateLimit-Limit / -Remaining / -Reset on every answer; once the limit is spent,
+     403 with Remaining: 0 until the window resets (exercises the page's backoff)
+   - CORS open to any origin, with the ETag and rate-limit headers exposed
+
+   Usage:  node server/github-fixtures.js
+           then open the site with ?github-api=http://127.0.0.1:8787 (localhost only)
+           or set data-github-api on #github-activity
+   Env:    PORT (default 8787), HOST, GITHUB_FIXTURE_LIMIT (requests per window, default 60),
+           GITHUB_FIXTURE_WINDOW_MS (default one hour), GITHUB_FIXTURES (fixture directory)
+*/
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'github');
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Accept, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset'
+};
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers });
+  res.end(body);
+}
+
+/* fixture file for a request path; null when the path tries to leave the directory */
+function fixtureFile(dir, pathname) {
+  const rel = decodeURIComponent(pathname).replace(/^\/+|\/+$/g, '');
+  if (!rel) return null;
+  const file = path.resolve(dir, `${rel}.json`);
+  return file.startsWith(dir + path.sep) ? file : null;
+}
+
+/**
+ * createFixtureServer({ dir, limit, windowMs }) - http.Server, not yet listening.
+ * The rate-limit window is shared by all clients, like an unauthenticated IP on GitHub.
+ */
+function createFixtureServer({ dir = DEFAULT_FIXTURES, limit = 60, windowMs = 60 * 60 * 1000 } = {}) {
+  const root = path.resolve(dir);
+  let windowStart = Date.now();
+  let used = 0;
+
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+    if (req.method !== 'GET' && req.method !== 'HEAD') return send(res, 405, '', { Allow: 'GET, HEAD, OPTIONS' });
+
+    if (Date.now() - windowStart >= windowMs) { windowStart = Date.now(); used = 0; }
+    const rateHeaders = () => ({
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(0, limit - used)),
+      'X-RateLimit-Reset': String(Math.ceil((windowStart + windowMs) / 1000))
+    });
+    const json = (status, body, extra) => send(res, status, req.method === 'HEAD' ? '' : JSON.stringify(body, null, 2),
+      { 'Content-Type': 'application/json; charset=utf-8', ...rateHeaders(), ...extra });
+
+    let file;
+    try {
+      file = fixtureFile(root, new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+      file = null;   // malformed escape in the path
+    }
+    let content;
+    try {
+      content = file && fs.readFileSync(file);
+    } catch (err) {
+      content = null;
+    }
+    const etag = content && `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+
+    // conditional hits are free, even when the limit is spent
+    if (etag && req.headers['if-none-match'] === etag) return send(res, 304, '', { ETag: etag, ...rateHeaders() });
+    if (used >= limit) {
+      return json(403, { message: 'API rate limit exceeded (fixture server)', documentation_url: 'https://docs.github.com/rest/overview/rate-limits-for-the-rest-api' });
+    }
+    used += 1;
+    if (!content) return json(404, { message: 'Not Found' });
+    send(res, 200, req.method === 'HEAD' ? '' : content, { 'Content-Type': 'application/json; charset=utf-8', ETag: etag, ...rateHeaders() });
+  });
+}
+
+module.exports = { createFixtureServer, DEFAULT_FIXTURES };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8787;
+  const host = process.env.HOST || '127.0.0.1';
+  const server = createFixtureServer({
+    dir: process.env.GITHUB_FIXTURES || DEFAULT_FIXTURES,
+    limit: Number(process.env.GITHUB_FIXTURE_LIMIT) || undefined,
+    windowMs: Number(process.env.GITHUB_FIXTURE_WINDOW_MS) || undefined
+  });
+  server.listen(port, host, () => {
+    console.log(`GitHub fixtures at http://${host}:${port}/ (try ?github-api=http://${host}:${port} on the local site)`);
+  });
+}
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/* ===== server/messages.js =====
+   CLI for messages stored by server.js.
+
+   Usage:
+     node server/messages.js list   [--since 2025-01-01] [--limit 20]
+     node server/messages.js show   <id>
+     node server/messages.js export [--format json|jsonl|csv] [--since DATE] [--out FILE]
+     node server/messages.js count  [--since DATE]
+   Reads CONTACT_STORE (or server/data/messages.jsonl); --store FILE overrides it.
+*/
+'use strict';
+
+const fs = require('fs');
+const { readMessages, storePath } = require('./store');
+
+const CSV_FIELDS = ['id', 'receivedAt', 'name', 'email', 'inquiryType', 'subject', 'message', 'budget', 'timeline', 'links', 'attachments', 'sentAt', 'ip'];
+
+/** parseArgs(argv) - `<command> [positional] --flag value` */
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const next = argv[i + 1];
+      args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+}
+
+/* one CSV field; text a spreadsheet would run as a formula (=, +, -, @, tab, CR) gets a leading ' */
+function csvCell(value) {
+  if (Array.isArray(value)) value = value.map(v => (v && v.filename) || v).join('; ');
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** formatMessages(records, format) - export body as a string */
+function formatMessages(records, format = 'json') {
+  switch (format) {
+    case 'jsonl':
+      return records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+    case 'csv':
+      return [CSV_FIELDS.join(','), ...records.map(r => CSV_FIELDS.map(f => csvCell(r[f])).join(','))].join('\r\n') + '\r\n';
+    case 'json':
+      return JSON.stringify(records, null, 2) + '\n';
+    default:
+      throw new Error(`Unknown format "${format}" (use json, jsonl or csv)`);
+  }
+}
+
+function summary(record) {
+  const when = new Date(record.receivedAt).toLocaleString();
+  const preview = String(record.message || '').replace(/\s+/g, ' ').slice(0, 60);
+  return `${record.id}  ${when}  ${record.name} <${record.email}>\n    ${record.subject} — ${preview}`;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const [command = 'list', target] = args._;
+  const file = typeof args.store === 'string' ? args.store : storePath();
+  const records = await readMessages(file, { since: typeof args.since === 'string' ? args.since : undefined });
+
+  switch (command) {
+    case 'list': {
+      const limit = Number(args.limit) || records.length;
+      const shown = records.slice(-limit).reverse();
+      if (!shown.length) console.log(`No messages in ${file}`);
+      shown.forEach(r => console.log(summary(r)));
+      break;
+    }
+    case 'show': {
+      const record = records.find(r => r.id === target || r.id.startsWith(target || '\0'));
+      if (!record) throw new Error(`No message with id ${target}`);
+      console.log(JSON.stringify(record, null, 2));
+      break;
+    }
+    case 'export': {
+      const body = formatMessages(records, typeof args.format === 'string' ? args.format : 'json');
+      if (typeof args.out === 'string') {
+        await fs.promises.writeFile(args.out, body, 'utf8');
+        console.error(`Exported ${records.length} message(s) to ${args.out}`);
+      } else {
+        process.stdout.write(body);
+      }
+      break;
+    }
+    case 'count':
+      console.log(records.length);
+      break;
+    default:
+      throw new Error(`Unknown command "${command}" (use list, show, export or count)`);
+  }
+}
+
+module.exports = { parseArgs, formatMessages };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,74 @@
+/* ===== server/multipart.js =====
+   Minimal multipart/form-data parser (buffered, no streaming).
+   Enough for the contact form: text fields + a few small file parts.
+*/
+'use strict';
+
+/** boundaryFrom(contentType) - boundary parameter or null */
+function boundaryFrom(contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+function parseHeaders(text) {
+  const headers = {};
+  text.split('\r\n').forEach(line => {
+    const idx = line.indexOf(':');
+    if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  });
+  return headers;
+}
+
+function dispositionParam(disposition, name) {
+  const match = new RegExp(`${name}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition || '');
+  return match ? match[1].replace(/\\(.)/g, '$1') : null;
+}
+
+/**
+ * parseMultipart(buffer, boundary)
+ * Returns { fields: { name: value }, files: [{ field, filename, contentType, data }] }.
+ * Repeated text fields keep the last value. Throws on malformed bodies.
+ */
+function parseMultipart(buffer, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let pos = buffer.indexOf(delimiter);
+  if (pos === -1) throw new Error('Multipart boundary not found');
+
+  while (true) {
+    pos += delimiter.length;
+    // "--" after a delimiter marks the end of the body
+    if (buffer[pos] === 0x2d && buffer[pos + 1] === 0x2d) break;
+    if (buffer[pos] === 0x0d && buffer[pos + 1] === 0x0a) pos += 2;
+
+    const headerEnd = buffer.indexOf('\r\n\r\n', pos);
+    if (headerEnd === -1) throw new Error('Malformed multipart part');
+    const headers = parseHeaders(buffer.slice(pos, headerEnd).toString('utf8'));
+
+    const next = buffer.indexOf(delimiter, headerEnd + 4);
+    if (next === -1) throw new Error('Unterminated multipart body');
+    // part content ends with CRLF before the next delimiter
+    const data = buffer.slice(headerEnd + 4, next - 2);
+
+    const disposition = headers['content-disposition'];
+    const name = dispositionParam(disposition, 'name');
+    const filename = dispositionParam(disposition, 'filename');
+    if (name !== null) {
+      if (filename !== null) {
+        // browsers send an empty part for a file input with nothing selected
+        if (filename || data.length) {
+          files.push({ field: name, filename, contentType: headers['content-type'] || 'application/octet-stream', data });
+        }
+      } else {
+        fields[name] = data.toString('utf8');
+      }
+    }
+    pos = next;
+  }
+
+  return { fields, files };
+}
+
+module.exports = { boundaryFrom, parseMultipart };
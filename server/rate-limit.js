@@ -0,0 +1,40 @@
+/* ===== server/rate-limit.js =====
+   Fixed-window, in-memory rate limiter keyed by client IP.
+   Good enough for a single local process; state is lost on restart.
+*/
+'use strict';
+
+/**
+ * createRateLimiter({ limit, windowMs, now })
+ * hit(key) -> { allowed, remaining, retryAfterMs }
+ */
+function createRateLimiter({ limit = 5, windowMs = 10 * 60 * 1000, now = Date.now } = {}) {
+  const windows = new Map();
+
+  function prune(t) {
+    for (const [key, w] of windows) if (t - w.start >= windowMs) windows.delete(key);
+  }
+
+  function hit(key) {
+    const t = now();
+    if (windows.size > 1000) prune(t);
+    let w = windows.get(key);
+    if (!w || t - w.start >= windowMs) {
+      w = { start: t, count: 0 };
+      windows.set(key, w);
+    }
+    w.count += 1;
+    const allowed = w.count <= limit;
+    return {
+      allowed,
+      remaining: Math.max(0, limit - w.count),
+      retryAfterMs: allowed ? 0 : w.start + windowMs - t
+    };
+  }
+
+  function reset() { windows.clear(); }
+
+  return { hit, reset };
+}
+
+module.exports = { createRateLimiter };
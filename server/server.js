@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+/* ===== server/server.js =====
+   Zero-dependency local server for the portfolio.
+   - serves the static site from the repo root
+   - POST /api/contact: validation (same rules as js/contact-form.js), spam-guard checks,
+     per-IP rate limiting, JSON-lines persistence (see store.js);
+     JSON, url-encoded or multipart (attachments are saved next to the store)
+   - POST / with `form-name` is accepted too, so the Netlify transport works locally
+   - /api/analytics + /analytics: local analytics collector and aggregate page (analytics.js)
+
+   Usage:  node server/server.js            (PORT=8080 HOST=127.0.0.1 by default)
+   Env:    PORT, HOST, CONTACT_STORE (jsonl path), ANALYTICS_STORE, CONTACT_REQUIRE_POW=0,
+           CONTACT_RATE_LIMIT (per window, default 5), CONTACT_RATE_WINDOW_MS,
+           TRUST_PROXY=1 (use X-Forwarded-For for the client IP)
+*/
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const spamGuard = require('../spam-guard');
+const { validateContact, validateAttachments, ATTACHMENTS } = require('./validation');
+const { createRateLimiter } = require('./rate-limit');
+const { appendMessage, saveAttachments, storePath } = require('./store');
+const { boundaryFrom, parseMultipart } = require('./multipart');
+const analytics = require('./analytics');
+
+const ROOT = path.resolve(__dirname, '..');
+const MAX_BODY_BYTES = 64 * 1024;
+// attachments plus multipart overhead
+const MAX_MULTIPART_BYTES = ATTACHMENTS.maxTotalBytes + 256 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+/* never served: server code + stored messages, VCS and dotfiles */
+const BLOCKED = [/^\/server(\/|$)/, /^\/scripts(\/|$)/, /^\/test(\/|$)/, /(^|\/)\./, /^\/node_modules(\/|$)/];
+
+class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(json);
+}
+
+function clientIp(req, trustProxy) {
+  if (trustProxy) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+function contentType(req) {
+  return String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+/** readBody(req, limit) - buffers the request body, rejecting anything over `limit` bytes */
+function readBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      if (size > limit) return;
+      size += chunk.length;
+      if (size > limit) {
+        // discard the rest instead of destroying the socket, so the client gets to read the 413
+        chunks.length = 0;
+        reject(new HttpError(413, 'Payload too large', { headers: { Connection: 'close' } }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * parseBody(req, buffer)
+ * JSON, url-encoded or multipart form data -> { body, files }
+ */
+function parseBody(req, buffer) {
+  const type = contentType(req);
+  if (type === 'multipart/form-data') {
+    const boundary = boundaryFrom(req.headers['content-type']);
+    if (!boundary) throw new HttpError(400, 'Missing multipart boundary');
+    try {
+      const { fields, files } = parseMultipart(buffer, boundary);
+      return { body: fields, files };
+    } catch (e) {
+      throw new HttpError(400, 'Malformed multipart body');
+    }
+  }
+  const text = buffer.toString('utf8');
+  if (type === 'application/json') {
+    try {
+      const data = JSON.parse(text || '{}');
+      if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('not an object');
+      return { body: data, files: [] };
+    } catch (e) {
+      throw new HttpError(400, 'Invalid JSON body');
+    }
+  }
+  if (type === 'application/x-www-form-urlencoded') {
+    return { body: Object.fromEntries(new URLSearchParams(text)), files: [] };
+  }
+  throw new HttpError(415, 'Use application/json, application/x-www-form-urlencoded or multipart/form-data');
+}
+
+/**
+ * createStampRegistry({ maxAgeMs, now }) - stamps of stored messages, checked for replays;
+ * get(stamp) is the id of the message stored with it.
+ * Each stamp is kept until it expires (issuedAt + maxAgeMs); after that the expiry check
+ * rejects it anyway, so expired entries are pruned on every insert.
+ */
+function createStampRegistry({ maxAgeMs = spamGuard.POW_MAX_AGE_MS, now = Date.now } = {}) {
+  const stamps = new Map();   // stamp -> { id, expiresAt (ms) }
+  return {
+    has: stamp => stamps.has(stamp),
+    get: stamp => (stamps.has(stamp) ? stamps.get(stamp).id : undefined),
+    add(stamp, id = null) {
+      const t = now();
+      for (const [seen, { expiresAt }] of stamps) if (expiresAt <= t) stamps.delete(seen);
+      const issuedAt = Number(String(stamp).split(':')[2]);
+      stamps.set(stamp, { id, expiresAt: (Number.isFinite(issuedAt) ? issuedAt : t) + maxAgeMs });
+      return this;
+    },
+    get size() { return stamps.size; }
+  };
+}
+
+/**
+ * createContactHandler(opts)
+ * Returns an async (req, res) handler for contact submissions.
+ * A stamp only counts as used once its message is stored: one that was rejected as
+ * invalid or hit a storage error can be sent again. Replaying a stored stamp is
+ * answered with 422 pow-replayed and the stored message's `id` (the earlier attempt
+ * got through); without an `id` the stamp belongs to a submission still in progress.
+ * opts: { limiter, requirePow, trustProxy, store }
+ */
+function createContactHandler(opts) {
+  const { limiter, requirePow, trustProxy, store = storePath() } = opts;
+  const seenStamps = createStampRegistry();
+  const pendingStamps = new Set();   // stamps of submissions still being validated and stored
+
+  return async function handleContact(req, res) {
+    const rate = limiter.hit(clientIp(req, trustProxy));
+    if (!rate.allowed) {
+      const retryAfter = Math.ceil(rate.retryAfterMs / 1000);
+      throw new HttpError(429, 'Too many messages — please try again later.', { headers: { 'Retry-After': String(retryAfter) } });
+    }
+
+    const maxBytes = contentType(req) === 'multipart/form-data' ? MAX_MULTIPART_BYTES : MAX_BODY_BYTES;
+    const { body, files } = parseBody(req, await readBody(req, maxBytes));
+
+    const check = await spamGuard.verifySubmission(body, { requirePow });
+    if (!check.ok) {
+      // honeypot hits get a fake success so bots learn nothing
+      if (check.reason === 'honeypot') return sendJson(res, 200, { ok: true });
+      throw new HttpError(422, 'Submission rejected.', { body: { reason: check.reason } });
+    }
+    const stamp = typeof body._pow === 'string' && body._pow ? body._pow : null;
+    if (stamp && seenStamps.has(stamp)) {
+      throw new HttpError(422, 'Submission rejected.', { body: { reason: 'pow-replayed', id: seenStamps.get(stamp) } });
+    }
+    if (stamp && pendingStamps.has(stamp)) {
+      throw new HttpError(422, 'Submission rejected.', { body: { reason: 'pow-replayed' } });
+    }
+
+    if (stamp) pendingStamps.add(stamp);
+    try {
+      const result = validateContact(body);
+      if (!result.ok) throw new HttpError(400, 'Please correct the highlighted fields.', { body: { errors: result.errors } });
+      const attachmentError = validateAttachments(files);
+      if (attachmentError) throw new HttpError(400, attachmentError, { body: { errors: { attachments: attachmentError } } });
+
+      const id = crypto.randomUUID();
+      const record = await appendMessage({
+        id,
+        ...result.value,
+        attachments: await saveAttachments(id, files, store),
+        sentAt: typeof body.sentAt === 'string' ? body.sentAt : null,
+        ip: clientIp(req, trustProxy),
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 300)
+      }, store);
+      if (stamp) seenStamps.add(stamp, record.id);
+      sendJson(res, 201, { ok: true, id: record.id });
+    } finally {
+      // stored: now in seenStamps; rejected or failed: free to be sent again
+      if (stamp) pendingStamps.delete(stamp);
+    }
+  };
+}
+
+/**
+ * createAnalyticsHandler(opts)
+ * Returns an async (req, res) handler for /api/analytics and the /analytics page.
+ * opts: { limiter, trustProxy, store }
+ */
+function createAnalyticsHandler(opts) {
+  const { limiter, trustProxy, store = analytics.analyticsStorePath() } = opts;
+
+  return async function handleAnalytics(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const since = url.searchParams.get('since') || undefined;
+      const summary = await analytics.readSummary(store, { since });
+      if (url.pathname === '/api/analytics') return sendJson(res, 200, summary);
+      const html = analytics.renderDashboard(summary, { since });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': Buffer.byteLength(html), 'Cache-Control': 'no-store' });
+      return res.end(req.method === 'HEAD' ? undefined : html);
+    }
+    if (req.method !== 'POST' || url.pathname !== '/api/analytics') {
+      throw new HttpError(405, 'Method not allowed', { headers: { Allow: url.pathname === '/api/analytics' ? 'GET, HEAD, POST' : 'GET, HEAD' } });
+    }
+    // beacons are dropped quietly when over the limit: nobody is waiting for the answer
+    if (!limiter.hit(clientIp(req, trustProxy)).allowed) return res.writeHead(429).end();
+    // sendBeacon posts text/plain to avoid a CORS preflight; the body is JSON either way
+    if (!['text/plain', 'application/json', ''].includes(contentType(req))) throw new HttpError(415, 'Use application/json or text/plain');
+    let body;
+    try { body = JSON.parse((await readBody(req)).toString('utf8')); } catch (e) {
+      if (e instanceof HttpError) throw e;
+      throw new HttpError(400, 'Invalid JSON body');
+    }
+    const result = analytics.validateBatch(body);
+    if (!result.ok) throw new HttpError(400, result.error);
+    await analytics.recordEvents(result.events, store);
+    res.writeHead(204, { 'Cache-Control': 'no-store' }).end();
+  };
+}
+
+/** serveStatic(req, res, root) - GET/HEAD for files under root (index.html for directories) */
+async function serveStatic(req, res, root) {
+  const url = new URL(req.url, 'http://localhost');
+  let pathname;
+  try { pathname = decodeURIComponent(url.pathname); } catch (e) { throw new HttpError(400, 'Bad path'); }
+  if (BLOCKED.some(re => re.test(pathname))) throw new HttpError(404, 'Not found');
+
+  let file = path.join(root, path.normalize(pathname));
+  if (!file.startsWith(root)) throw new HttpError(404, 'Not found');
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(file);
+    if (stat.isDirectory()) {
+      file = path.join(file, 'index.html');
+      stat = await fs.promises.stat(file);
+    }
+  } catch (e) {
+    throw new HttpError(404, 'Not found');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': stat.size,
+    'Cache-Control': 'no-cache'
+  });
+  if (req.method === 'HEAD') return res.end();
+  fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * createServer(opts) - http.Server, not yet listening
+ * opts: { root, store, analyticsStore, requirePow, rateLimit, rateWindowMs, trustProxy, limiter }
+ */
+function createServer(opts = {}) {
+  const root = path.resolve(opts.root || ROOT);
+  const limiter = opts.limiter || createRateLimiter({ limit: opts.rateLimit || 5, windowMs: opts.rateWindowMs || 10 * 60 * 1000 });
+  const handleContact = createContactHandler({
+    limiter,
+    requirePow: opts.requirePow !== false,
+    trustProxy: Boolean(opts.trustProxy),
+    store: opts.store
+  });
+  const handleAnalytics = createAnalyticsHandler({
+    limiter: createRateLimiter({ limit: 120, windowMs: 10 * 60 * 1000 }),
+    trustProxy: Boolean(opts.trustProxy),
+    store: opts.analyticsStore
+  });
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (pathname === '/api/contact') {
+        if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed', { headers: { Allow: 'POST' } });
+        await handleContact(req, res);
+      } else if (pathname === '/api/analytics' || pathname === '/analytics') {
+        await handleAnalytics(req, res);
+      } else if (req.method === 'POST' && pathname === '/') {
+        // local stand-in for Netlify Forms (form-encoded POST with form-name)
+        await handleContact(req, res);
+      } else if (req.method === 'GET' || req.method === 'HEAD') {
+        await serveStatic(req, res, root);
+      } else {
+        throw new HttpError(405, 'Method not allowed', { headers: { Allow: 'GET, HEAD' } });
+      }
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) console.error('Request failed:', err);
+      if (res.headersSent) return res.end();
+      sendJson(res, status, { ok: false, error: status === 500 ? 'Internal server error' : err.message, ...(err.extra && err.extra.body) },
+        err.extra && err.extra.headers);
+    }
+  });
+}
+
+module.exports = { createServer, createContactHandler, createAnalyticsHandler, createStampRegistry, HttpError };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8080;
+  const host = process.env.HOST || '127.0.0.1';
+  const server = createServer({
+    store: process.env.CONTACT_STORE,
+    analyticsStore: process.env.ANALYTICS_STORE,
+    requirePow: process.env.CONTACT_REQUIRE_POW !== '0',
+    rateLimit: Number(process.env.CONTACT_RATE_LIMIT) || undefined,
+    rateWindowMs: Number(process.env.CONTACT_RATE_WINDOW_MS) || undefined,
+    trustProxy: process.env.TRUST_PROXY === '1'
+  });
+  server.listen(port, host, () => {
+    console.log(`Portfolio running at http://${host}:${port}/ (messages -> ${process.env.CONTACT_STORE || storePath()})`);
+  });
+}
@@ -0,0 +1,78 @@
+/* ===== server/store.js =====
+   JSON-lines message store: one JSON object per line, append-only.
+   Appends are a single write() each, so lines never interleave within one process.
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_STORE = path.join(__dirname, 'data', 'messages.jsonl');
+
+function storePath() {
+  return process.env.CONTACT_STORE || DEFAULT_STORE;
+}
+
+/** appendMessage(message, file) - adds id (unless given) + receivedAt, returns the stored record */
+async function appendMessage(message, file = storePath()) {
+  const record = {
+    id: message.id || crypto.randomUUID(),
+    receivedAt: new Date().toISOString(),
+    ...message
+  };
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, JSON.stringify(record) + '\n', 'utf8');
+  return record;
+}
+
+/**
+ * readMessages(file, { since })
+ * Returns all stored records (oldest first). Corrupt lines are skipped with a warning.
+ */
+async function readMessages(file = storePath(), { since } = {}) {
+  let text;
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const records = [];
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const record = JSON.parse(line);
+      if (sinceTime && new Date(record.receivedAt).getTime() < sinceTime) return;
+      records.push(record);
+    } catch (e) {
+      console.warn(`Skipping corrupt line ${i + 1} in ${file}`);
+    }
+  });
+  return records;
+}
+
+/** safe file name: keeps letters, digits, dot, dash and underscore */
+function safeName(name) {
+  const cleaned = path.basename(String(name || 'file')).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '');
+  return cleaned.slice(-100) || 'file';
+}
+
+/**
+ * saveAttachments(id, files, file)
+ * Writes files next to the store under attachments/<id>/ and returns their metadata
+ * (paths relative to the store directory) for the message record.
+ */
+async function saveAttachments(id, files, file = storePath()) {
+  if (!files.length) return [];
+  const dir = path.join(path.dirname(file), 'attachments', id);
+  await fs.promises.mkdir(dir, { recursive: true });
+  return Promise.all(files.map(async (f, i) => {
+    const name = `${i + 1}-${safeName(f.filename)}`;
+    await fs.promises.writeFile(path.join(dir, name), f.data);
+    return { filename: f.filename, contentType: f.contentType, size: f.data.length, path: path.join('attachments', id, name) };
+  }));
+}
+
+module.exports = { DEFAULT_STORE, storePath, appendMessage, readMessages, saveAttachments };
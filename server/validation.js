@@ -0,0 +1,83 @@
+/* ===== server/validation.js =====
+   Server-side copy of the contact form rules.
+   Mirrors validate() in js/contact-form.js / isValidEmail() in js/utils.js — keep them in sync.
+*/
+'use strict';
+
+const LIMITS = {
+  name: 120,
+  email: 254,
+  subject: 200,
+  message: 5000,
+  inquiryType: 40,
+  budget: 60,
+  timeline: 60,
+  links: 1000
+};
+
+/* optional fields sent by service / freelance inquiries */
+const OPTIONAL_FIELDS = ['inquiryType', 'budget', 'timeline', 'links'];
+
+/* attachment rules — mirror ATTACHMENT_* in js/contact-form.js */
+const ATTACHMENTS = {
+  maxFiles: 3,
+  maxBytes: 5 * 1024 * 1024,
+  maxTotalBytes: 10 * 1024 * 1024,
+  extensions: ['pdf', 'png', 'jpg', 'jpeg', 'txt', 'md', 'doc', 'docx', 'zip']
+};
+
+/* Email validation (simple, same regex as the client) */
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function str(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * validateContact(body)
+ * Returns { ok: true, value } with a normalized message, or { ok: false, errors }
+ * where errors maps field -> message (same wording as the client).
+ */
+function validateContact(body) {
+  const errors = {};
+  const value = {
+    name: str(body && body.name),
+    email: str(body && body.email),
+    subject: str(body && body.subject) || '(no subject)',
+    message: str(body && body.message)
+  };
+  OPTIONAL_FIELDS.forEach(field => {
+    const v = str(body && body[field]);
+    if (v) value[field] = v;
+  });
+
+  if (!value.name) errors.name = 'Please enter your name.';
+  if (!isValidEmail(value.email)) errors.email = 'Please enter a valid email.';
+  if (!value.message) errors.message = 'Please write a message.';
+  Object.entries(LIMITS).forEach(([field, max]) => {
+    if (!errors[field] && value[field] && value[field].length > max) errors[field] = `Please keep this under ${max} characters.`;
+  });
+
+  return Object.keys(errors).length ? { ok: false, errors } : { ok: true, value };
+}
+
+/**
+ * validateAttachments(files)
+ * files: [{ filename, data }] from multipart.js. Returns an error string or null.
+ */
+function validateAttachments(files) {
+  if (files.length > ATTACHMENTS.maxFiles) return `Please attach at most ${ATTACHMENTS.maxFiles} files.`;
+  let total = 0;
+  for (const file of files) {
+    const ext = (String(file.filename).split('.').pop() || '').toLowerCase();
+    if (!ATTACHMENTS.extensions.includes(ext)) return `"${file.filename}" is not an accepted file type.`;
+    if (file.data.length > ATTACHMENTS.maxBytes) return `"${file.filename}" is too large.`;
+    total += file.data.length;
+  }
+  if (total > ATTACHMENTS.maxTotalBytes) return 'Attachments are too large in total.';
+  return null;
+}
+
+module.exports = { LIMITS, ATTACHMENTS, isValidEmail, validateContact, validateAttachments };
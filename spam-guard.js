@@ -0,0 +1,137 @@
+/* ===== spam-guard.js =====
+   Layered anti-spam checks for the contact form, shared by browser and Node.
+   - Browser: include before app.js; exposes window.spamGuard.
+   - Node: const spamGuard = require('./spam-guard'); (uses the built-in WebCrypto)
+
+   Layers:
+   - honeypot: a visually hidden field humans never fill ('website')
+   - time-to-fill: submissions faster than MIN_FILL_MS are rejected
+   - proof-of-work: hashcash-style stamp whose SHA-256 has N leading zero bits,
+     bound to the sender + message so it can't be reused for another payload
+
+   Stamp format (all parts ':'-separated):
+     1:<bits>:<issuedAt ms>:<resource>:<salt>:<counter>
+*/
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.spamGuard = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const HONEYPOT_FIELD = 'website';
+  const MIN_FILL_MS = 3000;
+  const POW_BITS = 14;                       // ~16k hashes on average: well under a second
+  const POW_MAX_AGE_MS = 2 * 60 * 60 * 1000; // stamps expire after two hours
+  const POW_VERSION = '1';
+
+  function getSubtle() {
+    if (typeof crypto !== 'undefined' && crypto.subtle) return crypto.subtle;
+    // Node < 19 has no global crypto
+    return require('crypto').webcrypto.subtle;
+  }
+
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function sha256(text) {
+    return getSubtle().digest('SHA-256', new TextEncoder().encode(text));
+  }
+
+  /** number of leading zero bits in a digest */
+  function leadingZeroBits(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let bits = 0;
+    for (const byte of bytes) {
+      if (byte === 0) { bits += 8; continue; }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+    return bits;
+  }
+
+  /**
+   * powResource(payload)
+   * Short digest of the normalized email + message; ties a stamp to one submission.
+   */
+  async function powResource(payload) {
+    const email = String(payload.email || '').trim().toLowerCase();
+    const message = String(payload.message || '').trim();
+    return toHex(await sha256(`${email}\n${message}`)).slice(0, 16);
+  }
+
+  function randomSalt() {
+    const bytes = new Uint8Array(8);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) crypto.getRandomValues(bytes);
+    else require('crypto').webcrypto.getRandomValues(bytes);
+    return toHex(bytes);
+  }
+
+  /**
+   * mintStamp(payload, { bits, now, yieldEvery })
+   * Searches for a counter that satisfies the difficulty. Yields to the event loop
+   * every `yieldEvery` hashes so the page stays responsive.
+   */
+  async function mintStamp(payload, { bits = POW_BITS, now = Date.now(), yieldEvery = 500 } = {}) {
+    const prefix = [POW_VERSION, bits, now, await powResource(payload), randomSalt()].join(':');
+    for (let counter = 0; ; counter++) {
+      const stamp = `${prefix}:${counter.toString(36)}`;
+      if (leadingZeroBits(await sha256(stamp)) >= bits) return stamp;
+      if (counter % yieldEvery === yieldEvery - 1) await new Promise(r => setTimeout(r, 0));
+    }
+  }
+
+  /**
+   * verifyStamp(stamp, payload, { bits, maxAgeMs, now, seen })
+   * Resolves { ok: true } or { ok: false, reason }. Pass a Set as `seen` to reject replays.
+   */
+  async function verifyStamp(stamp, payload, { bits = POW_BITS, maxAgeMs = POW_MAX_AGE_MS, now = Date.now(), seen } = {}) {
+    if (typeof stamp !== 'string' || !stamp) return { ok: false, reason: 'pow-missing' };
+    const parts = stamp.split(':');
+    if (parts.length !== 6 || parts[0] !== POW_VERSION) return { ok: false, reason: 'pow-malformed' };
+    // both numeric fields must be plain digits: NaN would slip through every comparison below
+    if (!/^\d+$/.test(parts[1]) || !/^\d+$/.test(parts[2])) return { ok: false, reason: 'pow-malformed' };
+    const claimedBits = Number(parts[1]);
+    const issuedAt = Number(parts[2]);
+    const resource = parts[3];
+    if (!Number.isInteger(claimedBits) || !Number.isSafeInteger(issuedAt)) return { ok: false, reason: 'pow-malformed' };
+    if (claimedBits < bits) return { ok: false, reason: 'pow-too-easy' };
+    const age = now - issuedAt;
+    if (age < -60 * 1000 || age > maxAgeMs) return { ok: false, reason: 'pow-expired' };
+    if (resource !== await powResource(payload)) return { ok: false, reason: 'pow-wrong-payload' };
+    if (leadingZeroBits(await sha256(stamp)) < Math.max(bits, claimedBits)) return { ok: false, reason: 'pow-invalid' };
+    if (seen) {
+      if (seen.has(stamp)) return { ok: false, reason: 'pow-replayed' };
+      seen.add(stamp);
+    }
+    return { ok: true };
+  }
+
+  /**
+   * verifySubmission(payload, opts)
+   * Runs every layer against a submitted payload ({ website, _ttf, _pow, email, message, ... }).
+   * opts: { bits, maxAgeMs, minFillMs, now, seen, requirePow }
+   */
+  async function verifySubmission(payload, opts = {}) {
+    const { minFillMs = MIN_FILL_MS, requirePow = true } = opts;
+    if (!payload || typeof payload !== 'object') return { ok: false, reason: 'invalid-payload' };
+    if (String(payload[HONEYPOT_FIELD] || '').trim()) return { ok: false, reason: 'honeypot' };
+    const ttf = Number(payload._ttf);
+    if (!Number.isFinite(ttf) || ttf < minFillMs) return { ok: false, reason: 'too-fast' };
+    if (!requirePow && !payload._pow) return { ok: true };
+    return verifyStamp(payload._pow, payload, opts);
+  }
+
+  return {
+    HONEYPOT_FIELD,
+    MIN_FILL_MS,
+    POW_BITS,
+    POW_MAX_AGE_MS,
+    leadingZeroBits,
+    powResource,
+    mintStamp,
+    verifyStamp,
+    verifySubmission
+  };
+});
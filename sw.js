@@ -0,0 +1,334 @@
+/* ===== sw.js =====
+   Service worker: offline support for the portfolio (registered by js/offline.js).
+   - precache: the pages, scripts, styles, data and locale bundles (install fails if one is
+     missing); images and PDFs are cached best-effort so a large file can't block install
+   - navigations: network first, then the cached page, then offline.html
+   - same-origin GETs: precached files cache first, anything else stale-while-revalidate
+   - CDN assets (Tailwind, Font Awesome and its fonts): stale-while-revalidate
+   - /api/* and non-GET requests are never cached
+   - Background Sync ('contact-outbox'): replays contact messages the page queued while
+     offline (stored in IndexedDB) and reports back to open tabs via postMessage; an expired
+     or unclaimed proof-of-work stamp is re-minted (spam-guard.js), one the server answers
+     with the id of its stored message counts as sent
+   - a new version waits until the page asks it to take over ({ type: 'SKIP_WAITING' }),
+     so the update toast decides when to reload
+
+   CACHE_VERSION is a hash of the precached files, written by `node scripts/build.js`
+   (`--check` fails while it is stale); the changed line is what makes the browser see a
+   new worker and the page offer the update.
+*/
+'use strict';
+/* global spamGuard */
+importScripts('spam-guard.js');
+
+const CACHE_VERSION = 'ca3c5f0b8f28';   // generated by scripts/build.js from the precached files
+const PRECACHE = `portfolio-precache-${CACHE_VERSION}`;
+const RUNTIME = `portfolio-runtime-${CACHE_VERSION}`;
+const CDN_CACHE = 'portfolio-cdn';        // not versioned: SWR keeps it fresh across releases
+const OFFLINE_PAGE = 'offline.html';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'resume.html',
+  OFFLINE_PAGE,
+  'manifest.webmanifest',
+  'app.js',
+  'js/utils.js',
+  'js/feature.js',
+  'js/i18n.js',
+  'js/theme.js',
+  'js/page.js',
+  'js/contact-transport.js',
+  'js/contact-form.js',
+  'js/modal.js',
+  'js/router.js',
+  'js/projects.js',
+  'js/experience.js',
+  'js/resume-modal.js',
+  'js/certificates.js',
+  'js/particles-bg.js',
+  'js/images.js',
+  'js/offline.js',
+  'js/analytics.js',
+  'js/command-palette.js',
+  'js/github.js',
+  'spam-guard.js',
+  'particles.js',
+  'particles-worker.js',
+  'resume.js',
+  'resume.css',
+  'data/projects.json',
+  'data/experience.json',
+  'data/certificates.json',
+  'data/resume.json',
+  'locales/en.json',
+  'locales/hi.json',
+  'locales/ur.json',
+  'icons/icon.svg',
+  'icons/maskable.svg',
+  'icons/image-fallback.svg'
+];
+
+/* large or optional files: cached if they load, skipped if not */
+const PRECACHE_OPTIONAL = [
+  'founder.jpg',
+  'PRIYANSHU RESUME.pdf',
+  'flutter c.pdf',
+  'blockchain c.pdf'
+];
+
+/* warmed on install so a first offline visit still gets styled */
+const CDN_URLS = [
+  'https://cdn.tailwindcss.com',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdnjs.cloudflare.com'];
+
+const SYNC_TAG = 'contact-outbox';
+const SYNC_DB = 'portfolio-sync';
+const SYNC_STORE = 'contact-outbox';
+
+/* ------------------------------
+   Lifecycle
+   ------------------------------ */
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE);
+    // cache: 'reload' so a new version never precaches stale copies from the HTTP cache
+    await cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+    await Promise.all(PRECACHE_OPTIONAL.map(url =>
+      cache.add(new Request(url, { cache: 'reload' })).catch(err => console.warn(`Could not precache ${url}`, err))));
+    const cdn = await caches.open(CDN_CACHE);
+    await Promise.all(CDN_URLS.map(async url => {
+      if (await cdn.match(url)) return;
+      const res = await fetch(new Request(url, { mode: 'no-cors' })).catch(() => null);
+      if (res) await cdn.put(url, res);
+    }));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [PRECACHE, RUNTIME, CDN_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('portfolio-') && !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type === 'SKIP_WAITING') self.skipWaiting();
+  if (data.type === 'contact:queue') event.waitUntil(queueContact(data, event.ports[0]));
+});
+
+/* ------------------------------
+   Fetch strategies
+   ------------------------------ */
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api/')) return;
+    if (request.mode === 'navigate') event.respondWith(networkFirst(event));
+    else event.respondWith(cacheFirst(event));
+    return;
+  }
+  if (CDN_HOSTS.includes(url.hostname)) event.respondWith(staleWhileRevalidate(event, CDN_CACHE));
+});
+
+/** navigations: fresh page when online, cached page (then offline.html) when not */
+async function networkFirst(event) {
+  const { request } = event;
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const copy = res.clone();
+      event.waitUntil(caches.open(RUNTIME).then(cache => cache.put(request, copy)));
+    }
+    return res;
+  } catch (err) {
+    return (await caches.match(request, { ignoreSearch: true }))
+      || (await caches.match(OFFLINE_PAGE))
+      || Response.error();
+  }
+}
+
+/** precached files straight from the cache; everything else same-origin is SWR */
+async function cacheFirst(event) {
+  const precached = await caches.open(PRECACHE).then(cache => cache.match(event.request, { ignoreSearch: true }));
+  return precached || staleWhileRevalidate(event, RUNTIME);
+}
+
+/**
+ * staleWhileRevalidate(event, cacheName)
+ * Answers from the cache when it can and refreshes the entry in the background.
+ * Opaque responses (no-cors CDN requests) are cached too; they only ever come back
+ * to the same kind of request.
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request).then(async res => {
+    if (res.ok || res.type === 'opaque') await cache.put(event.request, res.clone());
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => { /* offline: the cached copy stays */ }));
+    return cached;
+  }
+  return refresh;
+}
+
+/* ------------------------------
+   Background Sync: contact outbox
+   ------------------------------ */
+
+/* tiny promise wrapper over the one object store we need */
+function openSyncDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(SYNC_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(SYNC_STORE, { keyPath: 'item.id' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function syncStore(mode, fn) {
+  const db = await openSyncDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(SYNC_STORE, mode);
+      const req = fn(tx.objectStore(SYNC_STORE));
+      tx.oncomplete = () => resolve(req && req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * queueContact({ item, requests }, port)
+ * Stores a message handed over by the page and registers the sync. Answers { ok } on
+ * `port`; on failure the page keeps the message in its own outbox.
+ */
+async function queueContact({ item, requests }, port) {
+  let ok = false;
+  try {
+    if (!self.registration.sync || !Array.isArray(requests) || !requests.length) throw new Error('Background Sync unavailable');
+    await syncStore('readwrite', store => store.put({ item, requests }));
+    try {
+      await self.registration.sync.register(SYNC_TAG);
+    } catch (err) {
+      await syncStore('readwrite', store => store.delete(item.id));
+      throw err;
+    }
+    ok = true;
+  } catch (err) {
+    console.warn('Could not queue contact message for Background Sync', err);
+  }
+  if (port) port.postMessage({ ok });
+}
+
+/* the server's rejection reason and stored message id from a JSON error body, if any */
+async function rejection(res) {
+  try {
+    const json = await res.json();
+    return { reason: String(json.reason || ''), id: String(json.id || '') };
+  } catch (err) {
+    return { reason: '', id: '' };
+  }
+}
+
+/**
+ * post one request description; 'sent', 'retry' (offline, timeout, 5xx, 408, 429),
+ * 'restamp' (stamp too old, or replayed without a stored message) or 'failed'
+ */
+async function replayRequest(req) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), req.timeout || 9000);
+  try {
+    const res = await fetch(req.url, { method: req.method, headers: req.headers, body: req.body, signal: controller.signal });
+    if (res.ok) return 'sent';
+    if (res.status === 422) {
+      const { reason, id } = await rejection(res);
+      // the server stored an earlier attempt with this stamp and only its response got lost
+      if (reason === 'pow-replayed' && id) return 'sent';
+      if (reason === 'pow-replayed' || reason === 'pow-expired') return 'restamp';
+    }
+    return res.status >= 500 || res.status === 429 || res.status === 408 ? 'retry' : 'failed';
+  } catch (err) {
+    return 'retry';
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/* the request's Content-Type (request descriptions carry headers as a plain object) */
+function contentType(req) {
+  const name = Object.keys(req.headers || {}).find(key => key.toLowerCase() === 'content-type');
+  return name ? String(req.headers[name]).split(';')[0].trim().toLowerCase() : '';
+}
+
+/* the same request with a freshly minted stamp (JSON or url-encoded body); null for bodies without one */
+async function restamp(req) {
+  try {
+    if (contentType(req) === 'application/x-www-form-urlencoded') {
+      // the netlify transport's form post
+      const params = new URLSearchParams(req.body);
+      if (!params.get('_pow')) return null;
+      params.set('_pow', await spamGuard.mintStamp(Object.fromEntries(params)));
+      return { ...req, body: params.toString() };
+    }
+    const payload = JSON.parse(req.body);
+    if (!payload || !payload._pow) return null;
+    payload._pow = await spamGuard.mintStamp(payload);
+    return { ...req, body: JSON.stringify(payload) };
+  } catch (err) {
+    return null;
+  }
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * replayContactOutbox(lastChance)
+ * Tries each stored message's transports in order (like sendContact in the page).
+ * Rejects while retryable messages remain, so the browser schedules another sync;
+ * on the last chance they are given up and reported as failed.
+ */
+async function replayContactOutbox(lastChance) {
+  const entries = await syncStore('readonly', store => store.getAll()) || [];
+  let pending = 0;
+  for (const { item, requests } of entries) {
+    let outcome = 'failed';
+    for (const req of requests) {
+      let result = await replayRequest(req);
+      if (result === 'restamp') {
+        const fresh = await restamp(req);
+        result = fresh ? await replayRequest(fresh) : 'failed';
+        if (result === 'restamp') result = 'failed';
+      }
+      if (result === 'sent') { outcome = 'sent'; break; }
+      if (result === 'retry') outcome = 'retry';
+    }
+    if (outcome === 'retry' && !lastChance) { pending += 1; continue; }
+    await syncStore('readwrite', store => store.delete(item.id));
+    await notifyClients(outcome === 'sent'
+      ? { type: 'contact:outbox-sent', item }
+      : { type: 'contact:outbox-failed', item, error: 'Background Sync gave up' });
+  }
+  if (pending) throw new Error(`${pending} contact message(s) still waiting`);
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replayContactOutbox(event.lastChance));
+});
@@ -0,0 +1,66 @@
+/* accessibility checks (test/helpers/a11y.js) on the rendered pages, in every locale and with dialogs open */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, ROOT } = require('./helpers/dom');
+const { audit, format, accessibleName } = require('./helpers/a11y');
+
+function assertAccessible(document, label) {
+  const violations = audit(document);
+  assert.equal(violations.length, 0, `${label}:\n${format(violations)}`);
+}
+
+const projectPages = fs.readdirSync(path.join(ROOT, 'projects'))
+  .filter(slug => fs.existsSync(path.join(ROOT, 'projects', slug, 'index.html')))
+  .map(slug => `projects/${slug}/index.html`);
+
+['index.html', 'resume.html', 'offline.html', ...projectPages].forEach(file => {
+  test(`${file} passes the accessibility checks once rendered`, async (t) => {
+    const page = await loadPage({ page: file });
+    t.after(() => page.close());
+    assertAccessible(page.document, file);
+  });
+});
+
+test('translated pages keep their names and set lang/dir', async (t) => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const { document, window } = page;
+  for (const [locale, dir] of [['hi', 'ltr'], ['ur', 'rtl'], ['en', 'ltr']]) {
+    await window.portfolioUtils.setLocale(locale, { persist: false });
+    await page.server.idle();
+    assert.equal(document.documentElement.lang, locale);
+    assert.equal(document.documentElement.dir, dir);
+    assertAccessible(document, locale);
+  }
+});
+
+test('open dialogs are named, and the page behind them is hidden from assistive tech', async (t) => {
+  const page = await loadPage({ hash: '#resume' });
+  t.after(() => page.close());
+  const { document, window } = page;
+  const modal = document.getElementById('resume-modal');
+  assert.ok(!modal.classList.contains('hidden'), 'deep link opened the resume');
+  assert.equal(modal.getAttribute('aria-hidden'), 'false');
+  assert.ok(accessibleName(modal));
+  const section = document.getElementById('contact');
+  assert.ok(section.hasAttribute('inert'), 'background is inert');
+  assertAccessible(document, 'resume dialog');
+
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  await page.settle(50);
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'k', ctrlKey: true, bubbles: true }));
+  await page.server.idle();
+  const palette = document.getElementById('command-palette');
+  assert.ok(!palette.classList.contains('hidden'), 'Ctrl+K opened the palette');
+  assert.equal(accessibleName(palette), 'Command palette');
+  assertAccessible(document, 'command palette');
+
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  await page.settle(50);
+  assert.ok(palette.classList.contains('hidden'));
+  assert.ok(!section.hasAttribute('inert'), 'background is reachable again');
+});
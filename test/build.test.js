@@ -0,0 +1,41 @@
+/* static build (scripts/build.js): the committed output is current, and sw.js's CACHE_VERSION follows the precached files */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { build, cacheVersion } = require('../scripts/build');
+
+const SW = `
+const OFFLINE_PAGE = 'offline.html';
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  OFFLINE_PAGE,
+  'app.js'
+];
+const PRECACHE_OPTIONAL = [
+  'photo.jpg'
+];
+`;
+
+function reader(files) {
+  return rel => (rel in files ? files[rel] : null);
+}
+
+test('the committed output, sw.js included, is what the build writes', () => {
+  const { changed, removed } = build({ check: true });
+  assert.deepEqual(changed, [], 'run `node scripts/build.js` and commit the result');
+  assert.deepEqual(removed, []);
+});
+
+test('CACHE_VERSION changes with any precached file and nothing else', () => {
+  const files = { 'index.html': '<!doctype html>', 'offline.html': 'offline', 'app.js': 'init()', 'photo.jpg': 'jpeg' };
+  const version = cacheVersion(SW, reader(files));
+  assert.match(version, /^[0-9a-f]{12}$/);
+  assert.equal(cacheVersion(SW, reader({ ...files, 'README.md': 'docs' })), version);
+  assert.notEqual(cacheVersion(SW, reader({ ...files, 'app.js': 'init();' })), version);
+  assert.notEqual(cacheVersion(SW, reader({ ...files, 'offline.html': 'offline!' })), version, 'constants in the list resolve');
+  assert.notEqual(cacheVersion(SW, reader({ ...files, 'photo.jpg': null })), version);
+
+  assert.throws(() => cacheVersion(SW, reader({ ...files, 'app.js': null })), /precaches app\.js, which does not exist/);
+});
@@ -0,0 +1,127 @@
+/* contact form drafts (autosave / restore, per inquiry type) and the submit cooldown (js/contact-form.js) */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, type } = require('./helpers/dom');
+
+const DRAFTS_KEY = 'contact_form_drafts';
+const AUTOSAVE_MS = 600;     // autosave is debounced by 500ms
+
+function fillForm(form, { name = 'Asha', email = 'asha@example.com', message = 'Hello there' } = {}) {
+  type(form.elements.name, name);
+  type(form.elements.email, email);
+  type(form.elements.message, message);
+}
+
+/* submits and resolves the next contact:submit detail */
+function submit(page) {
+  const { window, document } = page;
+  const outcome = new Promise(resolve => document.addEventListener('contact:submit', e => resolve(e.detail), { once: true }));
+  document.getElementById('contact-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  return outcome;
+}
+
+test('typing autosaves a draft for the current inquiry type', async (t) => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const form = page.document.getElementById('contact-form');
+  fillForm(form, { message: 'Draft me' });
+  await page.settle(AUTOSAVE_MS);
+
+  const drafts = JSON.parse(page.window.localStorage.getItem(DRAFTS_KEY));
+  assert.deepEqual(Object.keys(drafts), ['general']);
+  assert.equal(drafts.general.name, 'Asha');
+  assert.equal(drafts.general.message, 'Draft me');
+  assert.ok(!Number.isNaN(Date.parse(drafts.general.savedAt)));
+});
+
+test('a saved draft is offered back, restored on request and can be discarded', async (t) => {
+  const savedAt = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+  const page = await loadPage({ storage: { [DRAFTS_KEY]: { general: { name: 'Ravi', email: 'ravi@example.com', message: 'Left over', savedAt } } } });
+  t.after(() => page.close());
+  const { document } = page;
+  const form = document.getElementById('contact-form');
+  const bar = document.getElementById('contact-draft');
+  assert.ok(!bar.classList.contains('hidden'));
+  assert.match(bar.textContent, /5 minutes ago/);
+  assert.equal(form.elements.message.value, '', 'drafts are never restored silently');
+
+  const [restore] = bar.querySelectorAll('button');
+  restore.click();
+  assert.equal(form.elements.name.value, 'Ravi');
+  assert.equal(form.elements.message.value, 'Left over');
+  assert.ok(bar.classList.contains('hidden'));
+
+  // offered again after a reset, then discarded
+  form.reset();
+  form.elements.inquiryType.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  assert.ok(!bar.classList.contains('hidden'));
+  bar.querySelectorAll('button')[1].click();
+  assert.equal(page.window.localStorage.getItem(DRAFTS_KEY), null);
+});
+
+test('drafts are kept per inquiry type', async (t) => {
+  const savedAt = new Date().toISOString();
+  const page = await loadPage({ storage: { [DRAFTS_KEY]: { cloud: { message: 'Migrate us to AWS', savedAt } } } });
+  t.after(() => page.close());
+  const { document, window } = page;
+  const bar = document.getElementById('contact-draft');
+  assert.ok(bar.classList.contains('hidden'), 'no draft for the general type');
+
+  const select = document.getElementById('inquiry-type');
+  select.value = 'cloud';
+  select.dispatchEvent(new window.Event('change', { bubbles: true }));
+  assert.ok(!bar.classList.contains('hidden'));
+  bar.querySelector('button').click();
+  assert.equal(document.getElementById('message').value, 'Migrate us to AWS');
+});
+
+test('the single draft of older versions is migrated', async (t) => {
+  const page = await loadPage({ storage: { contact_form_draft: { name: 'Old', message: 'From before', savedAt: new Date().toISOString() } } });
+  t.after(() => page.close());
+  const storage = page.window.localStorage;
+  assert.equal(storage.getItem('contact_form_draft'), null);
+  assert.equal(JSON.parse(storage.getItem(DRAFTS_KEY)).general.message, 'From before');
+});
+
+test('a recent send puts the form on cooldown without contacting any transport', async (t) => {
+  const page = await loadPage({ storage: { contact_last_sent_at: String(Date.now() - 5000) } });
+  t.after(() => page.close());
+  fillForm(page.document.getElementById('contact-form'));
+  const before = page.server.requests.length;
+
+  const detail = await submit(page);
+  assert.equal(detail.outcome, 'cooldown');
+  assert.match(page.document.getElementById('contact-feedback').textContent, /wait/i);
+  assert.equal(page.server.requests.length, before);
+});
+
+test('a successful send clears the draft and starts the cooldown', async (t) => {
+  const bodies = [];
+  const page = await loadPage({
+    routes: { '/api/contact': (req) => { bodies.push(JSON.parse(req.body)); return { status: 200, body: { ok: true } }; } }
+  });
+  t.after(() => page.close());
+  const { window, document } = page;
+  // skip the anti-spam delays; the rules themselves are covered in test/spam-guard.test.js
+  window.spamGuard.MIN_FILL_MS = 0;
+  window.spamGuard.mintStamp = async () => 'test-stamp';
+
+  const form = document.getElementById('contact-form');
+  fillForm(form, { message: 'Ship it' });
+  await page.settle(AUTOSAVE_MS);
+  assert.ok(window.localStorage.getItem(DRAFTS_KEY));
+
+  const sent = await submit(page);
+  assert.equal(sent.outcome, 'sent');
+  assert.equal(bodies.length, 1);
+  assert.equal(bodies[0].message, 'Ship it');
+  assert.equal(form.elements.message.value, '');
+  assert.equal(window.localStorage.getItem(DRAFTS_KEY), null);
+  assert.ok(Date.now() - Number(window.localStorage.getItem('contact_last_sent_at')) < 5000);
+
+  fillForm(form, { message: 'Again' });
+  assert.equal((await submit(page)).outcome, 'cooldown');
+  assert.equal(bodies.length, 1);
+});
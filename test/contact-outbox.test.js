@@ -0,0 +1,103 @@
+/* replaying queued contact messages (js/contact-transport.js) against the server's anti-spam answers */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const spamGuard = require('../spam-guard.js');
+const { loadPage } = require('./helpers/dom');
+
+const HOUR = 60 * 60 * 1000;
+
+async function queuedItem({ issuedAt = Date.now() } = {}) {
+  const payload = { name: 'Asha', email: 'asha@example.com', subject: 'Hi', message: 'Queued while offline', website: '', _ttf: 5000 };
+  payload._pow = await spamGuard.mintStamp(payload, { now: issuedAt });
+  return {
+    id: 'queued-1',
+    payload,
+    cfg: { transports: ['json'], action: '/api/contact', endpoint: '', mailto: 'me@example.com', formName: 'contact', netlify: false },
+    attempts: 0,
+    queuedAt: issuedAt,
+    nextAttemptAt: issuedAt
+  };
+}
+
+/* minting a stamp takes a moment with no request in flight, so poll the outbox itself */
+async function outboxDrained(page, timeout = 20000) {
+  const started = Date.now();
+  while (page.window.localStorage.getItem('contact_outbox') && Date.now() - started < timeout) await page.settle(50);
+  await page.server.idle();
+}
+
+/*
+ * /api/contact answering like server/server.js: 422 { reason } for rejected stamps, with the
+ * stored message's id for a replayed one; `seen` maps stamps to that id (null: not stored)
+ */
+function contactRoute(stored, seen = new Map()) {
+  return async (request) => {
+    const body = JSON.parse(request.body);
+    const check = await spamGuard.verifySubmission(body);
+    if (!check.ok) return { status: 422, body: { ok: false, error: 'Submission rejected.', reason: check.reason } };
+    if (seen.has(body._pow)) {
+      const id = seen.get(body._pow);
+      return { status: 422, body: { ok: false, error: 'Submission rejected.', reason: 'pow-replayed', ...(id && { id }) } };
+    }
+    stored.push(body);
+    seen.set(body._pow, `msg-${stored.length}`);
+    return { status: 201, body: { ok: true, id: `msg-${stored.length}` } };
+  };
+}
+
+test('a message queued longer than a stamp lives gets a fresh stamp and is delivered', async (t) => {
+  const item = await queuedItem({ issuedAt: Date.now() - 26 * HOUR });
+  const stored = [];
+  const page = await loadPage({ storage: { contact_outbox: [item] }, routes: { '/api/contact': contactRoute(stored) } });
+  t.after(() => page.close());
+  await outboxDrained(page);
+
+  const posts = page.server.requests.filter(r => r.path === '/api/contact');
+  assert.equal(posts.length, 2, 'rejected once as expired, then sent with a new stamp');
+  assert.equal(stored.length, 1);
+  assert.notEqual(stored[0]._pow, item.payload._pow);
+  assert.equal(page.window.localStorage.getItem('contact_outbox'), null);
+  assert.match(page.document.getElementById('contact-feedback').textContent, /queued message has been sent/);
+});
+
+test('a stamp the server has already stored a message with counts as delivered', async (t) => {
+  const item = await queuedItem();
+  const stored = [];
+  const seen = new Map();
+  // an earlier attempt reached the server, but its response never made it back
+  await contactRoute(stored, seen)({ body: JSON.stringify(item.payload) });
+  const page = await loadPage({ storage: { contact_outbox: [item] }, routes: { '/api/contact': contactRoute(stored, seen) } });
+  t.after(() => page.close());
+
+  assert.equal(stored.length, 1);
+  assert.equal(page.window.localStorage.getItem('contact_outbox'), null);
+  assert.match(page.document.getElementById('contact-feedback').textContent, /queued message has been sent/);
+});
+
+test('a stamp the server knows without a stored message is re-minted, not counted as sent', async (t) => {
+  const item = await queuedItem();
+  const stored = [];
+  // e.g. a submission with this stamp still being stored when the replay arrives
+  const seen = new Map([[item.payload._pow, null]]);
+  const page = await loadPage({ storage: { contact_outbox: [item] }, routes: { '/api/contact': contactRoute(stored, seen) } });
+  t.after(() => page.close());
+  await outboxDrained(page);
+
+  assert.equal(page.server.requests.filter(r => r.path === '/api/contact').length, 2);
+  assert.equal(stored.length, 1);
+  assert.notEqual(stored[0]._pow, item.payload._pow);
+  assert.match(page.document.getElementById('contact-feedback').textContent, /queued message has been sent/);
+});
+
+test('other rejections still drop the message and say so', async (t) => {
+  const item = await queuedItem();
+  item.payload.message = 'Edited after minting';
+  const page = await loadPage({ storage: { contact_outbox: [item] }, routes: { '/api/contact': contactRoute([]) } });
+  t.after(() => page.close());
+
+  assert.equal(page.server.requests.filter(r => r.path === '/api/contact').length, 1);
+  assert.equal(page.window.localStorage.getItem('contact_outbox'), null);
+  assert.match(page.document.getElementById('contact-feedback').textContent, /could not be delivered/);
+});
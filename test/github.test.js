@@ -0,0 +1,135 @@
+/* GitHub showcase (js/github.js) against the fixture API (server/github-fixtures.js): ETag revalidation, rate-limit backoff, stale fallback, disabled storage */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+const { createFixtureServer } = require('../server/github-fixtures');
+const fixtureRepos = require('../server/fixtures/github/users/Priyanshuzz/repos.json');
+
+const USER = 'Priyanshuzz';
+const CACHE_KEY = 'github_cache';
+const BACKOFF_KEY = 'github_backoff';
+// one profile load: the repo list, /languages per own repo, public events
+const PROFILE_CALLS = 2 + Math.min(10, fixtureRepos.filter(r => !r.fork && !r.archived).length);
+
+async function startFixtures(t, opts) {
+  const server = createFixtureServer(opts);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/*
+ * js/github.js in a page without app.js; its fetch goes to the real fixture server
+ * (the page's signal belongs to jsdom, so it stays behind) and every answer is logged
+ */
+async function loadGitHub(t, { storage } = {}) {
+  const page = await loadPage({ scripts: false, storage });
+  t.after(() => page.close());
+  const calls = [];
+  page.window.fetch = async (url, init = {}) => {
+    const res = await fetch(url, { headers: init.headers });
+    calls.push({ ifNoneMatch: (init.headers || {})['If-None-Match'] || null, status: res.status });
+    return res;
+  };
+  return { page, calls, github: await page.module('js/github.js') };
+}
+
+const readStorage = (page, key) => JSON.parse(page.window.localStorage.getItem(key));
+// first answers are parsed by Node's fetch, cached ones by the page: compare across realms
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/* pretends every cached response was fetched `ms` ago */
+function ageCache(page, ms) {
+  const cache = readStorage(page, CACHE_KEY);
+  Object.values(cache).forEach(entry => { entry.fetchedAt -= ms; });
+  page.window.localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+}
+
+test('an outdated cache is revalidated with If-None-Match and a 304 keeps the saved data', async (t) => {
+  const api = await startFixtures(t);
+  const { page, calls, github } = await loadGitHub(t);
+
+  const first = await github.loadGitHubProfile(USER, { api });
+  assert.equal(calls.length, PROFILE_CALLS);
+  assert.ok(calls.every(c => c.status === 200 && c.ifNoneMatch === null));
+  assert.equal(first.stale, false);
+  assert.ok(first.repos.length > 0 && first.events.length > 0);
+
+  // still fresh: answered from the cache without asking
+  await github.loadGitHubProfile(USER, { api });
+  assert.equal(calls.length, PROFILE_CALLS);
+
+  ageCache(page, 11 * 60 * 1000);
+  const before = Date.now();
+  const second = await github.loadGitHubProfile(USER, { api });
+  const revalidations = calls.slice(PROFILE_CALLS);
+  assert.equal(revalidations.length, PROFILE_CALLS);
+  assert.ok(revalidations.every(c => c.status === 304 && /^"[0-9a-f]{40}"$/.test(c.ifNoneMatch)));
+  assert.equal(second.stale, false);
+  assert.deepEqual(plain(second.repos), plain(first.repos));
+  assert.deepEqual(plain(second.languages), plain(first.languages));
+  assert.ok(Object.values(readStorage(page, CACHE_KEY)).every(entry => entry.fetchedAt >= before), 'revalidated entries count as fresh again');
+});
+
+test('a 403 with X-RateLimit-Remaining: 0 persists the backoff and later loads make no calls', async (t) => {
+  const api = await startFixtures(t, { limit: 0 });
+  const { page, calls, github } = await loadGitHub(t);
+
+  await assert.rejects(github.loadGitHubProfile(USER, { api }), err => {
+    assert.equal(err.name, 'GitHubError');
+    assert.equal(err.status, 403);
+    assert.equal(err.rateLimited, true);
+    assert.ok(err.resetAt > Date.now());
+    return true;
+  });
+  assert.deepEqual(calls.map(c => c.status), [403]);
+  const backoff = page.window.localStorage.getItem(BACKOFF_KEY);
+  assert.ok(Number(backoff) > Date.now());
+
+  // a later visit with the same storage waits for the reset without asking
+  const next = await loadGitHub(t, { storage: { [BACKOFF_KEY]: backoff } });
+  await assert.rejects(next.github.loadGitHubProfile(USER, { api }), err => err.rateLimited && err.resetAt === Number(backoff));
+  assert.equal(next.calls.length, 0);
+});
+
+test('while backing off, the saved profile is shown and marked as stale', async (t) => {
+  // the window allows exactly one profile load; its last answer reports Remaining: 0
+  const api = await startFixtures(t, { limit: PROFILE_CALLS });
+  const { page, calls, github } = await loadGitHub(t);
+
+  const first = await github.loadGitHubProfile(USER, { api });
+  assert.equal(first.stale, false);
+  assert.ok(Number(page.window.localStorage.getItem(BACKOFF_KEY)) > Date.now(), 'the spent window pauses further calls');
+
+  ageCache(page, 11 * 60 * 1000);
+  const second = await github.loadGitHubProfile(USER, { api });
+  assert.equal(calls.length, PROFILE_CALLS, 'no calls while backing off');
+  assert.equal(second.stale, true);
+  assert.deepEqual(plain(second.repos), plain(first.repos));
+  assert.ok(second.fetchedAt < Date.now() - 10 * 60 * 1000);
+
+  const root = page.document.getElementById('github-activity');
+  github.renderGitHub(root, second);
+  assert.ok(!root.classList.contains('hidden'));
+  assert.match(page.document.getElementById('github-status').textContent, /saved data/i);
+});
+
+test('with storage disabled (a SecurityError on access) the profile still loads, uncached', async (t) => {
+  const api = await startFixtures(t);
+  const { page, calls, github } = await loadGitHub(t);
+  Object.defineProperty(page.window, 'localStorage', {
+    configurable: true,
+    get() { throw new page.window.DOMException('The operation is insecure.', 'SecurityError'); }
+  });
+
+  const first = await github.loadGitHubProfile(USER, { api });
+  assert.equal(first.stale, false);
+  assert.ok(first.repos.length > 0);
+  await github.loadGitHubProfile(USER, { api });
+  assert.equal(calls.length, 2 * PROFILE_CALLS, 'nothing cached, so the second load asks again');
+});
@@ -0,0 +1,213 @@
+/* ===== test/helpers/a11y.js =====
+   Accessibility checks in the spirit of axe-core's rules, small enough to run offline on jsdom
+   (no layout, so nothing that needs rendering such as color contrast or target size).
+   - each rule: { id, description, selector, check(el, doc) -> message | null, includeHidden }
+   - elements hidden from everyone ([hidden], .hidden, aria-hidden="true", inert, <template>)
+     are skipped unless the rule sets includeHidden (broken references and unnamed dialogs
+     matter before they are shown)
+   - audit(document, { rules, skip }) -> [{ rule, message, node }] (an empty list passes)
+*/
+'use strict';
+
+// options are left out: their listbox or combobox keeps focus (aria-activedescendant)
+const INTERACTIVE_ROLES = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'combobox', 'textbox', 'searchbox', 'slider'];
+const IDREF_ATTRIBUTES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-errormessage'];
+
+function isHidden(el) {
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.hidden || node.hasAttribute('inert') || node.getAttribute('aria-hidden') === 'true') return true;
+    if (node.classList.contains('hidden') || node.tagName === 'TEMPLATE') return true;
+  }
+  return false;
+}
+
+/* text an element contributes to a name: aria-hidden parts left out, images by their alt */
+function textOf(el) {
+  if (el.nodeType === 3) return el.textContent;
+  if (el.nodeType !== 1 || el.getAttribute('aria-hidden') === 'true') return '';
+  if (el.tagName === 'IMG') return el.getAttribute('alt') || '';
+  if (el.tagName === 'svg' || el.tagName === 'SVG') return el.querySelector('title')?.textContent || el.getAttribute('aria-label') || '';
+  return Array.from(el.childNodes).map(textOf).join(' ');
+}
+
+const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * accessibleName(el) - a simplified accessible name computation:
+ * aria-labelledby, aria-label, <label>, contents (for roles that take their name from it), title
+ */
+function accessibleName(el) {
+  const doc = el.ownerDocument;
+  const labelledby = el.getAttribute('aria-labelledby');
+  if (labelledby) {
+    const name = clean(labelledby.split(/\s+/).map(id => doc.getElementById(id)).filter(Boolean).map(textOf).join(' '));
+    if (name) return name;
+  }
+  const label = clean(el.getAttribute('aria-label'));
+  if (label) return label;
+  if (/^(INPUT|SELECT|TEXTAREA|METER|PROGRESS)$/.test(el.tagName)) {
+    const labels = Array.from(el.labels || []);
+    const name = clean(labels.map(textOf).join(' '));
+    if (name) return name;
+    if (el.tagName === 'INPUT' && /^(submit|reset|button)$/.test(el.type)) return clean(el.value);
+    if (el.tagName === 'INPUT' && el.type === 'image') return clean(el.alt);
+    return clean(el.getAttribute('title') || el.getAttribute('placeholder'));
+  }
+  return clean(textOf(el)) || clean(el.getAttribute('title'));
+}
+
+function describe(el) {
+  const id = el.id ? `#${el.id}` : '';
+  const classes = typeof el.className === 'string' && el.className.trim() ? `.${el.className.trim().split(/\s+/).slice(0, 2).join('.')}` : '';
+  return `<${el.tagName.toLowerCase()}${id}${classes}>`;
+}
+
+const RULES = [
+  {
+    id: 'html-has-lang',
+    description: '<html> has a valid lang',
+    selector: 'html',
+    includeHidden: true,
+    check: el => (/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(el.getAttribute('lang') || '') ? null : 'missing or invalid lang')
+  },
+  {
+    id: 'document-title',
+    description: 'the document has a non-empty <title>',
+    selector: 'html',
+    includeHidden: true,
+    check: (el, doc) => (clean(doc.title) ? null : 'empty <title>')
+  },
+  {
+    id: 'image-alt',
+    description: 'images have alternative text (alt="" for decorative ones)',
+    selector: 'img, [role="img"]',
+    check: (el) => {
+      if (el.tagName === 'IMG') {
+        if (/^(presentation|none)$/.test(el.getAttribute('role') || '')) return null;
+        return el.hasAttribute('alt') ? null : 'no alt attribute';
+      }
+      return accessibleName(el) ? null : 'role="img" without a name';
+    }
+  },
+  {
+    id: 'label',
+    description: 'form controls have a label',
+    selector: 'input:not([type="hidden"]), select, textarea',
+    check: el => (accessibleName(el) ? null : 'no label, aria-label or aria-labelledby')
+  },
+  {
+    id: 'button-name',
+    description: 'buttons have a discernible name',
+    selector: 'button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"]',
+    check: el => (accessibleName(el) ? null : 'button without a name')
+  },
+  {
+    id: 'link-name',
+    description: 'links have a discernible name',
+    selector: 'a[href], [role="link"]',
+    check: el => (accessibleName(el) ? null : 'link without a name')
+  },
+  {
+    id: 'duplicate-id',
+    description: 'ids are unique',
+    selector: '[id]',
+    includeHidden: true,
+    check: (el, doc) => {
+      const same = doc.querySelectorAll(`[id="${el.id.replace(/["\\]/g, '\\$&')}"]`);
+      return same.length > 1 && same[0] === el ? `id "${el.id}" is used ${same.length} times` : null;
+    }
+  },
+  {
+    id: 'aria-valid-idref',
+    description: 'ARIA id references point at elements that exist',
+    selector: IDREF_ATTRIBUTES.map(attr => `[${attr}]`).join(', '),
+    includeHidden: true,
+    check: (el, doc) => {
+      const missing = IDREF_ATTRIBUTES
+        .filter(attr => el.hasAttribute(attr))
+        .flatMap(attr => el.getAttribute(attr).split(/\s+/).filter(Boolean).filter(id => !doc.getElementById(id)).map(id => `${attr}="${id}"`));
+      return missing.length ? `no element for ${missing.join(', ')}` : null;
+    }
+  },
+  {
+    id: 'aria-dialog-name',
+    description: 'dialogs have a name',
+    selector: '[role="dialog"], [role="alertdialog"], dialog',
+    includeHidden: true,
+    check: el => (clean(el.getAttribute('aria-label')) || accessibleName(el) ? null : 'dialog without aria-label or aria-labelledby')
+  },
+  {
+    id: 'nested-interactive',
+    description: 'interactive controls are not nested inside each other',
+    selector: 'a[href], button',
+    check: el => (el.querySelector('a[href], button, input, select, textarea') ? 'contains another interactive control' : null)
+  },
+  {
+    id: 'aria-hidden-focus',
+    description: 'aria-hidden content holds no focusable elements',
+    selector: '[aria-hidden="true"]',
+    includeHidden: true,
+    check: (el) => {
+      // closed modals are aria-hidden and hidden too; only content that is visible yet aria-hidden counts
+      const removed = node => node.hidden || node.classList.contains('hidden') || node.hasAttribute('inert');
+      const reachable = (node) => {
+        for (; node && node !== el.parentElement; node = node.parentElement) if (removed(node)) return false;
+        return true;
+      };
+      const focusable = Array.from(el.querySelectorAll('a[href], button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]'))
+        .filter(node => node.getAttribute('tabindex') !== '-1' && reachable(node));
+      return focusable.length ? `focusable ${describe(focusable[0])} inside` : null;
+    }
+  },
+  {
+    id: 'tabindex',
+    description: 'no positive tabindex',
+    selector: '[tabindex]',
+    check: el => (Number(el.getAttribute('tabindex')) > 0 ? `tabindex="${el.getAttribute('tabindex')}"` : null)
+  },
+  {
+    id: 'interactive-role-focusable',
+    description: 'elements with an interactive role can be focused',
+    selector: INTERACTIVE_ROLES.map(role => `[role="${role}"]`).join(', '),
+    check: (el) => {
+      if (/^(A|BUTTON|INPUT|SELECT|TEXTAREA)$/.test(el.tagName) || el.hasAttribute('tabindex')) return null;
+      return 'not focusable';
+    }
+  },
+  {
+    id: 'heading-order',
+    description: 'heading levels only increase one at a time',
+    selector: 'h1, h2, h3, h4, h5, h6',
+    check: (el, doc) => {
+      const headings = Array.from(doc.querySelectorAll('h1, h2, h3, h4, h5, h6')).filter(h => !isHidden(h));
+      const index = headings.indexOf(el);
+      if (index <= 0) return null;
+      const level = Number(el.tagName[1]);
+      const previous = Number(headings[index - 1].tagName[1]);
+      return level > previous + 1 ? `h${level} follows h${previous}` : null;
+    }
+  }
+];
+
+/**
+ * audit(document, { rules, skip }) - runs the rules (all by default, minus the ids in skip)
+ * and returns the violations: [{ rule, message, node }]
+ */
+function audit(doc, { rules = RULES, skip = [] } = {}) {
+  const violations = [];
+  rules.filter(rule => !skip.includes(rule.id)).forEach(rule => {
+    doc.querySelectorAll(rule.selector).forEach(el => {
+      if (!rule.includeHidden && isHidden(el)) return;
+      const message = rule.check(el, doc);
+      if (message) violations.push({ rule: rule.id, message, node: describe(el) });
+    });
+  });
+  return violations;
+}
+
+/** format(violations) - one line per violation, for assertion messages */
+function format(violations) {
+  return violations.map(v => `  ${v.rule}: ${v.node} ${v.message}`).join('\n');
+}
+
+module.exports = { RULES, audit, format, accessibleName, isHidden };
@@ -0,0 +1,291 @@
+/* ===== test/helpers/dom.js =====
+   Loads a page of the site into jsdom the way a browser would, without network access.
+   - classic scripts from the page (spam-guard.js, particles.js, resume.js) are evaluated in
+     order, then app.js runs as a real ES module graph (vm.SourceTextModule; needs
+     node --experimental-vm-modules, which `npm test` passes)
+   - shims: canvas 2D context (records calls), IntersectionObserver (tests trigger entries),
+     matchMedia (tests flip queries and `change` fires), rAF via pretendToBeVisual
+   - fetch is served by a mock server: same-origin paths come from the repo on disk unless
+     a route overrides them; other origins fail like an offline network
+   - console output of the page is captured in page.logs instead of printed
+     (set DEBUG_DOM=1 to see it)
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const ORIGIN = 'http://localhost';
+
+const MIME_TYPES = { '.json': 'application/json', '.html': 'text/html', '.js': 'text/javascript', '.svg': 'image/svg+xml', '.css': 'text/css' };
+
+/**
+ * createCanvasContext(canvas) - 2D context stand-in; every method call is counted in
+ * ctx.calls (name -> count) and ctx.frames collects per-frame counts (a frame starts at
+ * clearRect; calls before the first one, e.g. a resize, belong to no frame)
+ */
+function createCanvasContext(canvas) {
+  const calls = {};
+  const ctx = {
+    canvas,
+    calls,
+    frames: [],
+    fillStyle: '#000',
+    strokeStyle: '#000',
+    lineWidth: 1,
+    globalAlpha: 1
+  };
+  let frame = null;
+  const record = name => (...args) => {
+    calls[name] = (calls[name] || 0) + 1;
+    if (name === 'clearRect') {
+      if (frame && Object.keys(frame).length) ctx.frames.push(frame);
+      frame = {};
+    } else if (frame) {
+      frame[name] = (frame[name] || 0) + 1;
+    }
+    return name === 'measureText' ? { width: String(args[0] || '').length * 6 } : undefined;
+  };
+  ['arc', 'beginPath', 'closePath', 'moveTo', 'lineTo', 'fill', 'stroke', 'fillRect', 'clearRect', 'strokeRect',
+    'save', 'restore', 'setTransform', 'resetTransform', 'translate', 'scale', 'rotate', 'drawImage', 'fillText', 'measureText', 'rect']
+    .forEach(name => { ctx[name] = record(name); });
+  ctx.createLinearGradient = ctx.createRadialGradient = () => ({ addColorStop() {} });
+  return ctx;
+}
+
+/* matchMedia whose answers tests can change: media.set('(prefers-color-scheme: dark)', true) */
+function createMediaShim(window, initial = {}) {
+  const state = { ...initial };
+  const lists = [];
+  window.matchMedia = (query) => {
+    const listeners = new Set();
+    const list = {
+      media: query,
+      get matches() { return Boolean(state[query]); },
+      onchange: null,
+      addEventListener(type, fn, opts) {
+        if (type !== 'change') return;
+        listeners.add(fn);
+        opts?.signal?.addEventListener('abort', () => listeners.delete(fn));
+      },
+      removeEventListener(type, fn) { listeners.delete(fn); },
+      addListener(fn) { listeners.add(fn); },
+      removeListener(fn) { listeners.delete(fn); },
+      dispatch() {
+        const event = { matches: list.matches, media: query };
+        listeners.forEach(fn => fn(event));
+        if (list.onchange) list.onchange(event);
+      }
+    };
+    lists.push(list);
+    return list;
+  };
+  return {
+    set(query, matches) {
+      state[query] = matches;
+      lists.filter(list => list.media === query).forEach(list => list.dispatch());
+    },
+    get: query => Boolean(state[query])
+  };
+}
+
+/* IntersectionObserver that only reports what a test tells it to: io.trigger(el, true) */
+function createIntersectionShim(window) {
+  const observers = new Set();
+  window.IntersectionObserver = class IntersectionObserver {
+    constructor(callback, options = {}) {
+      this.callback = callback;
+      this.options = options;
+      this.targets = new Set();
+      observers.add(this);
+    }
+    observe(el) { this.targets.add(el); }
+    unobserve(el) { this.targets.delete(el); }
+    disconnect() { this.targets.clear(); observers.delete(this); }
+    takeRecords() { return []; }
+  };
+  return {
+    get observers() { return Array.from(observers); },
+    trigger(el, isIntersecting = true, ratio = isIntersecting ? 1 : 0) {
+      observers.forEach(observer => {
+        if (!observer.targets.has(el)) return;
+        observer.callback([{ target: el, isIntersecting, intersectionRatio: ratio, boundingClientRect: el.getBoundingClientRect() }], observer);
+      });
+    }
+  };
+}
+
+/**
+ * createFetchMock(window, routes)
+ * routes: { '/api/contact': (request) => ({ status, body, headers }) | Promise, ... }, matched
+ * on the path (query ignored); a handler may return a promise that never settles to simulate
+ * a hanging request (the request's AbortSignal still rejects it). Unrouted same-origin paths
+ * are read from the repo; anything else rejects with TypeError('Failed to fetch').
+ */
+function createFetchMock(window, routes = {}) {
+  const requests = [];
+  let pending = 0;
+  const response = ({ status = 200, body = '', headers = {} } = {}) => {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    const map = new Map(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: name => map.get(name.toLowerCase()) ?? null, has: name => map.has(name.toLowerCase()) },
+      json: async () => JSON.parse(text),
+      text: async () => text,
+      clone() { return response({ status, body, headers }); }
+    };
+  };
+  function fetch(input, init = {}) {
+    const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+    const request = { url: url.href, path: url.pathname, method: (init.method || 'GET').toUpperCase(), headers: init.headers || {}, body: init.body, signal: init.signal };
+    requests.push(request);
+    pending += 1;
+    const done = new Promise((resolve, reject) => {
+      const abort = () => {
+        const err = new window.DOMException('The operation was aborted.', 'AbortError');
+        reject(err);
+      };
+      if (init.signal) {
+        if (init.signal.aborted) return abort();
+        init.signal.addEventListener('abort', abort, { once: true });
+      }
+      if (url.origin !== ORIGIN) return reject(new TypeError('Failed to fetch'));
+      const route = routes[url.pathname];
+      if (route) {
+        Promise.resolve(route(request)).then(res => resolve(response(res)), reject);
+        return;
+      }
+      let file;
+      try {
+        file = decodeURIComponent(url.pathname).replace(/^\/+/, '') || 'index.html';
+      } catch (e) {
+        return resolve(response({ status: 400 }));
+      }
+      fs.readFile(path.join(ROOT, file), 'utf8', (err, text) => {
+        if (err) resolve(response({ status: 404, body: 'Not found' }));
+        else resolve(response({ body: text, headers: { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' } }));
+      });
+    });
+    done.then(() => { pending -= 1; }, () => { pending -= 1; });
+    return done;
+  }
+  /* resolves once no request has been in flight for a few turns (a route that never settles runs into the timeout) */
+  async function idle({ timeout = 2000 } = {}) {
+    const started = Date.now();
+    let quiet = 0;
+    while (quiet < 3 && Date.now() - started < timeout) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      quiet = pending ? 0 : quiet + 1;
+    }
+  }
+  return { fetch, requests, routes, idle };
+}
+
+/**
+ * loadPage({ page, storage, media, routes, width, height, hash, scripts })
+ * storage: localStorage entries to seed before any script runs (values are stringified
+ * unless already strings); media: initial matchMedia answers; scripts: false to skip app.js.
+ * Resolves { window, document, io, media, server, logs, module(file), settle(ms), close() }
+ * once app.js has evaluated and the requests its features made have settled.
+ */
+async function loadPage({ page = 'index.html', storage = {}, media = {}, routes = {}, width = 1024, height = 768, hash = '', scripts = true } = {}) {
+  // the page's inline scripts and CDN scripts never run; classic local scripts are evaluated below
+  const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+  const logs = [];
+  const virtualConsole = new VirtualConsole();
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(level => virtualConsole.on(level, (...args) => {
+    logs.push({ level, text: args.map(String).join(' ') });
+    if (process.env.DEBUG_DOM) console[level === 'debug' ? 'log' : level](`[page ${level}]`, ...args);
+  }));
+  virtualConsole.on('jsdomError', err => logs.push({ level: 'jsdomError', text: err.message }));
+
+  const dom = new JSDOM(html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, match => (/type="application\/ld\+json"/.test(match) ? match : '')), {
+    url: `${ORIGIN}/${page === 'index.html' ? '' : page}${hash}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  window.innerWidth = width;
+  window.innerHeight = height;
+  Object.defineProperty(window.navigator, 'hardwareConcurrency', { value: 8, configurable: true });
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value)));
+
+  const mediaShim = createMediaShim(window, media);
+  const io = createIntersectionShim(window);
+  window.HTMLCanvasElement.prototype.getContext = function getContext(type) {
+    if (type !== '2d') return null;
+    if (!this.__context) this.__context = createCanvasContext(this);
+    return this.__context;
+  };
+  window.HTMLElement.prototype.scrollIntoView = function scrollIntoView() {};
+  window.scrollTo = () => {};
+  const server = createFetchMock(window, routes);
+  window.fetch = server.fetch;
+  window.TextEncoder = TextEncoder;
+  if (!window.crypto || !window.crypto.subtle) {
+    Object.defineProperty(window, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+  }
+
+  const classic = Array.from(html.matchAll(/<script\b(?![^>]*type="module")[^>]*\bsrc="([^"]+)"[^>]*><\/script>/gi))
+    .map(m => m[1])
+    .filter(src => !/^https?:/i.test(src));
+  classic.forEach(src => window.eval(fs.readFileSync(path.join(ROOT, src), 'utf8')));
+
+  const context = dom.getInternalVMContext();
+  const modules = new Map();
+  const load = (file) => {
+    if (!modules.has(file)) {
+      modules.set(file, new vm.SourceTextModule(fs.readFileSync(file, 'utf8'), { context, identifier: file }));
+    }
+    return modules.get(file);
+  };
+  const moduleScripts = scripts
+    ? Array.from(html.matchAll(/<script\b[^>]*type="module"[^>]*\bsrc="([^"]+)"[^>]*>/gi)).map(m => m[1])
+    : [];
+  for (const src of moduleScripts) {
+    const entry = load(path.join(ROOT, src));
+    await entry.link((specifier, referencing) => load(path.resolve(path.dirname(referencing.identifier), specifier)));
+    await entry.evaluate();
+  }
+
+  const settle = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+  const result = {
+    window,
+    document: window.document,
+    io,
+    media: mediaShim,
+    server,
+    logs,
+    settle,
+    /** module('js/utils.js') - namespace of a module from this page's graph (loads it if needed) */
+    async module(file) {
+      const mod = load(path.join(ROOT, file));
+      if (mod.status === 'unlinked') await mod.link((specifier, referencing) => load(path.resolve(path.dirname(referencing.identifier), specifier)));
+      if (mod.status === 'linked') await mod.evaluate();
+      return mod.namespace;
+    },
+    /** close() - tear the features down, let pending requests finish, then close the window */
+    async close() {
+      try { window.portfolioUtils?.stopFeatures?.(); } catch (e) { /* already torn down */ }
+      await server.idle();
+      window.close();
+    }
+  };
+  // async setups (locales, data files) finish once their requests have
+  await server.idle();
+  return result;
+}
+
+/** type(el, value) - set a field and fire input like a user would */
+function type(el, value) {
+  el.value = value;
+  el.dispatchEvent(new el.ownerDocument.defaultView.Event('input', { bubbles: true }));
+}
+
+module.exports = { ROOT, loadPage, createCanvasContext, createFetchMock, type };
@@ -0,0 +1,56 @@
+/* responsive images: the stamped markup (scripts/images.js) and its runtime side (js/images.js) */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, ROOT } = require('./helpers/dom');
+
+test('every stamped variant is committed and the hero has its intrinsic size', async (t) => {
+  const page = await loadPage({ scripts: false });
+  t.after(() => page.close());
+  const imgs = Array.from(page.document.querySelectorAll('img[data-responsive]'));
+  assert.ok(imgs.length >= 1);
+  imgs.forEach(img => {
+    assert.ok(Number(img.getAttribute('width')) > 0 && Number(img.getAttribute('height')) > 0, 'width/height stamped');
+    assert.match(img.dataset.placeholder || '', /^data:image\/webp;base64,/);
+    ['srcsetAvif', 'srcsetWebp'].forEach(key => {
+      const files = (img.dataset[key] || '').split(',').map(entry => entry.trim().split(/\s+/)[0]).filter(Boolean);
+      assert.ok(files.length, `${key} stamped`);
+      files.forEach(file => assert.ok(fs.existsSync(path.join(ROOT, decodeURI(file))), `${file} exists`));
+    });
+  });
+});
+
+test('the hero is wrapped in a <picture>, kept eager and shows its placeholder until it loads', async (t) => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const { window } = page;
+  const img = page.document.querySelector('img[data-responsive]');
+  const picture = img.parentElement;
+  assert.equal(picture.tagName, 'PICTURE');
+  assert.deepEqual(Array.from(picture.querySelectorAll('source')).map(s => s.type), ['image/avif', 'image/webp']);
+  assert.equal(picture.querySelector('source').sizes, img.getAttribute('sizes'));
+  assert.notEqual(img.getAttribute('loading'), 'lazy');
+  assert.ok(img.classList.contains('img-placeholder'));
+
+  img.dispatchEvent(new window.Event('load'));
+  assert.ok(!img.classList.contains('img-placeholder'));
+  assert.equal(img.style.backgroundImage, '');
+});
+
+test('a failing variant falls back to the original, a failing original to the fallback icon', async (t) => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const { window } = page;
+  const img = page.document.querySelector('img[data-responsive]');
+  img.dispatchEvent(new window.Event('error'));
+  assert.equal(img.parentElement.querySelectorAll('source').length, 0);
+  assert.equal(img.getAttribute('src'), 'founder.jpg');
+
+  img.dispatchEvent(new window.Event('error'));
+  assert.equal(img.getAttribute('src'), 'icons/image-fallback.svg');
+  assert.ok(img.classList.contains('img-fallback'));
+  assert.ok(img.alt, 'alt text stays');
+});
@@ -0,0 +1,59 @@
+/* mobile menu toggle and its reset when the viewport grows past the md breakpoint (js/page.js) */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+const RESIZE_MS = 200;       // resize handling is debounced by 120ms
+
+function resize(page, width) {
+  page.window.innerWidth = width;
+  page.window.dispatchEvent(new page.window.Event('resize'));
+  return page.settle(RESIZE_MS);
+}
+
+test('the toggle opens and closes the menu and keeps aria-expanded in step', async (t) => {
+  const page = await loadPage({ width: 375 });
+  t.after(() => page.close());
+  const btn = page.document.getElementById('menu-toggle');
+  const menu = page.document.getElementById('mobile-menu');
+  assert.ok(menu.classList.contains('hidden'));
+  assert.equal(btn.getAttribute('aria-expanded'), 'false');
+
+  btn.click();
+  assert.ok(!menu.classList.contains('hidden'));
+  assert.equal(btn.getAttribute('aria-expanded'), 'true');
+  btn.click();
+  assert.ok(menu.classList.contains('hidden'));
+  assert.equal(btn.getAttribute('aria-expanded'), 'false');
+});
+
+test('an open menu is reset once the viewport reaches the desktop layout', async (t) => {
+  const page = await loadPage({ width: 375 });
+  t.after(() => page.close());
+  const btn = page.document.getElementById('menu-toggle');
+  const menu = page.document.getElementById('mobile-menu');
+  btn.click();
+
+  await resize(page, 600);
+  assert.ok(!menu.classList.contains('hidden'), 'still a phone/tablet layout: stays open');
+
+  await resize(page, 768);
+  assert.ok(menu.classList.contains('hidden'));
+  assert.equal(btn.getAttribute('aria-expanded'), 'false');
+});
+
+test('the menu stops reacting once the feature is torn down', async (t) => {
+  const page = await loadPage({ width: 375 });
+  t.after(() => page.close());
+  const btn = page.document.getElementById('menu-toggle');
+  const menu = page.document.getElementById('mobile-menu');
+  btn.click();
+  page.window.portfolioUtils.features['mobile-menu'].teardown();
+
+  await resize(page, 1280);
+  assert.ok(!menu.classList.contains('hidden'));
+  btn.click();
+  assert.ok(!menu.classList.contains('hidden'));
+});
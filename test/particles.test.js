@@ -0,0 +1,103 @@
+/* particle counts of the engine (particles.js) and of the page's main-thread background (js/particles-bg.js), and its preset switches */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, createCanvasContext } = require('./helpers/dom');
+const { ParticleEngine, QUALITY_TIERS, DEFAULT_CONFIG } = require('../particles.js');
+
+const HIGH = QUALITY_TIERS.length - 1;
+
+function engine(width, height, opts = {}) {
+  const e = new ParticleEngine(createCanvasContext({}), { tier: HIGH, ...opts });
+  e.resize(width, height);
+  return e;
+}
+
+test('the count follows the viewport area and the configured density', () => {
+  const e = engine(1024, 768);
+  assert.equal(e.particles.length, Math.round(1024 * 768 * DEFAULT_CONFIG.particleDensity));
+  e.resize(1440, 900);
+  assert.equal(e.particles.length, Math.round(1440 * 900 * DEFAULT_CONFIG.particleDensity));
+});
+
+test('the count is clamped to particleMin and particleMax', () => {
+  assert.equal(engine(320, 240).particles.length, DEFAULT_CONFIG.particleMin);
+  assert.equal(engine(5120, 2880).particles.length, DEFAULT_CONFIG.particleMax);
+  assert.equal(engine(320, 240, { config: { particleMin: 10 } }).particles.length, 10);
+});
+
+test('lower quality tiers scale the count down and stepping back restores it', () => {
+  const e = engine(1024, 768);
+  const full = e.particles.length;
+  e.quality.step(-1);
+  assert.equal(e.tier.name, 'medium');
+  assert.equal(e.particles.length, Math.round(full * QUALITY_TIERS[HIGH - 1].density));
+  e.quality.step(1);
+  assert.equal(e.particles.length, full);
+
+  const minimal = engine(320, 240, { tier: 0 });
+  assert.equal(minimal.particles.length, Math.round(DEFAULT_CONFIG.particleMin * QUALITY_TIERS[0].density));
+});
+
+test('resizing keeps spawned sparks and existing particles inside the bounds', () => {
+  const e = engine(1024, 768);
+  e.spawn(100, 100, 12);
+  const sparks = e.particles.filter(p => p.life).length;
+  assert.equal(sparks, 12);
+  e.resize(400, 300);
+  assert.equal(e.particles.filter(p => p.life).length, sparks);
+  assert.equal(e.particles.filter(p => !p.life).length, e.targetCount());
+  assert.ok(e.particles.every(p => p.x <= 400 && p.y <= 300));
+});
+
+test('a lattice is one node per grid intersection, widened on large screens', () => {
+  const e = engine(1024, 768, { preset: 'grid-warp' });
+  const { cols, rows, spacing } = e.lattice;
+  assert.equal(e.particles.length, cols * rows);
+  assert.equal(spacing, DEFAULT_CONFIG.gridSpacing);
+
+  e.resize(3840, 2160);
+  assert.ok(e.lattice.spacing > DEFAULT_CONFIG.gridSpacing);
+  // whole cells stay within particleMax; the extra row/column only closes the edges
+  assert.ok(Math.floor(3840 / e.lattice.spacing) * Math.floor(2160 / e.lattice.spacing) <= e.cfg.particleMax);
+  assert.equal(e.particles.length, e.lattice.cols * e.lattice.rows);
+});
+
+test('the page background draws one dot per particle every frame', async (t) => {
+  const page = await loadPage({ width: 1024, height: 768 });
+  t.after(() => page.close());
+  const controller = page.window.__particleBG;
+  assert.ok(controller, 'particles started');
+  assert.equal(controller.mode, 'main');
+  const { engine: bgEngine } = controller.backend;
+  assert.equal(bgEngine.particles.length, Math.round(1024 * 768 * DEFAULT_CONFIG.particleDensity));
+
+  await page.settle(250);
+  const ctx = page.document.getElementById('bg-canvas').getContext('2d');
+  assert.ok(ctx.frames.length >= 2, `rendered ${ctx.frames.length} frame(s)`);
+  ctx.frames.forEach(frame => assert.equal(frame.arc, bgEngine.particles.length));
+
+  controller.spawn(10, 10);
+  assert.equal(bgEngine.particles.length, bgEngine.targetCount() + bgEngine.cfg.spawnCount);
+});
+
+test('switching presets keeps the pointer mode the canvas asks for', async (t) => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const controller = page.window.__particleBG;
+  const { engine: bgEngine } = controller.backend;
+  page.document.getElementById('bg-canvas').dataset.particlePointer = 'attract';
+
+  controller.setPreset('snow');
+  assert.equal(bgEngine.cfg.pointerMode, 'attract');
+  controller.setPreset('bubbles', { pointerMode: 'none' });
+  assert.equal(bgEngine.cfg.pointerMode, 'none', 'an explicit override still wins');
+});
+
+test('reduced motion leaves the canvas alone', async (t) => {
+  const page = await loadPage({ media: { '(prefers-reduced-motion: reduce)': true } });
+  t.after(() => page.close());
+  assert.equal(page.window.__particleBG, undefined);
+  assert.deepEqual(page.document.getElementById('bg-canvas').getContext('2d').calls, {});
+});
@@ -0,0 +1,63 @@
+/* multipart/form-data parsing for contact attachments (server/multipart.js) */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { boundaryFrom, parseMultipart } = require('../server/multipart');
+
+const BOUNDARY = '----form7MA4YWxkTrZu0gW';
+
+/* parts: [{ name, value } | { name, filename, type, data }] -> multipart body */
+function body(parts, { end = true } = {}) {
+  const chunks = parts.map(part => {
+    const disposition = `form-data; name="${part.name}"${part.filename !== undefined ? `; filename="${part.filename}"` : ''}`;
+    const headers = [`Content-Disposition: ${disposition}`];
+    if (part.type) headers.push(`Content-Type: ${part.type}`);
+    return Buffer.concat([Buffer.from(`--${BOUNDARY}\r\n${headers.join('\r\n')}\r\n\r\n`), Buffer.from(part.data ?? part.value ?? ''), Buffer.from('\r\n')]);
+  });
+  return Buffer.concat([...chunks, Buffer.from(end ? `--${BOUNDARY}--\r\n` : '')]);
+}
+
+test('boundaryFrom reads quoted and bare boundaries', () => {
+  assert.equal(boundaryFrom(`multipart/form-data; boundary=${BOUNDARY}`), BOUNDARY);
+  assert.equal(boundaryFrom('multipart/form-data; boundary="a b"; charset=utf-8'), 'a b');
+  assert.equal(boundaryFrom('multipart/form-data'), null);
+  assert.equal(boundaryFrom(undefined), null);
+});
+
+test('text fields and files are separated; binary data survives untouched', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+  const { fields, files } = parseMultipart(body([
+    { name: 'name', value: 'Asha' },
+    { name: 'message', value: 'Line one\r\nLine two — ✓' },
+    { name: 'attachments', filename: 'shot.png', type: 'image/png', data: png },
+    { name: 'attachments', filename: 'notes "v2".txt', data: 'text' }
+  ]), BOUNDARY);
+  assert.deepEqual(fields, { name: 'Asha', message: 'Line one\r\nLine two — ✓' });
+  assert.equal(files.length, 2);
+  assert.deepEqual(files[0], { field: 'attachments', filename: 'shot.png', contentType: 'image/png', data: png });
+  assert.equal(files[1].contentType, 'application/octet-stream');
+});
+
+test('an empty file part (a file input with nothing chosen) is skipped', () => {
+  const { fields, files } = parseMultipart(body([
+    { name: 'name', value: 'Asha' },
+    { name: 'attachments', filename: '', type: 'application/octet-stream', data: '' }
+  ]), BOUNDARY);
+  assert.deepEqual(fields, { name: 'Asha' });
+  assert.deepEqual(files, []);
+});
+
+test('a body without the boundary is rejected', () => {
+  assert.throws(() => parseMultipart(Buffer.from('name=Asha'), BOUNDARY), /boundary not found/);
+  assert.throws(() => parseMultipart(body([{ name: 'name', value: 'Asha' }]), 'some-other-boundary'), /boundary not found/);
+});
+
+test('a truncated body is rejected', () => {
+  const full = body([{ name: 'name', value: 'Asha' }, { name: 'attachments', filename: 'cv.pdf', data: 'x'.repeat(100) }], { end: false });
+  // cut inside the file data: no closing delimiter
+  assert.throws(() => parseMultipart(full.slice(0, full.length - 40), BOUNDARY), /Unterminated/);
+  // cut inside the part headers
+  const headersCut = Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; na`);
+  assert.throws(() => parseMultipart(headersCut, BOUNDARY), /Malformed/);
+});
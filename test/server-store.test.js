@@ -0,0 +1,108 @@
+/* JSON-lines message store (server/store.js) and the export formats of server/messages.js */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendMessage, readMessages, saveAttachments } = require('../server/store');
+const { formatMessages, parseArgs } = require('../server/messages');
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data', 'messages.jsonl');
+}
+
+test('appendMessage creates the store and adds id + receivedAt', async (t) => {
+  const file = tempStore(t);
+  const first = await appendMessage({ name: 'Asha', message: 'One' }, file);
+  const second = await appendMessage({ id: 'given', name: 'Ravi', message: 'Two' }, file);
+  assert.match(first.id, /^[0-9a-f-]{36}$/);
+  assert.equal(second.id, 'given');
+  assert.ok(!Number.isNaN(Date.parse(first.receivedAt)));
+  assert.equal(fs.readFileSync(file, 'utf8').split('\n').length, 3, 'one line per record plus the final newline');
+  assert.deepEqual((await readMessages(file)).map(r => r.name), ['Asha', 'Ravi']);
+});
+
+test('readMessages skips a corrupt line and keeps the rest', async (t) => {
+  const file = tempStore(t);
+  await appendMessage({ name: 'Asha' }, file);
+  fs.appendFileSync(file, '{"name": "half a rec\n\n');
+  await appendMessage({ name: 'Ravi' }, file);
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.deepEqual((await readMessages(file)).map(r => r.name), ['Asha', 'Ravi']);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /corrupt line 2/);
+});
+
+test('readMessages filters by date and treats a missing store as empty', async (t) => {
+  const file = tempStore(t);
+  assert.deepEqual(await readMessages(file), []);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, [
+    { id: 'old', receivedAt: '2024-12-31T23:59:59.000Z' },
+    { id: 'new', receivedAt: '2025-01-01T00:00:00.000Z' }
+  ].map(r => JSON.stringify(r)).join('\n') + '\n');
+  assert.deepEqual((await readMessages(file, { since: '2025-01-01' })).map(r => r.id), ['new']);
+});
+
+test('attachments are saved under attachments/<id>/ with safe names', async (t) => {
+  const file = tempStore(t);
+  const saved = await saveAttachments('msg-1', [
+    { filename: '../../etc/passwd', contentType: 'text/plain', data: Buffer.from('x') },
+    { filename: 'my cv (final).pdf', contentType: 'application/pdf', data: Buffer.from('pdf') }
+  ], file);
+  assert.deepEqual(saved.map(a => a.path), [path.join('attachments', 'msg-1', '1-passwd'), path.join('attachments', 'msg-1', '2-my_cv_final_.pdf')]);
+  assert.equal(fs.readFileSync(path.join(path.dirname(file), saved[1].path), 'utf8'), 'pdf');
+  assert.deepEqual(await saveAttachments('msg-2', [], file), []);
+});
+
+test('csv export quotes commas, quotes and newlines and flattens attachments', () => {
+  const csv = formatMessages([{
+    id: '1',
+    receivedAt: '2025-01-01T00:00:00.000Z',
+    name: 'Singh, Asha',
+    email: 'asha@example.com',
+    subject: 'Say "hi"',
+    message: 'Line one\nLine two',
+    attachments: [{ filename: 'cv.pdf' }, { filename: 'a.png' }],
+    sentAt: null
+  }], 'csv');
+  const [header, row, end] = csv.split('\r\n');
+  assert.equal(header, 'id,receivedAt,name,email,inquiryType,subject,message,budget,timeline,links,attachments,sentAt,ip');
+  assert.equal(row, '1,2025-01-01T00:00:00.000Z,"Singh, Asha",asha@example.com,,"Say ""hi""","Line one\nLine two",,,,cv.pdf; a.png,,');
+  assert.equal(end, '');
+  assert.equal(formatMessages([], 'csv'), `${header}\r\n`);
+});
+
+test('csv export defuses cells a spreadsheet would run as formulas', () => {
+  const csv = formatMessages([{
+    id: '1',
+    name: '=HYPERLINK("http://evil.example","click")',
+    email: 'asha@example.com',
+    subject: '+1 for the project',
+    message: '-2+3',
+    budget: '@SUM(A1)',
+    timeline: '\tsoon',
+    links: '\rcmd'
+  }], 'csv');
+  const row = csv.split('\r\n')[1];
+  assert.equal(row, `1,,"'=HYPERLINK(""http://evil.example"",""click"")",asha@example.com,,'+1 for the project,'-2+3,'@SUM(A1),'\tsoon,"'\rcmd",,,`);
+});
+
+test('json and jsonl exports, and unknown formats', () => {
+  const records = [{ id: '1' }, { id: '2' }];
+  assert.deepEqual(JSON.parse(formatMessages(records, 'json')), records);
+  assert.equal(formatMessages(records, 'jsonl'), '{"id":"1"}\n{"id":"2"}\n');
+  assert.equal(formatMessages([], 'jsonl'), '');
+  assert.throws(() => formatMessages(records, 'xml'), /Unknown format "xml"/);
+});
+
+test('parseArgs: positionals, flags with values and bare flags', () => {
+  assert.deepEqual(parseArgs(['export', '--format', 'csv', '--since', '2025-01-01', '--verbose']), {
+    _: ['export'], format: 'csv', since: '2025-01-01', verbose: true
+  });
+});
@@ -0,0 +1,74 @@
+/* server-side contact rules (server/validation.js) and their parity with the form */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { LIMITS, ATTACHMENTS, isValidEmail, validateContact, validateAttachments } = require('../server/validation');
+
+const ROOT = path.resolve(__dirname, '..');
+const valid = { name: 'Asha', email: 'asha@example.com', message: 'Hello' };
+const file = (filename, size) => ({ filename, data: Buffer.alloc(size) });
+
+test('a valid message is trimmed and gets a default subject', () => {
+  const result = validateContact({ name: '  Asha ', email: ' asha@example.com', message: ' Hello \n', budget: ' ', links: 'https://example.com' });
+  assert.deepEqual(result, {
+    ok: true,
+    value: { name: 'Asha', email: 'asha@example.com', subject: '(no subject)', message: 'Hello', links: 'https://example.com' }
+  });
+});
+
+test('required fields and email format are reported per field', () => {
+  assert.deepEqual(validateContact({ name: ' ', email: 'asha@', message: '' }).errors, {
+    name: 'Please enter your name.',
+    email: 'Please enter a valid email.',
+    message: 'Please write a message.'
+  });
+  // anything that isn't a string counts as missing
+  assert.deepEqual(Object.keys(validateContact({ name: ['Asha'], email: 42, message: { text: 'hi' } }).errors), ['name', 'email', 'message']);
+  assert.equal(validateContact(null).ok, false);
+});
+
+test('every field is held to its length limit, at the limit inclusive', () => {
+  Object.entries(LIMITS).forEach(([field, max]) => {
+    const at = validateContact({ ...valid, [field]: field === 'email' ? `${'a'.repeat(max - 12)}@example.com` : 'x'.repeat(max) });
+    assert.equal(at.ok, true, `${field} at ${max}`);
+    const over = validateContact({ ...valid, [field]: field === 'email' ? `${'a'.repeat(max - 11)}@example.com` : 'x'.repeat(max + 1) });
+    assert.equal(over.errors[field], `Please keep this under ${max} characters.`, `${field} over ${max}`);
+  });
+});
+
+test('attachments: count, type, per-file and total size', () => {
+  assert.equal(validateAttachments([]), null);
+  assert.equal(validateAttachments([file('cv.PDF', 10), file('shot.png', 10)]), null);
+  assert.equal(validateAttachments([file('a.pdf', 1), file('b.pdf', 1), file('c.pdf', 1), file('d.pdf', 1)]), `Please attach at most ${ATTACHMENTS.maxFiles} files.`);
+  assert.equal(validateAttachments([file('run.exe', 1)]), '"run.exe" is not an accepted file type.');
+  assert.equal(validateAttachments([file('noext', 1)]), '"noext" is not an accepted file type.');
+  assert.equal(validateAttachments([file('big.zip', ATTACHMENTS.maxBytes)]), null);
+  assert.equal(validateAttachments([file('big.zip', ATTACHMENTS.maxBytes + 1)]), '"big.zip" is too large.');
+  const parts = [file('a.zip', ATTACHMENTS.maxBytes), file('b.zip', ATTACHMENTS.maxBytes), file('c.txt', 1)];
+  assert.equal(validateAttachments(parts), 'Attachments are too large in total.');
+});
+
+test('the rules match the form: email pattern, maxlength, attachment limits and wording', () => {
+  const utils = fs.readFileSync(path.join(ROOT, 'js/utils.js'), 'utf8');
+  const clientEmail = /export function isValidEmail\(email\) \{\s*return (\/.+\/)\.test\(email\);/.exec(utils)[1];
+  assert.ok(isValidEmail.toString().includes(clientEmail), `client pattern ${clientEmail}`);
+
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const form = /<form id="contact-form"[\s\S]*?<\/form>/.exec(html)[0];
+  const maxlengths = Array.from(form.matchAll(/<(?:input|textarea)\b[^>]*\bname="(\w+)"[^>]*\bmaxlength="(\d+)"/g));
+  assert.ok(maxlengths.length >= 4);
+  maxlengths.forEach(([, name, max]) => assert.equal(LIMITS[name], Number(max), `maxlength of ${name}`));
+
+  const source = fs.readFileSync(path.join(ROOT, 'js/contact-form.js'), 'utf8');
+  const constant = name => Function(`return ${new RegExp(`const ${name} = ([^;]+);`).exec(source)[1]}`)();
+  assert.equal(constant('ATTACHMENT_MAX_FILES'), ATTACHMENTS.maxFiles);
+  assert.equal(constant('ATTACHMENT_MAX_BYTES'), ATTACHMENTS.maxBytes);
+  assert.equal(constant('ATTACHMENT_MAX_TOTAL_BYTES'), ATTACHMENTS.maxTotalBytes);
+  assert.deepEqual(constant('ATTACHMENT_EXTENSIONS'), ATTACHMENTS.extensions);
+
+  const en = JSON.parse(fs.readFileSync(path.join(ROOT, 'locales/en.json'), 'utf8'));
+  assert.deepEqual(validateContact({}).errors, en.contact.errors);
+});
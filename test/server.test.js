@@ -0,0 +1,205 @@
+/* local server (server/server.js): /api/contact round trips, static file blocking, rate limiting, stamp replay */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const spamGuard = require('../spam-guard');
+const { createServer, createStampRegistry } = require('../server/server');
+const { createRateLimiter } = require('../server/rate-limit');
+const { readMessages } = require('../server/store');
+
+/*
+ * tmp/site      served root: index.html, server/secret.js (must stay blocked)
+ * tmp/secret.txt outside the root (must stay unreachable)
+ */
+async function startServer(t, opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-server-'));
+  const root = path.join(dir, 'site');
+  fs.mkdirSync(path.join(root, 'server'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'index.html'), '<!doctype html><title>home</title>');
+  fs.writeFileSync(path.join(root, 'server', 'secret.js'), 'secret');
+  fs.writeFileSync(path.join(dir, 'secret.txt'), 'secret');
+  const store = path.join(dir, 'data', 'messages.jsonl');
+  const server = createServer({ root, store, analyticsStore: path.join(dir, 'data', 'analytics.jsonl'), ...opts });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  }).then(() => fs.rmSync(dir, { recursive: true, force: true })));
+  return { store, origin: `http://127.0.0.1:${server.address().port}`, port: server.address().port };
+}
+
+/* raw request: the path is sent exactly as given (fetch would normalise dot segments) */
+function request(port, { method = 'GET', path: target = '/', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: target, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = JSON.parse(text); } catch (e) { /* not JSON */ }
+        resolve({ status: res.statusCode, headers: res.headers, text, json });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function postJson(port, body, headers = {}) {
+  return request(port, { method: 'POST', path: '/api/contact', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+}
+
+async function submission(extra = {}) {
+  const body = { name: 'Asha', email: 'asha@example.com', subject: 'Hi', message: 'Hello there', website: '', _ttf: 5000, ...extra };
+  body._pow = await spamGuard.mintStamp(body);
+  return body;
+}
+
+test('a valid submission is stored (201); its stamp cannot be used twice (422 with the stored id)', async (t) => {
+  const { port, store } = await startServer(t);
+  const body = await submission();
+  const created = await postJson(port, body, { 'User-Agent': 'node-test' });
+  assert.equal(created.status, 201);
+  assert.equal(created.json.ok, true);
+  const [record] = await readMessages(store);
+  assert.equal(record.id, created.json.id);
+  assert.equal(record.message, 'Hello there');
+  assert.equal(record.userAgent, 'node-test');
+  assert.equal(record._pow, undefined, 'anti-spam fields are not stored');
+
+  const replay = await postJson(port, body);
+  assert.equal(replay.status, 422);
+  assert.equal(replay.json.reason, 'pow-replayed');
+  assert.equal(replay.json.id, created.json.id);
+  assert.equal((await readMessages(store)).length, 1);
+});
+
+test('a stamp stays usable after a 400 or a storage failure (500)', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  // a file where the store's directory should be: appending fails until it is removed
+  const blocker = path.join(dir, 'data');
+  fs.writeFileSync(blocker, '');
+  const store = path.join(blocker, 'messages.jsonl');
+  const { port } = await startServer(t, { store });
+  t.mock.method(console, 'error', () => {});
+
+  const invalid = await submission({ email: 'nope' });
+  assert.equal((await postJson(port, invalid)).status, 400);
+  assert.equal((await postJson(port, invalid)).status, 400, 'not pow-replayed');
+
+  const body = await submission();
+  const failed = await postJson(port, body);
+  assert.equal(failed.status, 500);
+  fs.rmSync(blocker);
+  const retried = await postJson(port, body);
+  assert.equal(retried.status, 201);
+  assert.deepEqual((await readMessages(store)).map(record => record.id), [retried.json.id]);
+  assert.equal((await postJson(port, body)).json.reason, 'pow-replayed');
+});
+
+test('rejections: 400 invalid, 413 too large, 415 wrong type, 422 anti-spam, 405 wrong method', async (t) => {
+  const { port, store } = await startServer(t, { requirePow: false, rateLimit: 100 });
+
+  const invalid = await postJson(port, { name: '', email: 'nope', message: 'x', _ttf: 5000 });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(Object.keys(invalid.json.errors), ['name', 'email']);
+  const brokenJson = await request(port, { method: 'POST', path: '/api/contact', headers: { 'Content-Type': 'application/json' }, body: '{"name":' });
+  assert.equal(brokenJson.status, 400);
+  assert.equal(brokenJson.json.error, 'Invalid JSON body');
+  const noBoundary = await request(port, { method: 'POST', path: '/api/contact', headers: { 'Content-Type': 'multipart/form-data' }, body: 'x' });
+  assert.equal(noBoundary.status, 400);
+  assert.equal(noBoundary.json.error, 'Missing multipart boundary');
+
+  const large = await postJson(port, { name: 'Asha', email: 'asha@example.com', message: 'x'.repeat(70 * 1024), _ttf: 5000 });
+  assert.equal(large.status, 413);
+
+  const plain = await request(port, { method: 'POST', path: '/api/contact', headers: { 'Content-Type': 'text/plain' }, body: 'hello' });
+  assert.equal(plain.status, 415);
+
+  const tooFast = await postJson(port, { name: 'Asha', email: 'asha@example.com', message: 'Hi', _ttf: 200 });
+  assert.equal(tooFast.status, 422);
+  assert.equal(tooFast.json.reason, 'too-fast');
+
+  // honeypot: a fake success, nothing stored
+  const bot = await postJson(port, { name: 'Bot', email: 'bot@example.com', message: 'Buy', website: 'http://spam.example', _ttf: 5000 });
+  assert.equal(bot.status, 200);
+
+  const get = await request(port, { path: '/api/contact' });
+  assert.equal(get.status, 405);
+  assert.equal(get.headers.allow, 'POST');
+
+  assert.deepEqual(await readMessages(store), []);
+});
+
+test('url-encoded posts to / (the local Netlify stand-in) are accepted', async (t) => {
+  const { port, store } = await startServer(t, { requirePow: false });
+  const form = new URLSearchParams({ 'form-name': 'contact', name: 'Asha', email: 'asha@example.com', message: 'Via Netlify', _ttf: '5000' });
+  const res = await request(port, { method: 'POST', path: '/', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: form.toString() });
+  assert.equal(res.status, 201);
+  assert.equal((await readMessages(store))[0].message, 'Via Netlify');
+});
+
+test('the per-IP limit answers 429 with Retry-After', async (t) => {
+  const { port } = await startServer(t, { requirePow: false, rateLimit: 2, rateWindowMs: 60 * 1000 });
+  const body = { name: 'Asha', email: 'asha@example.com', message: 'Hi', _ttf: 5000 };
+  assert.equal((await postJson(port, body)).status, 201);
+  assert.equal((await postJson(port, body)).status, 201);
+  const limited = await postJson(port, body);
+  assert.equal(limited.status, 429);
+  const retryAfter = Number(limited.headers['retry-after']);
+  assert.ok(retryAfter > 0 && retryAfter <= 60, `Retry-After: ${limited.headers['retry-after']}`);
+});
+
+test('static files are served, but never server code or anything outside the root', async (t) => {
+  const { port } = await startServer(t);
+  const home = await request(port, { path: '/' });
+  assert.equal(home.status, 200);
+  assert.match(home.headers['content-type'], /^text\/html/);
+  assert.equal((await request(port, { method: 'HEAD', path: '/index.html' })).text, '');
+
+  for (const target of ['/server/secret.js', '/server/', '/%73erver/secret.js', '/..%2fsecret.txt', '/%2e%2e/secret.txt',
+    '/server/..%2f..%2fsecret.txt', '/..%5csecret.txt', '/.git/config', '/missing.html']) {
+    const res = await request(port, { path: target });
+    assert.equal(res.status, 404, target);
+    assert.doesNotMatch(res.text, /secret/, target);
+  }
+  assert.equal((await request(port, { path: '/%E0%A4%A' })).status, 400);
+});
+
+test('rate limiter: fixed window per key, retryAfterMs until the window ends', () => {
+  let now = 1000;
+  const limiter = createRateLimiter({ limit: 2, windowMs: 10000, now: () => now });
+  assert.deepEqual(limiter.hit('a'), { allowed: true, remaining: 1, retryAfterMs: 0 });
+  assert.deepEqual(limiter.hit('a'), { allowed: true, remaining: 0, retryAfterMs: 0 });
+  now += 4000;
+  assert.deepEqual(limiter.hit('a'), { allowed: false, remaining: 0, retryAfterMs: 6000 });
+  assert.equal(limiter.hit('b').allowed, true, 'keys are independent');
+  now += 6000;
+  assert.deepEqual(limiter.hit('a'), { allowed: true, remaining: 1, retryAfterMs: 0 });
+  limiter.reset();
+  assert.equal(limiter.hit('a').remaining, 1);
+});
+
+test('seen stamps are forgotten once they have expired', () => {
+  let now = 0;
+  const seen = createStampRegistry({ maxAgeMs: 1000, now: () => now });
+  seen.add('1:14:0:r:s:0', 'first');
+  seen.add('1:14:500:r:s:1');
+  assert.ok(seen.has('1:14:0:r:s:0'));
+  assert.equal(seen.get('1:14:0:r:s:0'), 'first');
+  now = 1200;
+  seen.add('1:14:1200:r:s:2');
+  assert.equal(seen.size, 2, 'the stamp issued at 0 expired at 1000');
+  assert.ok(!seen.has('1:14:0:r:s:0'));
+  assert.ok(seen.has('1:14:500:r:s:1'));
+  now = 5000;
+  seen.add('1:14:5000:r:s:3');
+  assert.equal(seen.size, 1);
+});
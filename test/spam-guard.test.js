@@ -0,0 +1,89 @@
+/* anti-spam layers shared by the form and the server (spam-guard.js) */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const spamGuard = require('../spam-guard.js');
+
+const BITS = 8;              // cheap stamps; verification is told the same difficulty
+const payload = { email: 'Asha@Example.com ', message: 'Hello there', website: '', _ttf: 5000 };
+
+async function stamped(extra = {}, { now = Date.now() } = {}) {
+  const body = { ...payload, ...extra };
+  body._pow = await spamGuard.mintStamp(body, { bits: BITS, now });
+  return body;
+}
+
+test('a fresh stamp for the same submission passes', async () => {
+  const body = await stamped();
+  assert.deepEqual(await spamGuard.verifySubmission(body, { bits: BITS }), { ok: true });
+});
+
+test('the honeypot and the time-to-fill are checked before the stamp', async () => {
+  const body = await stamped();
+  assert.equal((await spamGuard.verifySubmission({ ...body, website: 'http://spam.example' }, { bits: BITS })).reason, 'honeypot');
+  assert.equal((await spamGuard.verifySubmission({ ...body, _ttf: 1200 }, { bits: BITS })).reason, 'too-fast');
+  assert.equal((await spamGuard.verifySubmission({ ...body, _ttf: 'soon' }, { bits: BITS })).reason, 'too-fast');
+  assert.equal((await spamGuard.verifySubmission({ ...payload }, { bits: BITS })).reason, 'pow-missing');
+  assert.deepEqual(await spamGuard.verifySubmission({ ...payload }, { bits: BITS, requirePow: false }), { ok: true });
+});
+
+test('stamps expire after POW_MAX_AGE_MS and may not come from the future', async () => {
+  const issued = Date.now() - spamGuard.POW_MAX_AGE_MS - 1000;
+  const old = await stamped({}, { now: issued });
+  assert.equal((await spamGuard.verifySubmission(old, { bits: BITS })).reason, 'pow-expired');
+  assert.deepEqual(await spamGuard.verifySubmission(old, { bits: BITS, now: issued + 1000 }), { ok: true });
+  const future = await stamped({}, { now: Date.now() + 10 * 60 * 1000 });
+  assert.equal((await spamGuard.verifySubmission(future, { bits: BITS })).reason, 'pow-expired');
+});
+
+test('a stamp is bound to the email and message it was minted for', async () => {
+  const body = await stamped();
+  assert.equal((await spamGuard.verifySubmission({ ...body, message: 'Something else' }, { bits: BITS })).reason, 'pow-wrong-payload');
+  // normalisation: case and surrounding whitespace of the email don't matter
+  assert.deepEqual(await spamGuard.verifySubmission({ ...body, email: 'asha@example.com' }, { bits: BITS }), { ok: true });
+});
+
+test('a stamp is accepted once per `seen` set', async () => {
+  const body = await stamped();
+  const seen = new Set();
+  assert.deepEqual(await spamGuard.verifySubmission(body, { bits: BITS, seen }), { ok: true });
+  assert.equal((await spamGuard.verifySubmission(body, { bits: BITS, seen })).reason, 'pow-replayed');
+});
+
+test('malformed bits or issuedAt fields are rejected without any work being checked', async () => {
+  const body = await stamped();
+  const [version, , issuedAt, resource, salt, counter] = body._pow.split(':');
+  const now = Date.now();
+  const variants = [
+    [version, 'x', issuedAt, resource, salt, counter],
+    [version, '', issuedAt, resource, salt, counter],
+    [version, '1e1', issuedAt, resource, salt, counter],
+    [version, '-14', issuedAt, resource, salt, counter],
+    [version, String(BITS), 'x', resource, salt, counter],
+    [version, String(BITS), '', resource, salt, counter],
+    [version, String(BITS), `${now}.5`, resource, salt, counter],
+    [version, String(BITS), '9'.repeat(30), resource, salt, counter]
+  ];
+  for (const parts of variants) {
+    const result = await spamGuard.verifySubmission({ ...body, _pow: parts.join(':') }, { bits: BITS });
+    assert.deepEqual(result, { ok: false, reason: 'pow-malformed' }, parts.join(':'));
+  }
+  // the report: a non-numeric difficulty used to skip both the difficulty and the digest check
+  const unhashed = `1:x:${now}:${await spamGuard.powResource(payload)}:s:0`;
+  assert.equal((await spamGuard.verifySubmission({ ...payload, _pow: unhashed })).reason, 'pow-malformed');
+});
+
+test('the digest must meet the required difficulty even when the stamp claims less', async () => {
+  const body = await stamped();
+  const parts = body._pow.split(':');
+  assert.equal((await spamGuard.verifyStamp(body._pow, body, { bits: 30 })).reason, 'pow-too-easy');
+  // claiming more than was minted: the digest is held to the claim
+  parts[1] = '30';
+  assert.equal((await spamGuard.verifyStamp(parts.join(':'), body, { bits: BITS })).reason, 'pow-invalid');
+});
+
+test('leadingZeroBits counts across byte boundaries', () => {
+  assert.equal(spamGuard.leadingZeroBits(new Uint8Array([0, 0, 0x10, 0xff]).buffer), 19);
+  assert.equal(spamGuard.leadingZeroBits(new Uint8Array([0x80]).buffer), 0);
+});
@@ -0,0 +1,73 @@
+/* theme persistence and system-preference following (js/theme.js) */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+const DARK = '(prefers-color-scheme: dark)';
+
+test('follows the system preference by default, including later changes', async (t) => {
+  const page = await loadPage({ media: { [DARK]: true } });
+  t.after(() => page.close());
+  const html = page.document.documentElement;
+  assert.equal(html.dataset.theme, 'dark');
+  assert.ok(html.classList.contains('dark'));
+  assert.equal(JSON.parse(page.window.localStorage.getItem('theme-settings')).mode, 'system');
+
+  page.media.set(DARK, false);
+  assert.equal(html.dataset.theme, 'light');
+  assert.ok(!html.classList.contains('dark'));
+});
+
+test('a picked theme persists across reloads and ignores the system preference', async (t) => {
+  const first = await loadPage();
+  first.window.portfolioUtils.setTheme('sepia');
+  const saved = first.window.localStorage.getItem('theme-settings');
+  await first.close();
+  assert.equal(JSON.parse(saved).mode, 'manual');
+  assert.equal(JSON.parse(saved).theme, 'sepia');
+
+  const page = await loadPage({ storage: { 'theme-settings': saved }, media: { [DARK]: true } });
+  t.after(() => page.close());
+  const html = page.document.documentElement;
+  assert.equal(html.dataset.theme, 'sepia');
+  assert.equal(html.dataset.palette, 'sepia');
+  page.media.set(DARK, false);
+  page.media.set(DARK, true);
+  assert.equal(html.dataset.theme, 'sepia');
+});
+
+test('migrates the legacy theme keys once', async (t) => {
+  const page = await loadPage({ storage: { 'site-theme': 'dark', 'pref-theme': 'light' } });
+  t.after(() => page.close());
+  const storage = page.window.localStorage;
+  assert.equal(page.document.documentElement.dataset.theme, 'dark');
+  assert.equal(storage.getItem('site-theme'), null);
+  assert.equal(storage.getItem('pref-theme'), null);
+  assert.equal(JSON.parse(storage.getItem('theme-settings')).theme, 'dark');
+});
+
+test('themechange reports the previous theme and the mode', async (t) => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const events = [];
+  page.document.addEventListener('themechange', e => events.push(e.detail));
+  page.window.portfolioUtils.setTheme('dark');
+  page.window.portfolioUtils.setTheme('dark');
+  page.window.portfolioUtils.setThemeMode('system');
+  assert.deepEqual(events.map(({ theme, previous, mode }) => ({ theme, previous, mode })), [
+    { theme: 'dark', previous: 'light', mode: 'manual' },
+    { theme: 'light', previous: 'dark', mode: 'system' }
+  ]);
+});
+
+test('another tab changing the settings is picked up through the storage event', async (t) => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const { window } = page;
+  const value = JSON.stringify({ mode: 'manual', theme: 'high-contrast' });
+  window.localStorage.setItem('theme-settings', value);
+  window.dispatchEvent(new window.StorageEvent('storage', { key: 'theme-settings', newValue: value }));
+  assert.equal(page.document.documentElement.dataset.theme, 'high-contrast');
+});
@@ -0,0 +1,38 @@
+/* timeoutFetch (js/utils.js): a hanging request is aborted once the timeout runs out */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+test('timeoutFetch aborts a request that never answers', async (t) => {
+  const page = await loadPage({ routes: { '/slow': () => new Promise(() => {}) } });
+  t.after(() => page.close());
+  const { timeoutFetch } = page.window.portfolioUtils;
+
+  const started = Date.now();
+  await assert.rejects(timeoutFetch('/slow', {}, 50), err => err.name === 'AbortError');
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 45 && elapsed < 1000, `aborted after ${elapsed}ms`);
+  assert.ok(page.server.requests.at(-1).signal.aborted);
+});
+
+test('timeoutFetch passes answers within the timeout through and leaves no timer behind', async (t) => {
+  const page = await loadPage({ routes: { '/fast': () => ({ status: 201, body: { ok: true } }) } });
+  t.after(() => page.close());
+  const { timeoutFetch } = page.window.portfolioUtils;
+
+  const res = await timeoutFetch('/fast', { method: 'POST' }, 50);
+  assert.equal(res.status, 201);
+  assert.deepEqual(await res.json(), { ok: true });
+  const request = page.server.requests.at(-1);
+  assert.equal(request.method, 'POST');
+  await page.settle(80);
+  assert.equal(request.signal.aborted, false);
+});
+
+test('timeoutFetch reports network failures as they are, not as timeouts', async (t) => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  await assert.rejects(page.window.portfolioUtils.timeoutFetch('https://example.invalid/', {}, 1000), TypeError);
+});